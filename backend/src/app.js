@@ -6,9 +6,16 @@ require('dotenv').config();
 const epgRoutes = require('./routes/epg');
 const timerRoutes = require('./routes/timer');
 const taskRoutes = require('./routes/tasks');
+const channelRoutes = require('./routes/channels');
+const adminRoutes = require('./routes/admin');
+const configRoutes = require('./routes/config');
 
 const { initializeScheduler } = require('./utils/scheduler');
 const { ensureDataFiles } = require('./utils/fileManager');
+const { STORAGE_BACKEND } = require('./utils/storage');
+const configService = require('./services/configService');
+const epgService = require('./services/epgService');
+const timerRegistry = require('./services/timerRegistry');
 
 const app = express();
 const PORT = process.env.PORT || 3001;
@@ -27,13 +34,17 @@ app.use((req, res, next) => {
 app.use('/api/epg', epgRoutes);
 app.use('/api/timer', timerRoutes);
 app.use('/api/tasks', taskRoutes);
+app.use('/api/channels', channelRoutes);
+app.use('/api/admin', adminRoutes);
+app.use('/api/config', configRoutes);
 
 // Health check
 app.get('/api/health', (req, res) => {
   res.json({ 
     status: 'ok', 
     timestamp: new Date().toISOString(),
-    uptime: process.uptime()
+    uptime: process.uptime(),
+    storage: STORAGE_BACKEND
   });
 });
 
@@ -100,6 +111,15 @@ async function startServer() {
   try {
     // Ensure data files exist
     await ensureDataFiles();
+
+    // Registry entries from older versions get their program start stored once
+    await timerRegistry.addStartTimes();
+
+    // Apply the stored configuration to the services
+    await configService.load();
+
+    // Schedules fetched before the restart stay available
+    await epgService.loadCache();
     
     // Start cron jobs
     initializeScheduler();
@@ -115,14 +135,16 @@ async function startServer() {
   }
 }
 
-// Graceful shutdown
-process.on('SIGTERM', () => {
+// Graceful shutdown, pending EPG cache changes are written first
+process.on('SIGTERM', async () => {
   console.log('SIGTERM received. Shutting down gracefully...');
+  await epgService.flushCache();
   process.exit(0);
 });
 
-process.on('SIGINT', () => {
+process.on('SIGINT', async () => {
   console.log('SIGINT received. Shutting down gracefully...');
+  await epgService.flushCache();
   process.exit(0);
 });
 
@@ -0,0 +1,159 @@
+const express = require('express');
+const router = express.Router();
+const backupService = require('../services/backupService');
+
+// Backups include EPG caches and logs, far beyond the default body limit
+const MAX_RESTORE_SIZE = '200mb';
+
+/**
+ * GET /api/admin/backup
+ * Download a backup of all application data as gzip-compressed JSON
+ */
+router.get('/backup', async (req, res) => {
+  try {
+    const stream = await backupService.createStream();
+    const stamp = new Date().toISOString().slice(0, 10);
+
+    res.set({
+      'Content-Type': 'application/gzip',
+      'Content-Disposition': `attachment; filename="epg-manager-backup-${stamp}.json.gz"`
+    });
+    // Headers are sent already when reading a data file fails, the download is aborted then
+    stream.on('error', (error) => {
+      console.error('Backup error:', error);
+      res.destroy(error);
+    });
+    stream.pipe(res);
+
+  } catch (error) {
+    console.error('Backup error:', error);
+    res.status(500).json({
+      error: 'Failed to create backup',
+      message: error.message
+    });
+  }
+});
+
+/**
+ * POST /api/admin/restore
+ * Restore a backup, sent as file body (gzip-compressed or plain JSON)
+ * The current data is saved as a stored backup before anything is overwritten.
+ */
+router.post('/restore', express.raw({ type: () => true, limit: MAX_RESTORE_SIZE }), async (req, res) => {
+  try {
+    let backup;
+    try {
+      backup = Buffer.isBuffer(req.body) ? await backupService.parseArchive(req.body) : req.body;
+    } catch (error) {
+      return res.status(400).json({
+        error: 'Invalid backup file',
+        message: error.message
+      });
+    }
+
+    const errors = backupService.validate(backup);
+    if (errors.length > 0) {
+      return res.status(400).json({
+        error: 'Invalid backup file',
+        message: errors[0],
+        errors
+      });
+    }
+
+    const result = await backupService.restore(backup);
+
+    res.json({
+      success: true,
+      message: `${result.restored.length} files restored`,
+      data: result
+    });
+
+  } catch (error) {
+    console.error('Restore error:', error);
+    res.status(500).json({
+      error: 'Failed to restore backup',
+      message: error.message
+    });
+  }
+});
+
+/**
+ * GET /api/admin/backups
+ * List the stored automatic and manual backups, newest first
+ */
+router.get('/backups', async (req, res) => {
+  try {
+    const [backups, settings] = await Promise.all([
+      backupService.list(),
+      backupService.getSettings()
+    ]);
+
+    res.json({
+      success: true,
+      count: backups.length,
+      data: backups,
+      settings
+    });
+
+  } catch (error) {
+    console.error('Backup list error:', error);
+    res.status(500).json({
+      error: 'Failed to list backups',
+      message: error.message
+    });
+  }
+});
+
+/**
+ * POST /api/admin/backups
+ * Store a backup in the backup directory now
+ */
+router.post('/backups', async (req, res) => {
+  try {
+    const result = await backupService.save('manual');
+
+    res.status(201).json({
+      success: true,
+      message: `Backup ${result.name} saved`,
+      data: result
+    });
+
+  } catch (error) {
+    console.error('Backup save error:', error);
+    res.status(500).json({
+      error: 'Failed to save backup',
+      message: error.message
+    });
+  }
+});
+
+/**
+ * GET /api/admin/backups/:name
+ * Download a stored backup
+ */
+router.get('/backups/:name', async (req, res) => {
+  try {
+    const archive = await backupService.readStored(req.params.name);
+
+    if (!archive) {
+      return res.status(404).json({
+        error: 'Backup not found'
+      });
+    }
+
+    res.set({
+      'Content-Type': 'application/gzip',
+      'Content-Disposition': `attachment; filename="${req.params.name}"`
+    });
+    res.send(archive);
+
+  } catch (error) {
+    console.error('Backup download error:', error);
+    res.status(500).json({
+      error: 'Failed to load backup',
+      message: error.message
+    });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,273 @@
+const express = require('express');
+const router = express.Router();
+const channelService = require('../services/channelService');
+const epgService = require('../services/epgService');
+const { listProviders } = require('../services/epgProviders');
+
+/**
+ * Validate channel data, returns an error message or null
+ */
+function validateChannel(data, requireName) {
+  if (requireName && (!data.name || !String(data.name).trim())) {
+    return 'Channel name is required';
+  }
+
+  if (data.dvbId && !/^-?\d+$/.test(String(data.dvbId))) {
+    return 'Invalid dvbId, expected the numeric DVB Viewer channel ID';
+  }
+
+  if (data.epgProvider && !listProviders().some(p => p.name === data.epgProvider)) {
+    return `Unknown EPG provider: ${data.epgProvider}`;
+  }
+
+  return null;
+}
+
+/**
+ * GET /api/channels
+ * Get all configured channels
+ */
+router.get('/', async (req, res) => {
+  try {
+    const channels = await channelService.list();
+
+    res.json({
+      success: true,
+      count: Object.keys(channels).length,
+      data: channels
+    });
+
+  } catch (error) {
+    console.error('Channel list error:', error);
+    res.status(500).json({
+      error: 'Failed to load channels',
+      message: error.message
+    });
+  }
+});
+
+/**
+ * GET /api/channels/dvb
+ * Get the channel list of the DVB Viewer Recording Service
+ */
+router.get('/dvb', async (req, res) => {
+  try {
+    const dvbChannels = await channelService.getDvbChannels();
+
+    res.json({
+      success: true,
+      count: dvbChannels.length,
+      data: dvbChannels
+    });
+
+  } catch (error) {
+    console.error('DVB channel list error:', error);
+    res.status(500).json({
+      error: 'Failed to load DVB Viewer channels',
+      message: error.message
+    });
+  }
+});
+
+/**
+ * GET /api/channels/match
+ * Propose DVB Viewer channels for all configured channels
+ */
+router.get('/match', async (req, res) => {
+  try {
+    const proposals = await channelService.proposeMappings();
+
+    res.json({
+      success: true,
+      count: proposals.length,
+      data: proposals
+    });
+
+  } catch (error) {
+    console.error('Channel matching error:', error);
+    res.status(500).json({
+      error: 'Failed to match channels',
+      message: error.message
+    });
+  }
+});
+
+/**
+ * POST /api/channels/match
+ * Apply accepted mappings ({ mappings: [{ channelId, dvbId }] })
+ */
+router.post('/match', async (req, res) => {
+  try {
+    const { mappings } = req.body;
+
+    if (!Array.isArray(mappings) || mappings.length === 0) {
+      return res.status(400).json({
+        error: 'mappings must be a non-empty array'
+      });
+    }
+
+    const invalid = mappings.find(m => !m.channelId || !/^-?\d+$/.test(String(m.dvbId || '')));
+    if (invalid) {
+      return res.status(400).json({
+        error: 'Each mapping needs channelId and a numeric dvbId',
+        mapping: invalid
+      });
+    }
+
+    const applied = await channelService.applyMappings(mappings);
+    epgService.expireCache(applied);
+
+    res.json({
+      success: true,
+      message: `${applied.length} channel mappings applied`,
+      data: applied
+    });
+
+  } catch (error) {
+    console.error('Channel mapping error:', error);
+    res.status(500).json({
+      error: 'Failed to apply channel mappings',
+      message: error.message
+    });
+  }
+});
+
+/**
+ * GET /api/channels/:id
+ * Get a single channel
+ */
+router.get('/:id', async (req, res) => {
+  try {
+    const channel = await channelService.get(req.params.id);
+
+    if (!channel) {
+      return res.status(404).json({
+        error: 'Channel not found',
+        channelId: req.params.id
+      });
+    }
+
+    res.json({
+      success: true,
+      data: channel
+    });
+
+  } catch (error) {
+    console.error('Channel load error:', error);
+    res.status(500).json({
+      error: 'Failed to load channel',
+      message: error.message
+    });
+  }
+});
+
+/**
+ * POST /api/channels
+ * Create a new channel (id is the Hörzu channel ID for Hörzu channels)
+ */
+router.post('/', async (req, res) => {
+  try {
+    const { id, ...data } = req.body;
+
+    if (!id || !/^[\w.-]+$/.test(String(id))) {
+      return res.status(400).json({
+        error: 'Invalid channel id (letters, digits, ".", "_" and "-" only)'
+      });
+    }
+
+    const validationError = validateChannel(data, true);
+    if (validationError) {
+      return res.status(400).json({ error: validationError });
+    }
+
+    if (await channelService.get(id)) {
+      return res.status(409).json({
+        error: 'Channel already exists',
+        channelId: id
+      });
+    }
+
+    const channel = await channelService.create(String(id), data);
+
+    res.status(201).json({
+      success: true,
+      message: 'Channel created successfully',
+      data: { id, ...channel }
+    });
+
+  } catch (error) {
+    console.error('Channel creation error:', error);
+    res.status(500).json({
+      error: 'Failed to create channel',
+      message: error.message
+    });
+  }
+});
+
+/**
+ * PUT /api/channels/:id
+ * Update a channel
+ */
+router.put('/:id', async (req, res) => {
+  try {
+    const validationError = validateChannel(req.body, false);
+    if (validationError) {
+      return res.status(400).json({ error: validationError });
+    }
+
+    const channel = await channelService.update(req.params.id, req.body);
+
+    if (!channel) {
+      return res.status(404).json({
+        error: 'Channel not found',
+        channelId: req.params.id
+      });
+    }
+
+    epgService.expireCache([req.params.id]);
+
+    res.json({
+      success: true,
+      message: 'Channel updated successfully',
+      data: { id: req.params.id, ...channel }
+    });
+
+  } catch (error) {
+    console.error('Channel update error:', error);
+    res.status(500).json({
+      error: 'Failed to update channel',
+      message: error.message
+    });
+  }
+});
+
+/**
+ * DELETE /api/channels/:id
+ * Delete a channel
+ */
+router.delete('/:id', async (req, res) => {
+  try {
+    const deleted = await channelService.remove(req.params.id);
+
+    if (!deleted) {
+      return res.status(404).json({
+        error: 'Channel not found',
+        channelId: req.params.id
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'Channel deleted successfully'
+    });
+
+  } catch (error) {
+    console.error('Channel delete error:', error);
+    res.status(500).json({
+      error: 'Failed to delete channel',
+      message: error.message
+    });
+  }
+});
+
+module.exports = router;
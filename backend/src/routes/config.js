@@ -0,0 +1,59 @@
+const express = require('express');
+const router = express.Router();
+const configService = require('../services/configService');
+
+/**
+ * GET /api/config
+ * Get the editable configuration
+ */
+router.get('/', async (req, res) => {
+  try {
+    const config = await configService.get();
+
+    res.json({
+      success: true,
+      data: config
+    });
+
+  } catch (error) {
+    console.error('Error loading config:', error);
+    res.status(500).json({
+      error: 'Failed to load configuration',
+      message: error.message
+    });
+  }
+});
+
+/**
+ * PUT /api/config
+ * Change config sections partially, e.g. { "epg": { "cacheHours": 12 } }
+ * Changes take effect immediately, no restart needed.
+ */
+router.put('/', async (req, res) => {
+  try {
+    const { config, errors } = await configService.update(req.body);
+
+    if (errors) {
+      return res.status(400).json({
+        error: 'Invalid configuration',
+        message: errors[0],
+        errors
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'Configuration updated',
+      data: config
+    });
+
+  } catch (error) {
+    console.error('Error updating config:', error);
+    res.status(500).json({
+      error: 'Failed to update configuration',
+      message: error.message
+    });
+  }
+});
+
+module.exports = router;
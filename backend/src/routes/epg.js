@@ -1,7 +1,9 @@
 const express = require('express');
 const router = express.Router();
 const epgService = require('../services/epgService');
+const { getProvider, listProviders } = require('../services/epgProviders');
 const { readJsonFile } = require('../utils/fileManager');
+const { DEFAULT_FUZZY_THRESHOLD, MIN_FUZZY_THRESHOLD } = require('../utils/textUtils');
 
 /**
  * GET /api/epg/channels
@@ -16,6 +18,156 @@ router.get('/channels', async (req, res) => {
   }
 });
 
+/**
+ * GET /api/epg/providers
+ * Get all available EPG providers
+ */
+router.get('/providers', (req, res) => {
+  res.json({
+    success: true,
+    data: listProviders()
+  });
+});
+
+/**
+ * GET /api/epg/providers/:name/channels
+ * Get the channel list of an EPG provider
+ */
+router.get('/providers/:name/channels', async (req, res) => {
+  try {
+    let provider;
+    try {
+      provider = getProvider(req.params.name);
+    } catch (error) {
+      return res.status(404).json({
+        error: 'EPG provider not found',
+        provider: req.params.name
+      });
+    }
+
+    const channels = await provider.getChannels();
+
+    res.json({
+      success: true,
+      count: channels.length,
+      data: channels
+    });
+
+  } catch (error) {
+    console.error('Provider channels error:', error);
+    res.status(500).json({
+      error: 'Failed to load provider channels',
+      message: error.message
+    });
+  }
+});
+
+/**
+ * GET /api/epg/catalog?refresh=true
+ * Get all channels offered by Hörzu (cached on disk, refresh forces a new scrape)
+ */
+router.get('/catalog', async (req, res) => {
+  try {
+    const catalog = await epgService.getChannelCatalog(req.query.refresh === 'true');
+
+    res.json({
+      success: true,
+      count: catalog.channels.length,
+      updatedAt: catalog.updatedAt,
+      data: catalog.channels
+    });
+
+  } catch (error) {
+    console.error('Channel catalog error:', error);
+    res.status(500).json({
+      error: 'Failed to load Hörzu channel catalog',
+      message: error.message
+    });
+  }
+});
+
+/**
+ * GET /api/epg/xmltv?days=0,1&channels=71,37
+ * Export the EPG as XMLTV (all mapped channels if none are given)
+ */
+router.get('/xmltv', async (req, res) => {
+  try {
+    const availableChannels = await readJsonFile('channels.json');
+
+    const channelIds = req.query.channels
+      ? String(req.query.channels).split(',').map(ch => ch.trim()).filter(ch => availableChannels[ch])
+      : Object.keys(availableChannels);
+
+    const days = req.query.days
+      ? String(req.query.days).split(',').map(d => parseInt(d)).filter(d => Number.isInteger(d) && d >= 0 && d <= 7)
+      : [0, 1];
+
+    if (channelIds.length === 0 || days.length === 0) {
+      return res.status(400).json({
+        error: 'No valid channels or days specified'
+      });
+    }
+
+    const xml = await epgService.exportXmltv(channelIds, days);
+
+    res.type('application/xml').send(xml);
+
+  } catch (error) {
+    console.error('XMLTV export error:', error);
+    res.status(500).json({
+      error: 'XMLTV export failed',
+      message: error.message
+    });
+  }
+});
+
+/**
+ * POST /api/epg/xmltv
+ * Import an XMLTV guide, either as XML body or as JSON { url }
+ */
+router.post('/xmltv', express.text({ type: ['application/xml', 'text/xml', 'text/plain'], limit: '50mb' }), async (req, res) => {
+  try {
+    const xmltvProvider = getProvider('xmltv');
+    let result;
+
+    if (typeof req.body === 'string' && req.body.trim()) {
+      result = await xmltvProvider.importXml(req.body);
+    } else if (req.body?.url) {
+      const urlError = xmltvProvider.validateUrl(req.body.url);
+      if (urlError) {
+        return res.status(400).json({
+          error: 'Invalid XMLTV url',
+          message: urlError
+        });
+      }
+      result = await xmltvProvider.importUrl(req.body.url);
+    } else {
+      return res.status(400).json({
+        error: 'XMLTV document or url required'
+      });
+    }
+
+    // Imported schedules replace cached ones of their channels, which stay as fallback until then
+    const channelIds = await epgService.findChannelsByXmltvId(result.channelIds);
+    if (channelIds.length > 0) {
+      epgService.expireCache(channelIds);
+    }
+
+    res.json({
+      success: true,
+      message: `Imported ${result.programmes} programmes for ${result.channels} channels`,
+      data: result
+    });
+
+  } catch (error) {
+    console.error('XMLTV import error:', error);
+    res.status(500).json({
+      error: 'XMLTV import failed',
+      message: error.message
+    });
+  }
+});
+
 /**
  * GET /api/epg/program/:broadcastId
  * Get detailed program information
@@ -25,7 +177,8 @@ router.get('/program/:broadcastId', async (req, res) => {
   try {
     const { broadcastId } = req.params;
 
-    if (!broadcastId || !/^\d+$/.test(broadcastId)) {
+    // Hörzu IDs are numeric, other providers prefix theirs ("dvbviewer:...")
+    if (!broadcastId || !/^(\d+|[a-z]+:[\w.:-]+)$/.test(broadcastId)) {
       return res.status(400).json({ 
         error: 'Invalid broadcast ID' 
       });
@@ -70,6 +223,7 @@ router.get('/today/:channelId?', async (req, res) => {
       const epgData = await epgService.getEPG(channelId, 0, timeday);
       return res.json({
         success: true,
+        stale: epgData.stale,
         data: [epgData]
       });
     } else {
@@ -98,6 +252,7 @@ router.get('/today/:channelId?', async (req, res) => {
 
       res.json({
         success: true,
+        stale: allEpgData.some(epgData => epgData.stale),
         data: allEpgData
       });
     }
@@ -152,6 +307,7 @@ router.get('/cache/stats', (req, res) => {
 /**
  * POST /api/epg/search
  * Search programs across channels and days
+ * With fuzzy: true titles match by similarity of at least threshold (0.5 - 1, default 0.8)
  */
 router.post('/search', async (req, res) => {
   try {
@@ -160,7 +316,9 @@ router.post('/search', async (req, res) => {
       channels = [], 
       days = [0, 1], 
       genre = null,
-      timeday = 'ganztags' 
+      timeday = 'ganztags',
+      fuzzy = false,
+      threshold = DEFAULT_FUZZY_THRESHOLD
     } = req.body;
 
     // Validate channels
@@ -181,17 +339,26 @@ router.post('/search', async (req, res) => {
       });
     }
 
+    // Validate fuzzy threshold
+    if (fuzzy && !(typeof threshold === 'number' && threshold >= MIN_FUZZY_THRESHOLD && threshold <= 1)) {
+      return res.status(400).json({
+        error: `threshold must be a number between ${MIN_FUZZY_THRESHOLD} and 1`
+      });
+    }
+
     const searchResults = await epgService.searchPrograms(query, {
       channels: validChannels,
       days: validDays,
       genre,
-      timeday
+      timeday,
+      fuzzy: Boolean(fuzzy),
+      threshold
     });
 
     res.json({
       success: true,
       query,
-      filters: { channels: validChannels, days: validDays, genre, timeday },
+      filters: { channels: validChannels, days: validDays, genre, timeday, fuzzy: Boolean(fuzzy), threshold },
       resultsCount: searchResults.length,
       data: searchResults
     });
@@ -208,6 +375,7 @@ router.post('/search', async (req, res) => {
 /**
  * GET /api/epg/:channelId/:day?
  * Get EPG for specific channel and day
+ * stale: true means the provider was unreachable and an outdated cached schedule is returned
  * ⚠️ WICHTIG: Diese allgemeine Route MUSS nach den spezifischen Routen kommen!
  */
 router.get('/:channelId/:day?', async (req, res) => {
@@ -236,6 +404,7 @@ router.get('/:channelId/:day?', async (req, res) => {
     
     res.json({
       success: true,
+      stale: epgData.stale,
       data: epgData
     });
 
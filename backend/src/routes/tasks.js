@@ -1,7 +1,23 @@
 const express = require('express');
 const router = express.Router();
-const { readJsonFile, writeJsonFile, appendLog } = require('../utils/fileManager');
+const {
+  readJsonFile,
+  findListItems,
+  insertListItem,
+  updateListItem,
+  removeListItems,
+  appendLog,
+  getConfig,
+  updateConfig
+} = require('../utils/fileManager');
 const { scheduler } = require('../utils/scheduler');
+const taskRunLog = require('../services/taskRunLog');
+const episodeStore = require('../services/episodeStore');
+const taskBundle = require('../services/taskBundle');
+const { RULE_FIELDS, FIELD_OPERATORS } = require('../utils/ruleEngine');
+const { VALID_TYPES, validateCriteria, validateConstraints, buildTask, getTaskETag, matchesRevision } = require('../utils/taskUtils');
+const { validateExclusions, normalizeExclusions } = require('../utils/exclusionUtils');
+const { DEFAULT_FUZZY_THRESHOLD } = require('../utils/textUtils');
 
 /**
  * GET /api/tasks
@@ -29,20 +45,7 @@ router.get('/', async (req, res) => {
  */
 router.post('/', async (req, res) => {
   try {
-    const {
-      name,
-      type,
-      criteria,
-      channels = [],
-      days = [0, 1, 2],
-      active = true,
-      priority = 50,
-      preBuffer = 5,
-      postBuffer = 10,
-      folder = 'Auto',
-      series = '',
-      defaultDuration = 120
-    } = req.body;
+    const { name, type, criteria } = req.body;
 
     // Validate required fields
     if (!name || !type || !criteria) {
@@ -53,57 +56,45 @@ router.post('/', async (req, res) => {
     }
 
     // Validate task type
-    const validTypes = ['title_contains', 'title_exact', 'genre', 'title_and_genre', 'regex'];
-    if (!validTypes.includes(type)) {
+    if (!VALID_TYPES.includes(type)) {
       return res.status(400).json({
         error: 'Invalid task type',
-        validTypes
+        validTypes: VALID_TYPES
       });
     }
 
-    // Load existing tasks
-    const tasksData = await readJsonFile('tasks.json');
+    // Validate criteria for the task type
+    const criteriaError = validateCriteria(type, criteria);
+    if (criteriaError) {
+      return res.status(400).json({
+        error: 'Invalid criteria',
+        message: criteriaError
+      });
+    }
 
-    // Check for duplicate names
-    const existingTask = tasksData.tasks.find(t => t.name.toLowerCase() === name.toLowerCase());
-    if (existingTask) {
-      return res.status(409).json({
-        error: 'Task with this name already exists'
+    // Validate time window, weekday and duration constraints
+    const constraintError = validateConstraints(req.body);
+    if (constraintError) {
+      return res.status(400).json({
+        error: 'Invalid constraints',
+        message: constraintError
       });
     }
 
-    // Create new task
-    const newTask = {
-      id: (tasksData.lastId + 1).toString(),
-      name: name.trim(),
-      type,
-      criteria,
-      channels,
-      days,
-      active,
-      priority,
-      preBuffer,
-      postBuffer,
-      folder,
-      series,
-      defaultDuration,
-      createdAt: new Date().toISOString(),
-      lastRun: null,
-      matchCount: 0,
-      timerCount: 0
-    };
+    // Not inserted when a task with this name (case-insensitive) exists, the ID is assigned on insert
+    const newTask = await insertListItem('tasks.json', buildTask(null, req.body), { name });
 
-    // Add to tasks
-    tasksData.tasks.push(newTask);
-    tasksData.lastId++;
+    if (!newTask) {
+      return res.status(409).json({
+        error: 'Task with this name already exists'
+      });
+    }
 
-    // Save to file
-    await writeJsonFile('tasks.json', tasksData);
     await appendLog(`Task created: "${name}" (${type})`);
 
     console.log(`✅ Created task: "${name}"`);
 
-    res.status(201).json({
+    res.status(201).set('ETag', getTaskETag(newTask)).json({
       success: true,
       message: 'Task created successfully',
       data: newTask
@@ -119,42 +110,304 @@ router.post('/', async (req, res) => {
 });
 
 /**
- * PUT /api/tasks/:id
- * Update a task
+ * GET /api/tasks/export?ids=1,2&channels=true
+ * Download tasks as a versioned bundle, optionally with the channel mappings they reference
  */
-router.put('/:id', async (req, res) => {
+router.get('/export', async (req, res) => {
   try {
-    const { id } = req.params;
-    const updates = req.body;
+    const ids = req.query.ids ? req.query.ids.split(',').map(id => id.trim()).filter(Boolean) : null;
+    const bundle = await taskBundle.export({
+      ids,
+      includeChannels: req.query.channels === 'true'
+    });
 
-    const tasksData = await readJsonFile('tasks.json');
-    const taskIndex = tasksData.tasks.findIndex(t => t.id === id);
+    const date = bundle.exportedAt.slice(0, 10);
+    res.setHeader('Content-Disposition', `attachment; filename="epg-tasks-${date}.json"`);
+    res.json(bundle);
+
+  } catch (error) {
+    console.error('Error exporting tasks:', error);
+    res.status(500).json({
+      error: 'Failed to export tasks',
+      message: error.message
+    });
+  }
+});
+
+/**
+ * POST /api/tasks/import
+ * Import a task bundle
+ * Body: { bundle, onConflict: 'skip' | 'rename' | 'overwrite', importChannels: true }
+ */
+router.post('/import', async (req, res) => {
+  try {
+    const { bundle, onConflict = 'skip', importChannels = true } = req.body;
 
-    if (taskIndex === -1) {
+    const errors = taskBundle.validate(bundle, onConflict);
+    if (errors.length > 0) {
+      return res.status(400).json({
+        error: 'Invalid task bundle',
+        message: errors.map(e => (e.index !== null ? `Task ${e.index + 1}${e.name ? ` "${e.name}"` : ''}: ` : '') + e.message).join('; '),
+        errors
+      });
+    }
+
+    const result = await taskBundle.import(bundle, { onConflict, importChannels: Boolean(importChannels) });
+    const imported = result.created.length + result.overwritten.length + result.renamed.length;
+
+    console.log(`📥 Imported ${imported} tasks (${result.skipped.length} skipped)`);
+
+    res.json({
+      success: true,
+      message: `${imported} tasks imported`,
+      data: result
+    });
+
+  } catch (error) {
+    console.error('Error importing tasks:', error);
+    res.status(500).json({
+      error: 'Failed to import tasks',
+      message: error.message
+    });
+  }
+});
+
+/**
+ * POST /api/tasks/preview
+ * Dry run of unsaved task settings against the cached EPG, creates no timers
+ */
+router.post('/preview', async (req, res) => {
+  try {
+    const { type, criteria } = req.body;
+
+    if (!type || !criteria) {
+      return res.status(400).json({
+        error: 'Missing required fields',
+        required: ['type', 'criteria']
+      });
+    }
+
+    if (!VALID_TYPES.includes(type)) {
+      return res.status(400).json({
+        error: 'Invalid task type',
+        validTypes: VALID_TYPES
+      });
+    }
+
+    const criteriaError = validateCriteria(type, criteria) || validateConstraints(req.body);
+    if (criteriaError) {
+      return res.status(400).json({
+        error: 'Invalid criteria',
+        message: criteriaError
+      });
+    }
+
+    const task = {
+      priority: 50,
+      preBuffer: 5,
+      postBuffer: 10,
+      folder: 'Auto',
+      defaultDuration: 120,
+      ...req.body,
+      id: req.body.id || null,
+      name: req.body.name || 'Vorschau'
+    };
+
+    const preview = await scheduler.previewTask(task);
+
+    res.json({
+      success: true,
+      count: preview.matches.length,
+      data: preview
+    });
+
+  } catch (error) {
+    console.error('Error previewing task:', error);
+    res.status(500).json({
+      error: 'Failed to preview task',
+      message: error.message
+    });
+  }
+});
+
+/**
+ * GET /api/tasks/:id/preview
+ * Dry run of a saved task against the cached EPG, creates no timers
+ */
+router.get('/:id/preview', async (req, res) => {
+  try {
+    const [task] = await findListItems('tasks.json', { id: req.params.id });
+
+    if (!task) {
       return res.status(404).json({
         error: 'Task not found'
       });
     }
 
-    // Update task
-    const originalTask = tasksData.tasks[taskIndex];
-    const updatedTask = {
-      ...originalTask,
-      ...updates,
-      id: originalTask.id, // Preserve ID
-      createdAt: originalTask.createdAt, // Preserve creation date
-      updatedAt: new Date().toISOString()
+    const preview = await scheduler.previewTask(task);
+
+    res.json({
+      success: true,
+      count: preview.matches.length,
+      data: preview
+    });
+
+  } catch (error) {
+    console.error('Error previewing task:', error);
+    res.status(500).json({
+      error: 'Failed to preview task',
+      message: error.message
+    });
+  }
+});
+
+/**
+ * GET /api/tasks/exclusions
+ * Get the global exclusions applied to all tasks
+ */
+router.get('/exclusions', async (req, res) => {
+  try {
+    const exclusions = normalizeExclusions(await getConfig('exclusions'));
+
+    res.json({
+      success: true,
+      data: exclusions
+    });
+
+  } catch (error) {
+    console.error('Error loading exclusions:', error);
+    res.status(500).json({
+      error: 'Failed to load exclusions',
+      message: error.message
+    });
+  }
+});
+
+/**
+ * PUT /api/tasks/exclusions
+ * Replace the global exclusions (titles, channels, genres, excludeRepeats, minDuration)
+ */
+router.put('/exclusions', async (req, res) => {
+  try {
+    const validationError = validateExclusions(req.body);
+    if (validationError) {
+      return res.status(400).json({
+        error: 'Invalid exclusions',
+        message: validationError
+      });
+    }
+
+    const exclusions = normalizeExclusions(req.body);
+    await updateConfig('exclusions', exclusions);
+    await appendLog(`Global exclusions updated: ${exclusions.titles.length} titles, ${exclusions.channels.length} channels, ${exclusions.genres.length} genres`);
+
+    console.log('🚫 Updated global exclusions');
+
+    res.json({
+      success: true,
+      message: 'Exclusions updated successfully',
+      data: exclusions
+    });
+
+  } catch (error) {
+    console.error('Error updating exclusions:', error);
+    res.status(500).json({
+      error: 'Failed to update exclusions',
+      message: error.message
+    });
+  }
+});
+
+/**
+ * Validate the changes of a task update, returns an error response ({ status, body }) or null
+ */
+function getUpdateError(originalTask, updates) {
+  // Validate changed type or criteria
+  if (updates.type !== undefined || updates.criteria !== undefined) {
+    const type = updates.type ?? originalTask.type;
+
+    if (!VALID_TYPES.includes(type)) {
+      return {
+        status: 400,
+        body: { error: 'Invalid task type', validTypes: VALID_TYPES }
+      };
+    }
+
+    const criteriaError = validateCriteria(type, updates.criteria ?? originalTask.criteria);
+    if (criteriaError) {
+      return {
+        status: 400,
+        body: { error: 'Invalid criteria', message: criteriaError }
+      };
+    }
+  }
+
+  const constraintError = validateConstraints({ ...originalTask, ...updates });
+  if (constraintError) {
+    return {
+      status: 400,
+      body: { error: 'Invalid constraints', message: constraintError }
     };
+  }
+
+  return null;
+}
+
+/**
+ * PUT /api/tasks/:id
+ * Update a task
+ * Send the task's ETag as If-Match header (or its revision in the body) to reject the
+ * update with 412 when the task was changed since it was loaded.
+ */
+router.put('/:id', async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { revision, ...updates } = req.body;
+    let rejection = { status: 404, body: { error: 'Task not found' } };
+
+    // Checked and applied under the file lock, so concurrent edits and runs are not overwritten
+    const updatedTask = await updateListItem('tasks.json', id, (originalTask) => {
+      rejection = null;
+
+      if (!matchesRevision(originalTask, req.get('If-Match'), revision)) {
+        rejection = {
+          status: 412,
+          body: {
+            error: 'Task was changed in the meantime',
+            message: 'Reload the task and apply your changes again',
+            data: originalTask
+          }
+        };
+        return false;
+      }
+
+      rejection = getUpdateError(originalTask, updates);
+      if (rejection) {
+        return false;
+      }
+
+      return {
+        ...originalTask,
+        ...updates,
+        id: originalTask.id, // Preserve ID
+        createdAt: originalTask.createdAt, // Preserve creation date
+        revision: (originalTask.revision || 0) + 1,
+        updatedAt: new Date().toISOString()
+      };
+    });
 
-    tasksData.tasks[taskIndex] = updatedTask;
+    if (rejection) {
+      if (rejection.body.data) {
+        res.set('ETag', getTaskETag(rejection.body.data));
+      }
+      return res.status(rejection.status).json(rejection.body);
+    }
 
-    // Save to file
-    await writeJsonFile('tasks.json', tasksData);
     await appendLog(`Task updated: "${updatedTask.name}"`);
 
     console.log(`📝 Updated task: "${updatedTask.name}"`);
 
-    res.json({
+    res.set('ETag', getTaskETag(updatedTask)).json({
       success: true,
       message: 'Task updated successfully',
       data: updatedTask
@@ -177,25 +430,18 @@ router.delete('/:id', async (req, res) => {
   try {
     const { id } = req.params;
 
-    const tasksData = await readJsonFile('tasks.json');
-    const taskIndex = tasksData.tasks.findIndex(t => t.id === id);
+    const [deleted] = await removeListItems('tasks.json', { id });
 
-    if (taskIndex === -1) {
+    if (!deleted) {
       return res.status(404).json({
         error: 'Task not found'
       });
     }
 
-    const taskName = tasksData.tasks[taskIndex].name;
-    
-    // Remove task
-    tasksData.tasks.splice(taskIndex, 1);
-
-    // Save to file
-    await writeJsonFile('tasks.json', tasksData);
-    await appendLog(`Task deleted: "${taskName}"`);
+    await taskRunLog.removeTask(id);
+    await appendLog(`Task deleted: "${deleted.name}"`);
 
-    console.log(`🗑️ Deleted task: "${taskName}"`);
+    console.log(`🗑️ Deleted task: "${deleted.name}"`);
 
     res.json({
       success: true,
@@ -219,8 +465,7 @@ router.post('/:id/execute', async (req, res) => {
   try {
     const { id } = req.params;
 
-    const tasksData = await readJsonFile('tasks.json');
-    const task = tasksData.tasks.find(t => t.id === id);
+    const [task] = await findListItems('tasks.json', { id });
 
     if (!task) {
       return res.status(404).json({
@@ -230,25 +475,17 @@ router.post('/:id/execute', async (req, res) => {
 
     console.log(`🚀 Executing task manually: "${task.name}"`);
 
+    // Task stats are updated with the run report
     const result = await scheduler.executeTaskNow(id);
 
-    // Update task stats
-    const taskIndex = tasksData.tasks.findIndex(t => t.id === id);
-    if (taskIndex !== -1) {
-      tasksData.tasks[taskIndex].lastRun = new Date().toISOString();
-      tasksData.tasks[taskIndex].matchCount += result.matches;
-      tasksData.tasks[taskIndex].timerCount += result.timersCreated;
-      
-      await writeJsonFile('tasks.json', tasksData);
-    }
-
     res.json({
       success: true,
       message: 'Task executed successfully',
       data: {
         taskName: task.name,
         matches: result.matches,
-        timersCreated: result.timersCreated
+        timersCreated: result.timersCreated,
+        runId: result.runId
       }
     });
 
@@ -261,6 +498,38 @@ router.post('/:id/execute', async (req, res) => {
   }
 });
 
+/**
+ * GET /api/tasks/:id/runs?limit=20
+ * Get the run history of a task, newest first
+ */
+router.get('/:id/runs', async (req, res) => {
+  try {
+    const [task] = await findListItems('tasks.json', { id: req.params.id });
+
+    if (!task) {
+      return res.status(404).json({
+        error: 'Task not found'
+      });
+    }
+
+    const limit = parseInt(req.query.limit) || undefined;
+    const runs = await taskRunLog.list(task.id, limit);
+
+    res.json({
+      success: true,
+      count: runs.length,
+      data: runs
+    });
+
+  } catch (error) {
+    console.error('Error loading task runs:', error);
+    res.status(500).json({
+      error: 'Failed to load task runs',
+      message: error.message
+    });
+  }
+});
+
 /**
  * POST /api/tasks/:id/toggle
  * Toggle task active status
@@ -269,28 +538,24 @@ router.post('/:id/toggle', async (req, res) => {
   try {
     const { id } = req.params;
 
-    const tasksData = await readJsonFile('tasks.json');
-    const taskIndex = tasksData.tasks.findIndex(t => t.id === id);
+    const task = await updateListItem('tasks.json', id, (stored) => {
+      // Toggle active status
+      stored.active = !stored.active;
+      stored.revision = (stored.revision || 0) + 1;
+      stored.updatedAt = new Date().toISOString();
+    });
 
-    if (taskIndex === -1) {
+    if (!task) {
       return res.status(404).json({
         error: 'Task not found'
       });
     }
 
-    // Toggle active status
-    tasksData.tasks[taskIndex].active = !tasksData.tasks[taskIndex].active;
-    tasksData.tasks[taskIndex].updatedAt = new Date().toISOString();
-
-    const task = tasksData.tasks[taskIndex];
-
-    // Save to file
-    await writeJsonFile('tasks.json', tasksData);
     await appendLog(`Task ${task.active ? 'activated' : 'deactivated'}: "${task.name}"`);
 
     console.log(`🔄 Task "${task.name}" ${task.active ? 'activated' : 'deactivated'}`);
 
-    res.json({
+    res.set('ETag', getTaskETag(task)).json({
       success: true,
       message: `Task ${task.active ? 'activated' : 'deactivated'}`,
       data: task
@@ -323,6 +588,13 @@ router.get('/types', (req, res) => {
       criteriaType: 'string',
       example: 'Tagesschau'
     },
+    'title_fuzzy': {
+      name: 'Ähnlicher Titel',
+      description: 'Sucht unscharf nach dem Titel: Umlaute, Satzzeichen, Artikel, Zusätze und Tippfehler werden toleriert. Die Schwelle (0.5 - 1) bestimmt, wie ähnlich der Titel sein muss.',
+      criteriaType: 'fuzzy',
+      defaultThreshold: DEFAULT_FUZZY_THRESHOLD,
+      example: { title: 'Sendung mit der Maus', threshold: DEFAULT_FUZZY_THRESHOLD }
+    },
     'genre': {
       name: 'Genre',
       description: 'Sucht nach Sendungen eines bestimmten Genres',
@@ -340,6 +612,34 @@ router.get('/types', (req, res) => {
       description: 'Erweiterte Suche mit regulären Ausdrücken',
       criteriaType: 'string',
       example: '^(Tatort|Polizeiruf).*'
+    },
+    'description_contains': {
+      name: 'Beschreibung enthält',
+      description: 'Sucht im Beschreibungstext der Sendungen (lädt die Detailseiten, dauert länger)',
+      criteriaType: 'string',
+      example: 'Antarktis'
+    },
+    'person': {
+      name: 'Mitwirkende',
+      description: 'Sucht nach Sendungen mit einer Person als Darsteller oder Regie (lädt die Detailseiten, dauert länger)',
+      criteriaType: 'string',
+      example: 'Bjarne Mädel'
+    },
+    'rule': {
+      name: 'Regelwerk',
+      description: 'Verschachtelte UND/ODER/NICHT-Regeln über Titel, Untertitel, Genre, Beschreibung, Darsteller (actor), Regie (director), Sender, Wochentag (0 = Sonntag), Startzeit, Dauer (Minuten) und Wiederholung',
+      criteriaType: 'rule',
+      fields: RULE_FIELDS,
+      operators: FIELD_OPERATORS,
+      example: {
+        operator: 'and',
+        rules: [
+          { field: 'genre', op: 'contains', value: 'Krimi' },
+          { field: 'channel', op: 'in', value: ['37', '71'] },
+          { operator: 'not', rules: [{ field: 'repeat', op: 'equals', value: true }] },
+          { field: 'startTime', op: 'gte', value: '20:00' }
+        ]
+      }
     }
   };
 
@@ -349,6 +649,58 @@ router.get('/types', (req, res) => {
   });
 });
 
+/**
+ * GET /api/tasks/series
+ * Get the episodes recorded by series tasks
+ */
+router.get('/series', async (req, res) => {
+  try {
+    const series = await episodeStore.list();
+
+    res.json({
+      success: true,
+      count: Object.keys(series).length,
+      data: series
+    });
+
+  } catch (error) {
+    console.error('Error loading series episodes:', error);
+    res.status(500).json({
+      error: 'Failed to load series episodes',
+      message: error.message
+    });
+  }
+});
+
+/**
+ * DELETE /api/tasks/series/:seriesKey/:episodeKey
+ * Forget a recorded episode so series tasks record it again
+ */
+router.delete('/series/:seriesKey/:episodeKey', async (req, res) => {
+  try {
+    const { seriesKey, episodeKey } = req.params;
+    const removed = await episodeStore.remove(seriesKey, episodeKey);
+
+    if (!removed) {
+      return res.status(404).json({
+        error: 'Episode not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'Episode forgotten'
+    });
+
+  } catch (error) {
+    console.error('Error removing series episode:', error);
+    res.status(500).json({
+      error: 'Failed to remove series episode',
+      message: error.message
+    });
+  }
+});
+
 /**
  * GET /api/tasks/scheduler/status
  * Get scheduler status
@@ -368,4 +720,32 @@ router.get('/scheduler/status', (req, res) => {
   }
 });
 
+/**
+ * GET /api/tasks/:id
+ * Get a single task, its ETag is used for conflict-free updates
+ */
+router.get('/:id', async (req, res) => {
+  try {
+    const [task] = await findListItems('tasks.json', { id: req.params.id });
+
+    if (!task) {
+      return res.status(404).json({
+        error: 'Task not found'
+      });
+    }
+
+    res.set('ETag', getTaskETag(task)).json({
+      success: true,
+      data: task
+    });
+
+  } catch (error) {
+    console.error('Error loading task:', error);
+    res.status(500).json({
+      error: 'Failed to load task',
+      message: error.message
+    });
+  }
+});
+
 module.exports = router;
\ No newline at end of file
@@ -1,6 +1,33 @@
 const express = require('express');
 const router = express.Router();
 const timerService = require('../services/timerService');
+const epgService = require('../services/epgService');
+const timerRegistry = require('../services/timerRegistry');
+const conflictService = require('../services/conflictService');
+const { scheduler } = require('../utils/scheduler');
+
+/**
+ * GET /api/timer
+ * Get all timers scheduled in DVB Viewer
+ */
+router.get('/', async (req, res) => {
+  try {
+    const timers = await timerService.getTimers();
+
+    res.json({
+      success: true,
+      count: timers.length,
+      data: timers
+    });
+
+  } catch (error) {
+    console.error('Timer list error:', error);
+    res.status(500).json({
+      error: 'Failed to load timers',
+      message: error.message
+    });
+  }
+});
 
 /**
  * POST /api/timer
@@ -80,14 +107,17 @@ router.post('/', async (req, res) => {
 
     console.log('🎬 Creating timer:', timerData);
 
-    const result = await timerService.createTimer(timerData);
+    const warnings = await conflictService.checkTimer(timerData);
+    const result = await timerService.createTimer(timerData, { source: 'manual' });
 
     if (result.success) {
       res.json({
         success: true,
         message: 'Timer created successfully',
+        warnings,
         data: {
           ...timerData,
+          registryId: result.registryId,
           createdAt: new Date().toISOString()
         }
       });
@@ -130,7 +160,10 @@ router.post('/quick', async (req, res) => {
       });
     }
 
-    // Convert day offset to actual date
+    // Programs without successor get their end from the detail page
+    const fullProgram = await epgService.completeProgramEnd(program);
+
+    // Convert day offset to actual date if the program has no absolute date
     const today = new Date();
     const targetDate = new Date(today);
     targetDate.setDate(today.getDate() + (program.day || 0));
@@ -138,9 +171,9 @@ router.post('/quick', async (req, res) => {
     const timerData = {
       channelId: program.channelId,
       title: program.title,
-      date: timerService.formatDate(targetDate),
+      date: program.date || timerService.formatDate(targetDate),
       startTime: program.time,
-      endTime: program.endTime || timerService.calculateEndTime(program.time, 120), // Default 2h
+      endTime: fullProgram.endTime || timerService.calculateEndTime(program.time, 120), // Default 2h
       epgBefore: epgBefore || 5,
       epgAfter: epgAfter || 10,
       folder: folder || 'Auto',
@@ -150,15 +183,21 @@ router.post('/quick', async (req, res) => {
 
     console.log('⚡ Creating quick timer from program:', program.title);
 
-    const result = await timerService.createTimer(timerData);
+    const warnings = await conflictService.checkTimer(timerData);
+    const result = await timerService.createTimer(timerData, {
+      source: 'quick',
+      broadcastId: program.id
+    });
 
     if (result.success) {
       res.json({
         success: true,
         message: 'Timer created successfully from program',
+        warnings,
         data: {
           ...timerData,
           programId: program.id,
+          registryId: result.registryId,
           createdAt: new Date().toISOString()
         }
       });
@@ -179,6 +218,163 @@ router.post('/quick', async (req, res) => {
   }
 });
 
+/**
+ * POST /api/timer/check
+ * Check timer data for tuner conflicts without creating it
+ */
+router.post('/check', async (req, res) => {
+  try {
+    const {
+      timerId, // Optional: timer being edited
+      channelId,
+      date,
+      startTime,
+      endTime,
+      epgBefore,
+      epgAfter
+    } = req.body;
+
+    if (!channelId || !date || !startTime || !endTime) {
+      return res.status(400).json({
+        error: 'Missing required fields',
+        required: ['channelId', 'date', 'startTime', 'endTime']
+      });
+    }
+
+    if (!/^\d{2}\.\d{2}\.\d{4}$/.test(date) || !/^\d{2}:\d{2}$/.test(startTime) || !/^\d{2}:\d{2}$/.test(endTime)) {
+      return res.status(400).json({
+        error: 'Invalid date or time format. Expected DD.MM.YYYY and HH:MM'
+      });
+    }
+
+    const conflicts = await conflictService.checkTimer(
+      { channelId, date, startTime, endTime, epgBefore: epgBefore ?? 5, epgAfter: epgAfter ?? 10 },
+      { ignoreTimerIds: timerId ? [timerId] : [] }
+    );
+
+    res.json({
+      success: true,
+      hasConflicts: conflicts.length > 0,
+      data: conflicts
+    });
+
+  } catch (error) {
+    console.error('Conflict check error:', error);
+    res.status(500).json({
+      error: 'Conflict check failed',
+      message: error.message
+    });
+  }
+});
+
+/**
+ * GET /api/timer/registry
+ * Get all timers created by this tool with their lifecycle history
+ * Query: status, source, taskId, broadcastId, from/to (YYYY-MM-DD program start date)
+ */
+router.get('/registry', async (req, res) => {
+  try {
+    const { status, source, taskId, broadcastId, from, to } = req.query;
+
+    for (const [name, value] of Object.entries({ from, to })) {
+      if (value !== undefined && !/^\d{4}-\d{2}-\d{2}$/.test(value)) {
+        return res.status(400).json({
+          error: `${name} must be a date in the format YYYY-MM-DD`
+        });
+      }
+    }
+
+    const entries = await timerRegistry.list({ status, source, taskId, broadcastId, from, to });
+
+    res.json({
+      success: true,
+      count: entries.length,
+      data: entries
+    });
+
+  } catch (error) {
+    console.error('Timer registry error:', error);
+    res.status(500).json({
+      error: 'Failed to load timer registry',
+      message: error.message
+    });
+  }
+});
+
+/**
+ * POST /api/timer/registry/reconcile
+ * Update registry states against DVB Viewer now
+ */
+router.post('/registry/reconcile', async (req, res) => {
+  try {
+    const changes = await timerService.reconcileRegistry();
+
+    res.json({
+      success: true,
+      message: `${changes.length} timer states updated`,
+      data: changes
+    });
+
+  } catch (error) {
+    console.error('Timer reconcile error:', error);
+    res.status(500).json({
+      error: 'Failed to reconcile timers',
+      message: error.message
+    });
+  }
+});
+
+/**
+ * POST /api/timer/registry/recheck
+ * Check timers of the next 24 hours against the current EPG now and follow schedule changes
+ */
+router.post('/registry/recheck', async (req, res) => {
+  try {
+    const summary = await scheduler.runTaskCheck();
+
+    res.json({
+      success: true,
+      message: `${summary.checked} timers checked, ${summary.updated.length} moved, ${summary.deleted.length} deleted`,
+      data: summary
+    });
+
+  } catch (error) {
+    console.error('Timer recheck error:', error);
+    res.status(500).json({
+      error: 'Failed to recheck timers',
+      message: error.message
+    });
+  }
+});
+
+/**
+ * GET /api/timer/registry/:id
+ * Get a single registry entry
+ */
+router.get('/registry/:id', async (req, res) => {
+  try {
+    const entry = await timerRegistry.get(req.params.id);
+
+    if (!entry) {
+      return res.status(404).json({
+        error: 'Registry entry not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      data: entry
+    });
+
+  } catch (error) {
+    console.error('Timer registry error:', error);
+    res.status(500).json({
+      error: 'Failed to load registry entry',
+      message: error.message
+    });
+  }
+});
+
 /**
  * GET /api/timer/test
  * Test DVB Viewer connection
@@ -290,4 +486,134 @@ router.get('/validate', async (req, res) => {
   }
 });
 
+/**
+ * PUT /api/timer/:id
+ * Update an existing timer (missing fields keep their current value)
+ */
+router.put('/:id', async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    const existingTimer = await timerService.getTimer(id);
+    if (!existingTimer) {
+      return res.status(404).json({
+        error: 'Timer not found',
+        id
+      });
+    }
+
+    const updates = req.body;
+    const startTime = updates.startTime || existingTimer.startTime;
+
+    // Calculate endTime if only a new duration is provided
+    let endTime = updates.endTime;
+    if (!endTime && updates.duration) {
+      endTime = timerService.calculateEndTime(startTime, parseInt(updates.duration));
+    }
+
+    const timerData = {
+      channelId: updates.channelId || existingTimer.channelId,
+      title: (updates.title || existingTimer.title).trim(),
+      date: updates.date || existingTimer.date,
+      startTime,
+      endTime: endTime || existingTimer.endTime,
+      epgBefore: updates.epgBefore ?? existingTimer.epgBefore,
+      epgAfter: updates.epgAfter ?? existingTimer.epgAfter,
+      folder: updates.folder ?? existingTimer.folder,
+      priority: updates.priority ?? existingTimer.priority,
+      series: updates.series ?? existingTimer.series
+    };
+
+    if (!timerData.channelId) {
+      return res.status(400).json({
+        error: 'Timer channel is not mapped, channelId required'
+      });
+    }
+
+    if (!/^\d{2}\.\d{2}\.\d{4}$/.test(timerData.date)) {
+      return res.status(400).json({
+        error: 'Invalid date format. Expected DD.MM.YYYY'
+      });
+    }
+
+    const timeRegex = /^\d{2}:\d{2}$/;
+    if (!timeRegex.test(timerData.startTime) || !timeRegex.test(timerData.endTime)) {
+      return res.status(400).json({
+        error: 'Invalid time format. Expected HH:MM'
+      });
+    }
+
+    console.log(`✏️ Updating timer ${id}:`, timerData);
+
+    const warnings = await conflictService.checkTimer(timerData, { ignoreTimerIds: [id] });
+    const result = await timerService.updateTimer(id, timerData);
+
+    if (result.success) {
+      res.json({
+        success: true,
+        message: 'Timer updated successfully',
+        warnings,
+        data: {
+          ...timerData,
+          id,
+          updatedAt: new Date().toISOString()
+        }
+      });
+    } else {
+      res.status(500).json({
+        success: false,
+        error: result.message,
+        details: result.error
+      });
+    }
+
+  } catch (error) {
+    console.error('Timer update error:', error);
+    res.status(500).json({
+      error: 'Failed to update timer',
+      message: error.message
+    });
+  }
+});
+
+/**
+ * DELETE /api/timer/:id
+ * Delete a timer
+ */
+router.delete('/:id', async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    const existingTimer = await timerService.getTimer(id);
+    if (!existingTimer) {
+      return res.status(404).json({
+        error: 'Timer not found',
+        id
+      });
+    }
+
+    const result = await timerService.deleteTimer(id);
+
+    if (result.success) {
+      res.json({
+        success: true,
+        message: 'Timer deleted successfully'
+      });
+    } else {
+      res.status(500).json({
+        success: false,
+        error: result.message,
+        details: result.error
+      });
+    }
+
+  } catch (error) {
+    console.error('Timer delete error:', error);
+    res.status(500).json({
+      error: 'Failed to delete timer',
+      message: error.message
+    });
+  }
+});
+
 module.exports = router;
\ No newline at end of file
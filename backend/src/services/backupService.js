@@ -0,0 +1,357 @@
+const fs = require('fs').promises;
+const { createWriteStream } = require('fs');
+const path = require('path');
+const zlib = require('zlib');
+const { Readable } = require('stream');
+const { pipeline } = require('stream/promises');
+const { promisify } = require('util');
+const { readJsonFile, writeJsonFile, appendLog, getConfig, DATA_DIR } = require('../utils/fileManager');
+const { SCHEMA_VERSION } = require('../utils/migrations');
+const storage = require('../utils/storage');
+const epgService = require('./epgService');
+const { version: APP_VERSION } = require('../../package.json');
+
+const gunzip = promisify(zlib.gunzip);
+
+const BACKUP_FORMAT = 'dvb-epg-manager-backup';
+const BACKUP_VERSION = 1;
+
+// Without these documents a backup is not worth restoring
+const REQUIRED_FILES = ['config.json', 'tasks.json', 'channels.json'];
+
+// Names of data files that are backed up, keeps restored files inside the data directory
+const FILE_NAME_PATTERN = /^[\w.-]+\.(json|log)$/;
+
+// Stored backups, the timestamp keeps them sorted by age
+const BACKUP_FILE_PATTERN = /^backup-\d{8}-\d{6}-[a-z-]+\.json\.gz$/;
+
+// Kept in memory by the EPG cache and written on its own schedule
+const EPG_CACHE_FILE = 'epg_cache.json';
+
+// Large files that are left out with backup.includeLogsAndCache: false
+const LOG_AND_CACHE_FILES = ['app.log', EPG_CACHE_FILE];
+
+const DEFAULT_SETTINGS = {
+  enabled: true,
+  directory: null,
+  keep: 14,
+  includeLogsAndCache: true
+};
+
+/**
+ * The config service, required on use since it loads the scheduler, which loads this module
+ */
+function getConfigService() {
+  return require('./configService');
+}
+
+class BackupService {
+  /**
+   * Get the backup settings from config.json
+   */
+  async getSettings() {
+    const settings = { ...DEFAULT_SETTINGS, ...(await getConfig('backup')) };
+    return {
+      ...settings,
+      directory: settings.directory || process.env.BACKUP_DIR || path.join(DATA_DIR, 'backups')
+    };
+  }
+
+  /**
+   * Names of the data files to back up
+   * Documents in the database are exported as JSON, so backups work across storage backends.
+   */
+  async getFileNames({ includeLogsAndCache = true } = {}) {
+    const entries = await fs.readdir(DATA_DIR, { withFileTypes: true });
+    const names = new Set(storage.getDocumentNames());
+
+    for (const entry of entries) {
+      const excluded = !includeLogsAndCache && LOG_AND_CACHE_FILES.includes(entry.name);
+      if (entry.isFile() && FILE_NAME_PATTERN.test(entry.name) && !excluded) {
+        names.add(entry.name);
+      }
+    }
+
+    return [...names].sort();
+  }
+
+  /**
+   * Generate the backup JSON { files, manifest } in chunks, one data file at a time
+   * The manifest comes last, it lists the files with their sizes.
+   */
+  async *generate() {
+    const createdAt = new Date().toISOString();
+    const manifestFiles = [];
+    const settings = await this.getSettings();
+
+    if (settings.includeLogsAndCache) {
+      // Pending schedules are written first, so the backup has the cache as it is in memory
+      await epgService.flushCache();
+    }
+
+    yield '{"files":{';
+
+    for (const name of await this.getFileNames(settings)) {
+      const content = name.endsWith('.json')
+        ? await readJsonFile(name)
+        : await fs.readFile(path.join(DATA_DIR, name), 'utf-8');
+      const json = JSON.stringify(content);
+
+      yield `${manifestFiles.length > 0 ? ',' : ''}${JSON.stringify(name)}:${json}`;
+      manifestFiles.push({
+        name,
+        size: typeof content === 'string' ? content.length : json.length
+      });
+    }
+
+    const manifest = {
+      format: BACKUP_FORMAT,
+      version: BACKUP_VERSION,
+      schemaVersion: SCHEMA_VERSION,
+      appVersion: APP_VERSION,
+      storage: storage.STORAGE_BACKEND,
+      createdAt,
+      files: manifestFiles
+    };
+
+    yield `},"manifest":${JSON.stringify(manifest)}}`;
+  }
+
+  /**
+   * Create a backup as stream of gzip-compressed JSON
+   * Data files are read while the stream is consumed, errors are emitted on the returned stream.
+   */
+  async createStream() {
+    const source = Readable.from(this.generate());
+    const gzip = zlib.createGzip();
+
+    source.on('error', error => gzip.destroy(error));
+    return source.pipe(gzip);
+  }
+
+  /**
+   * Read an uploaded backup, gzip-compressed or plain JSON
+   */
+  async parseArchive(buffer) {
+    const isGzip = buffer.length > 2 && buffer[0] === 0x1f && buffer[1] === 0x8b;
+    const text = (isGzip ? await gunzip(buffer) : buffer).toString('utf-8');
+    return JSON.parse(text);
+  }
+
+  /**
+   * Validate a backup, returns a list of error messages, empty if valid
+   */
+  validate(backup) {
+    if (!backup || typeof backup !== 'object' || !backup.manifest || !backup.files) {
+      return ['backup must contain a manifest and files'];
+    }
+
+    const { manifest, files } = backup;
+
+    if (manifest.format !== BACKUP_FORMAT) {
+      return [`format must be "${BACKUP_FORMAT}"`];
+    }
+
+    if (!Number.isInteger(manifest.version) || manifest.version < 1 || manifest.version > BACKUP_VERSION) {
+      return [`Unsupported backup version ${manifest.version}, supported up to ${BACKUP_VERSION}`];
+    }
+
+    if (!Number.isInteger(manifest.schemaVersion) || manifest.schemaVersion > SCHEMA_VERSION) {
+      return [`Backup schema version ${manifest.schemaVersion} is newer than this installation (${SCHEMA_VERSION})`];
+    }
+
+    if (typeof files !== 'object' || Array.isArray(files)) {
+      return ['files must be an object'];
+    }
+
+    const errors = [];
+
+    for (const name of REQUIRED_FILES) {
+      if (!files[name]) {
+        errors.push(`${name} is missing`);
+      }
+    }
+
+    for (const [name, content] of Object.entries(files)) {
+      if (!FILE_NAME_PATTERN.test(name)) {
+        errors.push(`Invalid file name "${name}"`);
+      } else if (name.endsWith('.json') && (!content || typeof content !== 'object' || Array.isArray(content))) {
+        errors.push(`${name} must be a JSON object`);
+      } else if (name.endsWith('.log') && typeof content !== 'string') {
+        errors.push(`${name} must be text`);
+      }
+    }
+
+    if (files['tasks.json'] && (!Array.isArray(files['tasks.json'].tasks) || !Number.isInteger(files['tasks.json'].lastId))) {
+      errors.push('tasks.json must contain a task list and lastId');
+    }
+
+    if (files['config.json'] && typeof files['config.json'] === 'object' && !Array.isArray(files['config.json'])) {
+      const configService = getConfigService();
+      const configErrors = configService.validate(configService.withDefaults(files['config.json']));
+      errors.push(...configErrors.map(error => `config.json: ${error}`));
+    }
+
+    return errors;
+  }
+
+  /**
+   * Restore a validated backup
+   * The current data is saved as a backup first. Files missing in the backup are kept.
+   * The restored configuration and EPG cache are applied to the running services.
+   */
+  async restore(backup) {
+    const safetyBackup = await this.save('pre-restore');
+    const previousChannels = await readJsonFile('channels.json');
+    const restored = [];
+
+    for (const [name, content] of Object.entries(backup.files)) {
+      if (name === EPG_CACHE_FILE) {
+        // Written through the cache, so its pending save cannot overwrite the restored file
+        await epgService.restoreCache(content);
+      } else if (name.endsWith('.json')) {
+        await writeJsonFile(name, content);
+      } else {
+        await fs.writeFile(path.join(DATA_DIR, name), content);
+      }
+      restored.push(name);
+    }
+
+    await getConfigService().load();
+    if (!backup.files[EPG_CACHE_FILE]) {
+      // Cached schedules may belong to channel mappings or XMLTV schedules that were just replaced
+      const channelIds = await this.getChangedChannels(backup.files, previousChannels);
+      if (channelIds.length > 0) {
+        epgService.expireCache(channelIds);
+      }
+    }
+
+    await appendLog(`Backup from ${backup.manifest.createdAt} restored: ${restored.length} files (previous data saved as ${safetyBackup.name})`);
+
+    return {
+      restored,
+      backupCreatedAt: backup.manifest.createdAt,
+      safetyBackup: safetyBackup.name
+    };
+  }
+
+  /**
+   * IDs of the channels whose schedules a restore changes:
+   * changed or removed channel mappings and channels of a restored XMLTV guide
+   */
+  async getChangedChannels(files, previousChannels) {
+    const changed = new Set();
+
+    if (files['channels.json']) {
+      const restoredChannels = files['channels.json'];
+      for (const channelId of new Set([...Object.keys(previousChannels), ...Object.keys(restoredChannels)])) {
+        if (JSON.stringify(previousChannels[channelId]) !== JSON.stringify(restoredChannels[channelId])) {
+          changed.add(channelId);
+        }
+      }
+    }
+
+    if (files['xmltv_guide.json']) {
+      const xmltvIds = Object.keys(files['xmltv_guide.json'].programmes || {});
+      (await epgService.findChannelsByXmltvId(xmltvIds)).forEach(channelId => changed.add(channelId));
+    }
+
+    return [...changed];
+  }
+
+  /**
+   * Store a backup in the backup directory and drop the oldest beyond the retention
+   * reason ends up in the file name: 'auto', 'manual' or 'pre-restore'.
+   */
+  async save(reason = 'manual') {
+    const settings = await this.getSettings();
+    await fs.mkdir(settings.directory, { recursive: true });
+
+    const stamp = new Date().toISOString().replace(/[-:]/g, '').replace('T', '-').slice(0, 15);
+    const name = `backup-${stamp}-${reason}.json.gz`;
+    const filepath = path.join(settings.directory, name);
+
+    try {
+      await pipeline(await this.createStream(), createWriteStream(filepath));
+    } catch (error) {
+      // A half-written backup must not be listed or pruned against the complete ones
+      await fs.unlink(filepath).catch(() => {});
+      throw error;
+    }
+    const { size } = await fs.stat(filepath);
+    const removed = await this.prune(settings);
+
+    console.log(`💾 Backup saved: ${name}`);
+    return { name, size, removed };
+  }
+
+  /**
+   * Delete the oldest stored backups beyond the configured count
+   */
+  async prune(settings) {
+    const backups = await this.list(settings);
+    const removed = backups.slice(settings.keep).map(backup => backup.name);
+
+    for (const name of removed) {
+      await fs.unlink(path.join(settings.directory, name));
+    }
+
+    return removed;
+  }
+
+  /**
+   * List stored backups, newest first
+   */
+  async list(settings = null) {
+    const { directory } = settings || await this.getSettings();
+
+    let names;
+    try {
+      names = await fs.readdir(directory);
+    } catch (error) {
+      if (error.code === 'ENOENT') return [];
+      throw error;
+    }
+
+    const backups = [];
+    for (const name of names.filter(n => BACKUP_FILE_PATTERN.test(n)).sort().reverse()) {
+      const stat = await fs.stat(path.join(directory, name));
+      backups.push({ name, size: stat.size, createdAt: stat.mtime.toISOString() });
+    }
+
+    return backups;
+  }
+
+  /**
+   * Read a stored backup file, null if it does not exist
+   */
+  async readStored(name) {
+    if (!BACKUP_FILE_PATTERN.test(name)) {
+      return null;
+    }
+
+    const { directory } = await this.getSettings();
+    try {
+      return await fs.readFile(path.join(directory, name));
+    } catch (error) {
+      if (error.code === 'ENOENT') return null;
+      throw error;
+    }
+  }
+
+  /**
+   * Scheduled backup, skipped when disabled in the settings
+   */
+  async runScheduled() {
+    const settings = await this.getSettings();
+    if (!settings.enabled) {
+      return null;
+    }
+
+    const result = await this.save('auto');
+    await appendLog(`Automatic backup saved: ${result.name}${result.removed.length > 0 ? `, ${result.removed.length} old backups removed` : ''}`);
+    return result;
+  }
+}
+
+module.exports = new BackupService();
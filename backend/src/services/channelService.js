@@ -0,0 +1,197 @@
+const { readJsonFile, updateJsonFile, appendLog } = require('../utils/fileManager');
+const { normalizeChannelName, similarity } = require('../utils/textUtils');
+const { getProvider } = require('./epgProviders');
+
+const UNAVAILABLE_NOTE = 'Nicht in DVB Viewer verfügbar';
+
+// Proposals below this similarity are not offered
+const MIN_MATCH_SCORE = 0.6;
+
+// Fields that can be set on a channel
+const CHANNEL_FIELDS = ['name', 'dvbId', 'dvbEpgId', 'category', 'horzuId', 'epgProvider', 'xmltvId', 'mux', 'note'];
+
+class ChannelService {
+  /**
+   * Get all configured channels
+   */
+  async list() {
+    return readJsonFile('channels.json');
+  }
+
+  /**
+   * Get a single channel
+   */
+  async get(channelId) {
+    const channels = await this.list();
+    return channels[channelId] || null;
+  }
+
+  /**
+   * Pick the known channel fields from input data
+   */
+  pickFields(data) {
+    const channel = {};
+    for (const field of CHANNEL_FIELDS) {
+      if (data[field] !== undefined) {
+        channel[field] = data[field] === null ? null : String(data[field]).trim();
+      }
+    }
+    return channel;
+  }
+
+  /**
+   * Create a channel
+   */
+  async create(channelId, data) {
+    const channel = this.pickFields(data);
+
+    await updateJsonFile('channels.json', (channels) => {
+      if (channels[channelId]) {
+        throw new Error(`Channel ${channelId} already exists`);
+      }
+
+      channels[channelId] = channel;
+    });
+    await appendLog(`Channel created: ${channel.name} (${channelId})`);
+
+    return channel;
+  }
+
+  /**
+   * Update a channel, null removes a field
+   */
+  async update(channelId, data) {
+    let channel = null;
+
+    const updated = await updateJsonFile('channels.json', (channels) => {
+      channel = channels[channelId] || null;
+
+      if (!channel) {
+        return false;
+      }
+
+      for (const [field, value] of Object.entries(this.pickFields(data))) {
+        if (value === null || value === '') {
+          delete channel[field];
+        } else {
+          channel[field] = value;
+        }
+      }
+    });
+
+    if (!updated) {
+      return null;
+    }
+
+    await appendLog(`Channel updated: ${channel.name} (${channelId})`);
+
+    return channel;
+  }
+
+  /**
+   * Delete a channel
+   */
+  async remove(channelId) {
+    let name = null;
+
+    const removed = await updateJsonFile('channels.json', (channels) => {
+      if (!channels[channelId]) {
+        return false;
+      }
+
+      name = channels[channelId].name;
+      delete channels[channelId];
+    });
+
+    if (removed) {
+      await appendLog(`Channel deleted: ${name} (${channelId})`);
+    }
+
+    return removed;
+  }
+
+  /**
+   * Get the channel list of the DVB Viewer Recording Service
+   */
+  async getDvbChannels() {
+    return getProvider('dvbviewer').getChannels();
+  }
+
+  /**
+   * Propose DVB Viewer channels for the configured channels by fuzzy name comparison
+   */
+  async proposeMappings() {
+    const channels = await this.list();
+    const dvbChannels = await this.getDvbChannels();
+    const dvbIds = new Set(dvbChannels.map(c => c.id));
+
+    const candidates = dvbChannels.map(dvbChannel => ({
+      ...dvbChannel,
+      normalized: normalizeChannelName(dvbChannel.name),
+      isHd: /\bu?hd\b/i.test(dvbChannel.name)
+    }));
+
+    return Object.entries(channels).map(([channelId, channel]) => {
+      const normalized = normalizeChannelName(channel.name);
+
+      const ranked = candidates
+        .map(candidate => ({
+          dvbId: candidate.id,
+          name: candidate.name,
+          group: candidate.group,
+          isHd: candidate.isHd,
+          score: Math.round(similarity(normalized, candidate.normalized) * 100) / 100
+        }))
+        .filter(candidate => candidate.score >= MIN_MATCH_SCORE)
+        // HD variants win over SD variants of the same channel
+        .sort((a, b) => b.score - a.score || b.isHd - a.isHd)
+        .slice(0, 3);
+
+      let status = 'unmapped';
+      if (channel.dvbId && dvbIds.has(channel.dvbId)) {
+        status = 'mapped';
+      } else if (channel.dvbId) {
+        status = 'missing';
+      }
+
+      return {
+        channelId,
+        name: channel.name,
+        currentDvbId: channel.dvbId || null,
+        status,
+        proposal: ranked[0] || null,
+        alternatives: ranked.slice(1)
+      };
+    });
+  }
+
+  /**
+   * Apply accepted mappings ([{ channelId, dvbId }])
+   */
+  async applyMappings(mappings) {
+    const applied = [];
+
+    await updateJsonFile('channels.json', (channels) => {
+      for (const { channelId, dvbId } of mappings) {
+        const channel = channels[channelId];
+        if (!channel || !dvbId) continue;
+
+        channel.dvbId = String(dvbId);
+        if (channel.note === UNAVAILABLE_NOTE) {
+          delete channel.note;
+        }
+        applied.push(channelId);
+      }
+
+      return applied.length > 0;
+    });
+
+    if (applied.length > 0) {
+      await appendLog(`Channel mappings applied: ${applied.length} channels`);
+    }
+
+    return applied;
+  }
+}
+
+module.exports = new ChannelService();
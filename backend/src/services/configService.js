@@ -0,0 +1,103 @@
+const { getConfig, updateJsonFile, appendLog, DEFAULT_CONFIG } = require('../utils/fileManager');
+const { CONFIG_SCHEMA, validateConfig } = require('../utils/configUtils');
+const { listProviders } = require('./epgProviders');
+const timerService = require('./timerService');
+const epgService = require('./epgService');
+const { scheduler } = require('../utils/scheduler');
+
+// Sections served and changed by the config API, exclusions have their own route as well
+const SECTIONS = [...Object.keys(CONFIG_SCHEMA), 'exclusions'];
+
+class ConfigService {
+  /**
+   * Merge stored sections over the defaults, so settings added later have values
+   */
+  withDefaults(config) {
+    const result = {};
+    for (const section of SECTIONS) {
+      result[section] = { ...DEFAULT_CONFIG[section], ...config[section] };
+    }
+    return result;
+  }
+
+  /**
+   * Get the editable configuration
+   */
+  async get() {
+    return this.withDefaults(await getConfig());
+  }
+
+  /**
+   * Validate a configuration, returns a list of error messages, empty if valid
+   */
+  validate(config) {
+    const errors = validateConfig(config);
+
+    const provider = config.epg?.provider;
+    if (provider && !listProviders().some(p => p.name === provider)) {
+      errors.push(`Unknown EPG provider: ${provider}`);
+    }
+
+    return errors;
+  }
+
+  /**
+   * Change config sections partially, e.g. { epg: { cacheHours: 12 } }
+   * Returns { errors } without saving anything if the result is invalid, otherwise { config }.
+   * The saved configuration is applied to the running services right away.
+   */
+  async update(changes) {
+    if (!changes || typeof changes !== 'object' || Array.isArray(changes)) {
+      return { errors: ['Configuration changes must be an object'] };
+    }
+
+    let errors = [];
+    let config = null;
+
+    await updateJsonFile('config.json', (stored) => {
+      const current = this.withDefaults(stored);
+      const merged = { ...current };
+
+      for (const [section, values] of Object.entries(changes)) {
+        merged[section] = values && typeof values === 'object' && !Array.isArray(values)
+          ? { ...current[section], ...values }
+          : values;
+      }
+
+      errors = this.validate(merged);
+      if (errors.length > 0) {
+        return false;
+      }
+
+      Object.assign(stored, merged);
+      config = merged;
+    });
+
+    if (errors.length > 0) {
+      return { errors };
+    }
+
+    this.apply(config);
+    await appendLog(`Configuration updated: ${Object.keys(changes).join(', ')}`);
+
+    return { config };
+  }
+
+  /**
+   * Apply the configuration to the running services
+   */
+  apply(config) {
+    timerService.applyConfig(config);
+    epgService.applyConfig(config);
+    scheduler.applyConfig(config);
+  }
+
+  /**
+   * Load the stored configuration into the services on startup
+   */
+  async load() {
+    this.apply(await this.get());
+  }
+}
+
+module.exports = new ConfigService();
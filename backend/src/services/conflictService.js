@@ -0,0 +1,228 @@
+const { getConfig, readJsonFile } = require('../utils/fileManager');
+const timerService = require('./timerService');
+const timerRegistry = require('./timerRegistry');
+const { toBerlinISO } = require('../utils/timeUtils');
+
+const DEFAULT_TUNERS = 2;
+
+class ConflictService {
+  /**
+   * Number of tuners available in the DVB Viewer server
+   */
+  async getTunerCount() {
+    const config = await getConfig();
+    return parseInt(config.dvbViewer?.tuners) || DEFAULT_TUNERS;
+  }
+
+  /**
+   * Tuner key of a channel
+   * Channels sharing a transponder (mux) can be recorded with one tuner.
+   */
+  getMuxKey(channelId, dvbChannelId, channels) {
+    const channel = channelId ? channels[channelId] : null;
+
+    if (channel?.mux) {
+      return `mux:${channel.mux}`;
+    }
+
+    return `dvb:${channel?.dvbId || dvbChannelId || channelId}`;
+  }
+
+  /**
+   * Recording window of timer data including pre/post buffers
+   */
+  getRecordingWindow(timerData) {
+    const { start, end } = timerRegistry.getProgramWindow(timerData);
+
+    return {
+      start: start.getTime() - (parseInt(timerData.epgBefore) || 0) * 60000,
+      end: end.getTime() + (parseInt(timerData.epgAfter) || 0) * 60000
+    };
+  }
+
+  /**
+   * Load all planned recordings
+   * DVB Viewer timers plus registry entries that have not shown up in DVB Viewer yet.
+   * Falls back to the registry alone when DVB Viewer is not reachable.
+   */
+  async loadRecordings(channels) {
+    const entries = await timerRegistry.list();
+    const recordings = [];
+
+    let dvbTimers = null;
+    try {
+      dvbTimers = await timerService.getTimers();
+    } catch (error) {
+      console.warn('⚠️ DVB Viewer not reachable, checking conflicts against registry only');
+    }
+
+    if (dvbTimers) {
+      for (const timer of dvbTimers) {
+        if (timer.status !== 'scheduled' && timer.status !== 'recording') continue;
+
+        const entry = entries.find(e => e.dvbTimerId === timer.id && timerRegistry.isActive(e));
+        recordings.push({
+          id: timer.id,
+          registryId: entry?.id || null,
+          source: entry?.source || 'dvbviewer',
+          taskId: entry?.taskId || null,
+          title: timer.title,
+          channelId: timer.channelId,
+          channelName: timer.channelName,
+          priority: timer.priority,
+          mux: this.getMuxKey(timer.channelId, timer.dvbChannelId, channels),
+          start: new Date(timer.start).getTime() - timer.epgBefore * 60000,
+          end: new Date(timer.end).getTime() + timer.epgAfter * 60000
+        });
+      }
+    }
+
+    for (const entry of entries) {
+      if (!timerRegistry.isActive(entry)) continue;
+      if (dvbTimers && (entry.dvbTimerId || timerRegistry.matchDvbTimer(entry, dvbTimers))) continue;
+
+      const window = this.getRecordingWindow(entry);
+      recordings.push({
+        id: entry.dvbTimerId,
+        registryId: entry.id,
+        source: entry.source,
+        taskId: entry.taskId,
+        title: entry.title,
+        channelId: entry.channelId,
+        channelName: channels[entry.channelId]?.name || entry.channelId,
+        priority: entry.priority,
+        mux: this.getMuxKey(entry.channelId, null, channels),
+        start: window.start,
+        end: window.end
+      });
+    }
+
+    return recordings;
+  }
+
+  /**
+   * Find tuner conflicts of new timer data against planned recordings
+   * Sweeps over all start/end points inside the new recording window and
+   * counts the distinct muxes in use at each point.
+   */
+  findConflicts(timerData, recordings, channels, tuners) {
+    const window = this.getRecordingWindow(timerData);
+    const mux = this.getMuxKey(timerData.channelId, null, channels);
+
+    const overlapping = recordings.filter(r => r.start < window.end && r.end > window.start);
+
+    const points = new Set([window.start]);
+    for (const recording of overlapping) {
+      if (recording.start > window.start) points.add(recording.start);
+      if (recording.end < window.end) points.add(recording.end);
+    }
+
+    const sortedPoints = [...points].sort((a, b) => a - b);
+    const conflicts = [];
+    let current = null;
+
+    for (let i = 0; i < sortedPoints.length; i++) {
+      const segmentStart = sortedPoints[i];
+      const segmentEnd = sortedPoints[i + 1] || window.end;
+
+      const active = overlapping.filter(r => r.start <= segmentStart && r.end > segmentStart);
+      const muxes = new Set(active.map(r => r.mux));
+      muxes.add(mux);
+
+      if (muxes.size > tuners) {
+        if (current && current.end === segmentStart) {
+          current.end = segmentEnd;
+          current.tunersRequired = Math.max(current.tunersRequired, muxes.size);
+          active.forEach(r => current.recordings.add(r));
+        } else {
+          current = {
+            start: segmentStart,
+            end: segmentEnd,
+            tunersRequired: muxes.size,
+            recordings: new Set(active)
+          };
+          conflicts.push(current);
+        }
+      }
+    }
+
+    return conflicts.map(conflict => ({
+      type: 'tuner_conflict',
+      start: toBerlinISO(new Date(conflict.start)),
+      end: toBerlinISO(new Date(conflict.end)),
+      tunersAvailable: tuners,
+      tunersRequired: conflict.tunersRequired,
+      message: `${conflict.tunersRequired} tuners needed at the same time, only ${tuners} available`,
+      timers: [...conflict.recordings]
+        // Recordings on the same mux as the new timer share its tuner
+        .filter(r => r.mux !== mux)
+        .map(r => ({
+          id: r.id,
+          registryId: r.registryId,
+          source: r.source,
+          taskId: r.taskId,
+          title: r.title,
+          channelId: r.channelId,
+          channelName: r.channelName,
+          priority: r.priority,
+          start: toBerlinISO(new Date(r.start)),
+          end: toBerlinISO(new Date(r.end))
+        }))
+    }));
+  }
+
+  /**
+   * Check new timer data for tuner conflicts
+   * options.ignoreTimerIds: DVB timer IDs to leave out (e.g. the timer being edited)
+   */
+  async checkTimer(timerData, options = {}) {
+    const channels = await readJsonFile('channels.json');
+    const tuners = await this.getTunerCount();
+    const ignore = (options.ignoreTimerIds || []).map(String);
+
+    const recordings = (await this.loadRecordings(channels))
+      .filter(r => !r.id || !ignore.includes(String(r.id)));
+
+    return this.findConflicts(timerData, recordings, channels, tuners);
+  }
+
+  /**
+   * Resolve tuner conflicts of timer data by priority
+   * Returns the conflicts and the lower-priority task timers that have to be
+   * displaced to make room, or displace: null if that is not enough.
+   */
+  async resolveByPriority(timerData) {
+    const channels = await readJsonFile('channels.json');
+    const tuners = await this.getTunerCount();
+    const recordings = await this.loadRecordings(channels);
+
+    const conflicts = this.findConflicts(timerData, recordings, channels, tuners);
+    if (conflicts.length === 0) {
+      return { conflicts, displace: [] };
+    }
+
+    // Only timers created by tasks can be displaced, lowest priority first
+    const candidates = new Map();
+    for (const conflict of conflicts) {
+      for (const timer of conflict.timers) {
+        if (timer.source === 'task' && timer.id && (timer.priority || 0) < timerData.priority) {
+          candidates.set(timer.id, timer);
+        }
+      }
+    }
+
+    const displace = [];
+    for (const timer of [...candidates.values()].sort((a, b) => (a.priority || 0) - (b.priority || 0))) {
+      displace.push(timer);
+
+      const remaining = recordings.filter(r => !displace.some(d => d.id === r.id));
+      if (this.findConflicts(timerData, remaining, channels, tuners).length === 0) {
+        return { conflicts, displace };
+      }
+    }
+
+    return { conflicts, displace: null };
+  }
+}
+
+module.exports = new ConflictService();
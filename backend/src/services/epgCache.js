@@ -0,0 +1,241 @@
+const { readJsonFile, writeJsonFile } = require('../utils/fileManager');
+const { getBerlinParts, fromBerlinTime } = require('../utils/timeUtils');
+
+const CACHE_FILE = 'epg_cache.json';
+
+const HOUR_MS = 1000 * 60 * 60;
+
+// Expired schedules are kept as fallback while the provider is unreachable, but not forever
+const MAX_AGE_MS = HOUR_MS * 24 * 3;
+
+// Bounds the file size, a channel day is roughly 20 KB
+const MAX_ENTRIES = 500;
+
+// Fetching all channels stores many schedules in a row, they are written to disk together
+const SAVE_DELAY_MS = 5000;
+
+/**
+ * Cache of fetched EPG schedules, kept in memory and persisted to disk so it survives restarts
+ * Entries are keyed by channel, day offset and time of day and remember the calendar date
+ * they were fetched for, so yesterday's "today" is never served as today.
+ */
+class EPGCache {
+  constructor() {
+    this.entries = new Map();
+    this.saveTimer = null;
+    this.savePromise = null;
+  }
+
+  /**
+   * Load the cached schedules from disk
+   */
+  async load() {
+    try {
+      const stored = await readJsonFile(CACHE_FILE);
+      this.entries = new Map(Object.entries(stored.entries || {}));
+    } catch (error) {
+      // A missing or damaged cache only means fetching again
+      console.warn(`⚠️ EPG cache could not be loaded: ${error.message}`);
+      this.entries = new Map();
+    }
+
+    const removed = this.prune();
+    console.log(`📦 EPG cache loaded: ${this.entries.size} schedules${removed > 0 ? `, ${removed} outdated removed` : ''}`);
+  }
+
+  /**
+   * Replace all schedules with restored ones and write them right away
+   * A pending save of the previous schedules is dropped, so it cannot overwrite the restored file.
+   */
+  async replace(stored) {
+    clearTimeout(this.saveTimer);
+    this.saveTimer = null;
+    if (this.savePromise) {
+      await this.savePromise;
+    }
+
+    this.entries = new Map(Object.entries(stored.entries || {}));
+    this.prune();
+
+    clearTimeout(this.saveTimer);
+    this.saveTimer = null;
+    await this.save();
+  }
+
+  /**
+   * Calendar date (YYYY-MM-DD, Europe/Berlin) of a day offset from today
+   */
+  getDate(day = 0) {
+    const today = getBerlinParts(new Date());
+    const p = getBerlinParts(fromBerlinTime(today.year, today.month, today.day + day, 12));
+    return `${p.year}-${String(p.month).padStart(2, '0')}-${String(p.day).padStart(2, '0')}`;
+  }
+
+  /**
+   * Get the entry { date, fetchedAt, expiresAt, data } of a channel day,
+   * expired entries included, null if there is none for the current date of that day
+   */
+  get(key, day) {
+    const entry = this.entries.get(key);
+    return entry && entry.date === this.getDate(day) ? entry : null;
+  }
+
+  /**
+   * Find a program in the cached schedules of a channel, expired ones included, null if none has it
+   */
+  findProgram(channelId, programId) {
+    for (const entry of this.entries.values()) {
+      if (String(entry.data.channelId) !== String(channelId)) continue;
+
+      const program = entry.data.programs.find(p => p.id === programId);
+      if (program) {
+        return program;
+      }
+    }
+    return null;
+  }
+
+  /**
+   * Whether an entry is still within its cache time
+   */
+  isFresh(entry) {
+    return Date.now() < new Date(entry.expiresAt).getTime();
+  }
+
+  /**
+   * Store a fetched schedule
+   */
+  set(key, day, data, maxAgeMs) {
+    const now = Date.now();
+
+    this.entries.set(key, {
+      date: this.getDate(day),
+      fetchedAt: new Date(now).toISOString(),
+      expiresAt: new Date(now + maxAgeMs).toISOString(),
+      data
+    });
+    this.prune();
+    this.scheduleSave();
+  }
+
+  /**
+   * Mark schedules as expired, all or only those of the given channels
+   * They are fetched again on next access but remain available as fallback.
+   */
+  expire(channelIds = null) {
+    const now = new Date().toISOString();
+    for (const entry of this.entries.values()) {
+      if (!channelIds || channelIds.includes(String(entry.data.channelId))) {
+        entry.expiresAt = now;
+      }
+    }
+    this.scheduleSave();
+  }
+
+  /**
+   * Remove all schedules
+   */
+  clear() {
+    this.entries.clear();
+    this.scheduleSave();
+  }
+
+  /**
+   * Evict schedules of past days and ones older than MAX_AGE_MS,
+   * then the oldest beyond MAX_ENTRIES. Returns the number of removed entries.
+   */
+  prune() {
+    const sizeBefore = this.entries.size;
+    const today = this.getDate(0);
+    const now = Date.now();
+
+    for (const [key, entry] of this.entries) {
+      const tooOld = !entry.fetchedAt || now - new Date(entry.fetchedAt).getTime() > MAX_AGE_MS;
+      const past = !entry.date || entry.date < today;
+      if (tooOld || past) {
+        this.entries.delete(key);
+      }
+    }
+
+    if (this.entries.size > MAX_ENTRIES) {
+      const oldestFirst = [...this.entries.entries()]
+        .sort(([, a], [, b]) => a.fetchedAt.localeCompare(b.fetchedAt));
+
+      for (const [key] of oldestFirst.slice(0, this.entries.size - MAX_ENTRIES)) {
+        this.entries.delete(key);
+      }
+    }
+
+    const removed = sizeBefore - this.entries.size;
+    if (removed > 0) {
+      this.scheduleSave();
+    }
+    return removed;
+  }
+
+  /**
+   * Write the cache to disk shortly, collecting further changes until then
+   */
+  scheduleSave() {
+    if (this.saveTimer) {
+      return;
+    }
+
+    this.saveTimer = setTimeout(() => {
+      this.saveTimer = null;
+      this.savePromise = this.save().finally(() => {
+        this.savePromise = null;
+      });
+    }, SAVE_DELAY_MS);
+
+    // A pending save must not keep the process alive
+    this.saveTimer.unref();
+  }
+
+  /**
+   * Write the cache to disk
+   */
+  async save() {
+    try {
+      await writeJsonFile(CACHE_FILE, {
+        entries: Object.fromEntries(this.entries),
+        savedAt: new Date().toISOString()
+      });
+    } catch (error) {
+      console.error('Failed to save EPG cache:', error.message);
+    }
+  }
+
+  /**
+   * Write pending changes right away, e.g. before shutdown
+   */
+  async flush() {
+    if (this.saveTimer) {
+      clearTimeout(this.saveTimer);
+      this.saveTimer = null;
+      await this.save();
+    } else if (this.savePromise) {
+      await this.savePromise;
+    }
+  }
+
+  /**
+   * Cache statistics
+   */
+  getStats() {
+    let fresh = 0;
+    for (const entry of this.entries.values()) {
+      if (this.isFresh(entry)) fresh++;
+    }
+
+    return {
+      size: this.entries.size,
+      fresh,
+      expired: this.entries.size - fresh,
+      maxEntries: MAX_ENTRIES,
+      keys: Array.from(this.entries.keys())
+    };
+  }
+}
+
+module.exports = new EPGCache();
@@ -0,0 +1,150 @@
+const axios = require('axios');
+const cheerio = require('cheerio');
+const { getConfig } = require('../../utils/fileManager');
+const { parseXmltvTime, toOleDate } = require('../../utils/timeUtils');
+const { getListingDayWindow, setProgramStart, setProgramEnd, fillEndsFromSuccessors } = require('../../utils/programUtils');
+const epgCache = require('../epgCache');
+
+/**
+ * EPG provider reading the guide the DVB Viewer Recording Service has collected
+ */
+class DVBViewerProvider {
+  constructor() {
+    this.name = 'dvbviewer';
+    this.label = 'DVB Viewer';
+  }
+
+  /**
+   * Base URL of the Recording Service
+   */
+  async getBaseUrl() {
+    const config = await getConfig();
+    return `http://${config.dvbViewer.host}`;
+  }
+
+  /**
+   * Get the channel list of the Recording Service
+   */
+  async getChannels() {
+    const response = await axios.get(`${await this.getBaseUrl()}/api/getchannelsxml.html`, {
+      params: { utf8: 1 },
+      timeout: 10000,
+      headers: {
+        'User-Agent': 'DVB-EPG-Manager/1.0'
+      }
+    });
+
+    const $ = cheerio.load(response.data, { xmlMode: true });
+    const channels = [];
+
+    $('channel').each((index, element) => {
+      const $channel = $(element);
+      channels.push({
+        id: $channel.attr('ID'),
+        epgId: $channel.attr('EPGID'),
+        name: $channel.attr('name'),
+        group: $channel.parent('group').attr('name') || null
+      });
+    });
+
+    return channels;
+  }
+
+  /**
+   * Get the schedule of a channel for a day offset
+   */
+  async getSchedule(channelId, channel, day = 0) {
+    const epgChannelId = channel.dvbEpgId || channel.dvbId;
+    if (!epgChannelId) {
+      throw new Error(`Channel ${channelId} has no DVB Viewer channel ID`);
+    }
+
+    const { from, to } = getListingDayWindow(day);
+
+    const response = await axios.get(`${await this.getBaseUrl()}/api/epg.html`, {
+      params: {
+        lvl: 2,
+        channel: epgChannelId,
+        start: toOleDate(from),
+        end: toOleDate(to),
+        utf8: 1
+      },
+      timeout: 10000,
+      headers: {
+        'User-Agent': 'DVB-EPG-Manager/1.0'
+      }
+    });
+
+    return {
+      channelName: channel.name || '',
+      programs: this.parseEPGXml(response.data, channelId, day)
+    };
+  }
+
+  /**
+   * Parse EPG XML of the Recording Service (XMLTV-like <programme> entries)
+   */
+  parseEPGXml(xml, channelId, day) {
+    const $ = cheerio.load(xml, { xmlMode: true });
+    const programs = [];
+
+    $('programme').each((index, element) => {
+      const $programme = $(element);
+      const start = parseXmltvTime($programme.attr('start'));
+      const stop = parseXmltvTime($programme.attr('stop'));
+      const eventId = $programme.find('eventid').text().trim();
+      if (!start || !eventId) return;
+
+      const id = `${this.name}:${channelId}:${eventId}`;
+      const program = setProgramStart({
+        id,
+        channelId: channelId,
+        endTime: null,
+        end: null,
+        duration: null,
+        title: $programme.find('titles title').first().text().trim(),
+        // Kept with the schedule, the Recording Service has no detail lookup
+        subtitle: $programme.find('events event').first().text().trim(),
+        description: $programme.find('descriptions description').first().text().trim(),
+        genre: $programme.find('content').first().text().trim(),
+        day: day,
+        detailUrl: null
+      }, start);
+
+      if (stop && stop > start) {
+        setProgramEnd(program, stop);
+      }
+
+      programs.push(program);
+    });
+
+    programs.sort((a, b) => new Date(a.start) - new Date(b.start));
+    return fillEndsFromSuccessors(programs);
+  }
+
+  /**
+   * Get program details
+   * The Recording Service has no detail lookup, details come from the cached schedule
+   * the program was listed in, so they survive restarts and are evicted with it.
+   */
+  async getProgramDetails(programId) {
+    const channelId = programId.slice(programId.indexOf(':') + 1, programId.lastIndexOf(':'));
+    const program = epgCache.findProgram(channelId, programId);
+    if (!program) {
+      throw new Error('Program details not available, reload the EPG of this channel');
+    }
+
+    return {
+      date: program.date,
+      time: program.time,
+      channel: channelId,
+      title: program.title,
+      subtitle: program.subtitle || '',
+      description: program.description || '',
+      duration: program.duration,
+      additionalInfo: ''
+    };
+  }
+}
+
+module.exports = new DVBViewerProvider();
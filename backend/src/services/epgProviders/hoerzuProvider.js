@@ -0,0 +1,309 @@
+const axios = require('axios');
+const cheerio = require('cheerio');
+const { readJsonFile, writeJsonFile, appendLog } = require('../../utils/fileManager');
+const { getBerlinParts, fromBerlinTime } = require('../../utils/timeUtils');
+const { setProgramStart, fillEndsFromSuccessors, parseCredits } = require('../../utils/programUtils');
+const { parseEpisodeInfo } = require('../../utils/episodeUtils');
+
+const CATALOG_FILE = 'hoerzu_catalog.json';
+
+// The channel overview rarely changes, so the catalog is refreshed weekly
+const CATALOG_MAX_AGE_MS = 1000 * 60 * 60 * 24 * 7;
+
+// Duration as a field of its own ("Krimi, D 2024, 90 Min."), not inside a sentence
+const DURATION_PATTERN = /(?:^|[\s,|(])(\d{1,3})\s*Min\.(?=\s*(?:$|[,|)]))/;
+
+// Episode title behind the episode number of an info line ("Staffel 3, Folge 12: Der Fall Holdt")
+const EPISODE_TITLE_PATTERN = /\b(?:folge|episode)\s*\d{1,4}\s*:\s*(.+)$/i;
+
+/**
+ * Find the duration in minutes in the header and info lines of a detail page
+ * The free description text is never searched, it may mention minutes as well.
+ */
+function findDuration(lines, description) {
+  for (const line of lines) {
+    if (!line || (description && description.includes(line))) continue;
+
+    const match = line.match(DURATION_PATTERN);
+    if (match) {
+      return parseInt(match[1]);
+    }
+  }
+  return null;
+}
+
+/**
+ * EPG provider scraping the text version of hoerzu.de
+ */
+class HoerzuProvider {
+  constructor() {
+    this.name = 'hoerzu';
+    this.label = 'Hörzu';
+    this.baseUrl = 'https://www.hoerzu.de/text/tv-programm';
+  }
+
+  /**
+   * Get the channels configured for Hörzu (keyed by Hörzu channel ID)
+   */
+  async getChannels() {
+    const channels = await readJsonFile('channels.json');
+
+    return Object.entries(channels)
+      .filter(([, channel]) => !channel.epgProvider || channel.epgProvider === this.name)
+      .map(([id, channel]) => ({ id, name: channel.name }));
+  }
+
+  /**
+   * Get the catalog of all channels Hörzu offers, cached on disk
+   */
+  async getCatalog(forceRefresh = false) {
+    const cached = await readJsonFile(CATALOG_FILE);
+    const age = cached.updatedAt ? Date.now() - new Date(cached.updatedAt).getTime() : Infinity;
+
+    if (!forceRefresh && cached.channels.length > 0 && age < CATALOG_MAX_AGE_MS) {
+      return cached;
+    }
+
+    try {
+      const channels = await this.fetchCatalog();
+      const catalog = {
+        channels,
+        updatedAt: new Date().toISOString()
+      };
+
+      await writeJsonFile(CATALOG_FILE, catalog);
+      await appendLog(`Hörzu channel catalog updated: ${channels.length} channels`);
+      return catalog;
+
+    } catch (error) {
+      // An outdated catalog is better than none
+      if (cached.channels.length > 0) {
+        console.warn(`⚠️ Hörzu catalog refresh failed, using cached catalog: ${error.message}`);
+        return cached;
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * Scrape the channel overview of Hörzu
+   */
+  async fetchCatalog() {
+    const response = await axios.get(`${this.baseUrl}/`, {
+      timeout: 10000,
+      headers: {
+        'User-Agent': 'Mozilla/5.0 (compatible; DVB-EPG-Manager/1.0)'
+      }
+    });
+
+    const channels = this.parseCatalogHtml(response.data);
+    if (channels.length === 0) {
+      throw new Error('No channels found on the Hörzu channel overview');
+    }
+
+    return channels;
+  }
+
+  /**
+   * Parse the channel overview: channel links are grouped below category headings
+   */
+  parseCatalogHtml(html) {
+    const $ = cheerio.load(html);
+    const channels = new Map();
+    let category = '';
+
+    $('h1, h2, h3, h4, strong, a[href*="tvchannelid="]').each((index, element) => {
+      const $element = $(element);
+
+      if (element.tagName !== 'a') {
+        category = $element.text().trim();
+        return;
+      }
+
+      const idMatch = $element.attr('href').match(/tvchannelid=(\d+)/);
+      const name = $element.text().trim();
+      if (!idMatch || !name || channels.has(idMatch[1])) return;
+
+      channels.set(idMatch[1], {
+        id: idMatch[1],
+        name,
+        category
+      });
+    });
+
+    return [...channels.values()].sort((a, b) => a.name.localeCompare(b.name, 'de'));
+  }
+
+  /**
+   * Get the schedule of a channel for a day offset
+   */
+  async getSchedule(channelId, channel, day = 0, timeday = 'ganztags') {
+    const url = `${this.baseUrl}/sender.php`;
+    const params = {
+      newday: day,
+      tvchannelid: channel.horzuId || channelId,
+      timeday: timeday
+    };
+
+    const response = await axios.get(url, {
+      params,
+      timeout: 10000,
+      headers: {
+        'User-Agent': 'Mozilla/5.0 (compatible; DVB-EPG-Manager/1.0)'
+      }
+    });
+
+    return this.parseEPGHtml(response.data, channelId, day);
+  }
+
+  /**
+   * Parse HTML response from Hörzu
+   * Listings run past midnight, so a start time earlier than the previous one
+   * moves the program onto the next calendar date.
+   */
+  parseEPGHtml(html, channelId, day) {
+    const $ = cheerio.load(html);
+    const programs = [];
+
+    const today = getBerlinParts(new Date());
+    let dayOffset = day;
+    let previousMinutes = -1;
+
+    // Find all program links
+    $('a[href*="detail.php"]').each((index, element) => {
+      const $link = $(element);
+      const href = $link.attr('href');
+      const text = $link.text().trim();
+
+      // Extract broadcast_id from href
+      const broadcastMatch = href.match(/broadcast_id=(\d+)/);
+      if (!broadcastMatch) return;
+
+      const broadcastId = broadcastMatch[1];
+
+      // Parse program text: "05:30 Uhr , ARD-Morgenmagazin , Information"
+      const timeMatch = text.match(/^(\d{2}:\d{2})\s*Uhr\s*,\s*(.+?)\s*,\s*(.+)$/);
+      if (!timeMatch) return;
+
+      const [, time, title, genre] = timeMatch;
+
+      const [hours, minutes] = time.split(':').map(Number);
+      if (hours * 60 + minutes < previousMinutes) {
+        dayOffset++;
+      }
+      previousMinutes = hours * 60 + minutes;
+
+      const start = fromBerlinTime(today.year, today.month, today.day + dayOffset, hours, minutes);
+
+      programs.push(setProgramStart({
+        id: broadcastId,
+        channelId: channelId,
+        time: time,
+        endTime: null,
+        end: null,
+        duration: null,
+        title: title.trim(),
+        genre: genre.trim(),
+        day: day,
+        detailUrl: `${this.baseUrl}/${href}`
+      }, start));
+    });
+
+    // Each program ends when the next one starts
+    fillEndsFromSuccessors(programs);
+
+    // Extract channel name from page title/header
+    let channelName = '';
+    const headerMatch = html.match(/<h3>Sender\s+(.+?)\s+für/);
+    if (headerMatch) {
+      channelName = headerMatch[1];
+    }
+
+    return { channelName, programs };
+  }
+
+  /**
+   * Get program details
+   */
+  async getProgramDetails(broadcastId) {
+    const url = `${this.baseUrl}/detail.php`;
+    const params = {
+      broadcast_id: broadcastId,
+      seite: 's'
+    };
+
+    const response = await axios.get(url, {
+      params,
+      timeout: 10000,
+      headers: {
+        'User-Agent': 'Mozilla/5.0 (compatible; DVB-EPG-Manager/1.0)'
+      }
+    });
+
+    return this.parseProgramDetails(response.data);
+  }
+
+  /**
+   * Parse program detail HTML
+   */
+  parseProgramDetails(html) {
+    const $ = cheerio.load(html);
+
+    // Extract main info from bold header
+    const headerText = $('.tabtextbold').text().trim();
+    const headerMatch = headerText.match(/(\d{2}\.\d{2})\.\s+(\d{2}:\d{2})\s+Uhr\s*,\s*(.+?)\s*,\s*(.+?)\s*\./);
+
+    let date, time, channel, title;
+    let subtitle = '';
+    if (headerMatch) {
+      [, date, time, channel, title] = headerMatch;
+      // The episode title follows the title ("Tatort. Der Fall Holdt")
+      subtitle = headerText.slice(headerMatch.index + headerMatch[0].length).trim().replace(/\.$/, '');
+    }
+
+    // Extract description
+    const description = $('p').first().text().trim();
+
+    // Extract additional info (duration, format, etc.)
+    const additionalInfo = [];
+    $('br').each((i, elem) => {
+      const nextText = $(elem).next().text();
+      if (nextText && nextText.trim() && !nextText.includes('Zur')) {
+        additionalInfo.push(nextText.trim());
+      }
+    });
+
+    // Extract duration ("90 Min.") from the header and info lines only
+    const duration = findDuration([headerText, ...additionalInfo], description);
+
+    // Extract episode title, season and episode from the header and info lines,
+    // the description may mention other episodes
+    const infoLines = additionalInfo.filter(line => !description || !description.includes(line));
+    if (!subtitle) {
+      const episodeTitle = infoLines.map(line => EPISODE_TITLE_PATTERN.exec(line)).find(Boolean);
+      subtitle = episodeTitle ? episodeTitle[1].trim() : '';
+    }
+    const { season, episode } = parseEpisodeInfo({ subtitle, additionalInfo: infoLines.join(' | ') });
+
+    // Extract cast and crew from the text lines of the page
+    const lines = cheerio.load(html.replace(/<br\s*\/?>/gi, '\n'))('body').text();
+    const { actors, directors } = parseCredits(lines);
+
+    return {
+      date,
+      time,
+      channel,
+      title,
+      subtitle,
+      description,
+      duration,
+      additionalInfo: additionalInfo.join(' | '),
+      season,
+      episode,
+      actors,
+      directors
+    };
+  }
+}
+
+module.exports = new HoerzuProvider();
@@ -0,0 +1,56 @@
+const hoerzuProvider = require('./hoerzuProvider');
+const dvbViewerProvider = require('./dvbViewerProvider');
+const xmltvProvider = require('./xmltvProvider');
+
+// A provider implements getChannels(), getSchedule(channelId, channel, day, timeday)
+// and getProgramDetails(programId). Program IDs of all providers but Hörzu are
+// prefixed with the provider name ("dvbviewer:...").
+const providers = new Map();
+
+/**
+ * Register an EPG provider
+ */
+function registerProvider(provider) {
+  providers.set(provider.name, provider);
+}
+
+/**
+ * Get a provider by name
+ */
+function getProvider(name) {
+  const provider = providers.get(name);
+  if (!provider) {
+    throw new Error(`Unknown EPG provider: ${name}`);
+  }
+  return provider;
+}
+
+/**
+ * Get the provider a program ID belongs to
+ */
+function getProviderForProgram(programId) {
+  const prefix = String(programId).split(':')[0];
+  return providers.has(prefix) ? providers.get(prefix) : getProvider(hoerzuProvider.name);
+}
+
+/**
+ * List all registered providers
+ */
+function listProviders() {
+  return Array.from(providers.values()).map(provider => ({
+    name: provider.name,
+    label: provider.label
+  }));
+}
+
+registerProvider(hoerzuProvider);
+registerProvider(dvbViewerProvider);
+registerProvider(xmltvProvider);
+
+module.exports = {
+  registerProvider,
+  getProvider,
+  getProviderForProgram,
+  listProviders,
+  DEFAULT_PROVIDER: hoerzuProvider.name
+};
@@ -0,0 +1,205 @@
+const axios = require('axios');
+const { readJsonFile, updateJsonFile, appendLog } = require('../../utils/fileManager');
+const { parseXmltv } = require('../../utils/xmltv');
+const { toBerlinISO } = require('../../utils/timeUtils');
+const { getListingDayWindow, setProgramStart, setProgramEnd, fillEndsFromSuccessors } = require('../../utils/programUtils');
+
+const GUIDE_FILE = 'xmltv_guide.json';
+
+// Imported programmes are kept until one day after they ended
+const KEEP_ENDED_MS = 1000 * 60 * 60 * 24;
+
+// Guides are only fetched over HTTP, and not larger than an uploaded guide may be
+const URL_PROTOCOLS = ['http:', 'https:'];
+const MAX_DOWNLOAD_BYTES = 50 * 1024 * 1024;
+
+/**
+ * EPG provider serving guides imported from XMLTV files
+ */
+class XmltvProvider {
+  constructor() {
+    this.name = 'xmltv';
+    this.label = 'XMLTV';
+  }
+
+  /**
+   * Load the imported guide
+   */
+  async loadGuide() {
+    return readJsonFile(GUIDE_FILE);
+  }
+
+  /**
+   * Import an XMLTV document, merging it into the stored guide
+   */
+  async importXml(xml, source = 'upload') {
+    const { channels, programmes } = parseXmltv(xml);
+    const now = Date.now();
+
+    // Imported channels replace their old programmes
+    const importedChannels = new Set(programmes.map(p => p.channelId));
+
+    await updateJsonFile(GUIDE_FILE, (guide) => {
+      for (const channel of channels) {
+        guide.channels[channel.id] = { name: channel.name };
+      }
+
+      for (const channelId of importedChannels) {
+        guide.programmes[channelId] = [];
+        if (!guide.channels[channelId]) {
+          guide.channels[channelId] = { name: channelId };
+        }
+      }
+
+      for (const programme of programmes) {
+        guide.programmes[programme.channelId].push({
+          id: `${this.name}:${programme.channelId}:${Math.floor(programme.start.getTime() / 1000)}`,
+          start: toBerlinISO(programme.start),
+          end: programme.end ? toBerlinISO(programme.end) : null,
+          title: programme.title,
+          subtitle: programme.subtitle,
+          description: programme.description,
+          genre: programme.genre,
+          season: programme.season,
+          episode: programme.episode,
+          actors: programme.actors,
+          directors: programme.directors
+        });
+      }
+
+      // Drop programmes that are long over
+      for (const channelId of Object.keys(guide.programmes)) {
+        guide.programmes[channelId] = guide.programmes[channelId]
+          .filter(p => new Date(p.end || p.start).getTime() > now - KEEP_ENDED_MS)
+          .sort((a, b) => new Date(a.start) - new Date(b.start));
+      }
+
+      guide.importedAt = new Date().toISOString();
+    });
+    await appendLog(`XMLTV imported from ${source}: ${channels.length} channels, ${programmes.length} programmes`);
+
+    return {
+      channels: importedChannels.size,
+      programmes: programmes.length,
+      channelIds: [...importedChannels]
+    };
+  }
+
+  /**
+   * Check a guide URL, returns an error message or null
+   */
+  validateUrl(url) {
+    let parsed;
+    try {
+      parsed = new URL(url);
+    } catch (error) {
+      return 'Invalid url';
+    }
+
+    if (!URL_PROTOCOLS.includes(parsed.protocol)) {
+      return 'Only http and https urls are supported';
+    }
+    return null;
+  }
+
+  /**
+   * Import an XMLTV document from a URL (e.g. the output of a grabber)
+   */
+  async importUrl(url) {
+    const error = this.validateUrl(url);
+    if (error) {
+      throw new Error(error);
+    }
+
+    const response = await axios.get(url, {
+      timeout: 60000,
+      responseType: 'text',
+      maxContentLength: MAX_DOWNLOAD_BYTES,
+      headers: {
+        'User-Agent': 'DVB-EPG-Manager/1.0'
+      }
+    });
+
+    return this.importXml(response.data, url);
+  }
+
+  /**
+   * Get the channels of the imported guide
+   */
+  async getChannels() {
+    const guide = await this.loadGuide();
+
+    return Object.entries(guide.channels).map(([id, channel]) => ({
+      id,
+      name: channel.name,
+      programmes: guide.programmes[id]?.length || 0
+    }));
+  }
+
+  /**
+   * Get the schedule of a channel for a day offset
+   */
+  async getSchedule(channelId, channel, day = 0) {
+    const guide = await this.loadGuide();
+    const xmltvId = channel.xmltvId || channelId;
+    const { from, to } = getListingDayWindow(day);
+
+    const programs = (guide.programmes[xmltvId] || [])
+      .filter(p => new Date(p.start) >= from && new Date(p.start) < to)
+      .map(p => {
+        const program = setProgramStart({
+          id: p.id,
+          channelId: channelId,
+          endTime: null,
+          end: null,
+          duration: null,
+          title: p.title,
+          genre: p.genre,
+          day: day,
+          detailUrl: null
+        }, new Date(p.start));
+
+        return p.end ? setProgramEnd(program, new Date(p.end)) : program;
+      });
+
+    return {
+      channelName: guide.channels[xmltvId]?.name || channel.name || '',
+      programs: fillEndsFromSuccessors(programs)
+    };
+  }
+
+  /**
+   * Get program details from the imported guide
+   */
+  async getProgramDetails(programId) {
+    const guide = await this.loadGuide();
+    const xmltvId = programId.slice(programId.indexOf(':') + 1, programId.lastIndexOf(':'));
+    const programme = (guide.programmes[xmltvId] || []).find(p => p.id === programId);
+
+    if (!programme) {
+      throw new Error('Program not found in imported XMLTV guide');
+    }
+
+    const program = setProgramStart({}, new Date(programme.start));
+    if (programme.end) {
+      setProgramEnd(program, new Date(programme.end));
+    }
+
+    return {
+      date: program.date,
+      time: program.time,
+      channel: guide.channels[xmltvId]?.name || xmltvId,
+      title: programme.title,
+      subtitle: programme.subtitle,
+      description: programme.description,
+      duration: program.duration || null,
+      additionalInfo: programme.genre || '',
+      season: programme.season ?? null,
+      episode: programme.episode ?? null,
+      actors: programme.actors || [],
+      directors: programme.directors || []
+    };
+  }
+}
+
+module.exports = new XmltvProvider();
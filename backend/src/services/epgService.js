@@ -1,191 +1,195 @@
-const axios = require('axios');
-const cheerio = require('cheerio');
-const { appendLog } = require('../utils/fileManager');
+const { appendLog, getConfig, readJsonFile } = require('../utils/fileManager');
+const { setProgramEnd } = require('../utils/programUtils');
+const { buildXmltv } = require('../utils/xmltv');
+const { parseEpisodeInfo } = require('../utils/episodeUtils');
+const { titleSimilarity, DEFAULT_FUZZY_THRESHOLD } = require('../utils/textUtils');
+const { getProvider, getProviderForProgram, DEFAULT_PROVIDER } = require('./epgProviders');
+const epgCache = require('./epgCache');
+
+const HOUR_MS = 1000 * 60 * 60;
 
 class EPGService {
   constructor() {
-    this.baseUrl = 'https://www.hoerzu.de/text/tv-programm';
-    this.cache = new Map(); // In-memory cache
-    this.cacheTimeout = 1000 * 60 * 60 * 6; // 6 hours
+    this.detailCache = new Map(); // Program details by program ID
+    this.detailCacheTimeout = HOUR_MS * 24; // Details rarely change, 24 hours
+    this.cacheTimeout = HOUR_MS * 6; // Until the configured epg.cacheHours are applied
+  }
+
+  /**
+   * Apply a changed configuration without restart
+   */
+  applyConfig(config) {
+    this.cacheTimeout = HOUR_MS * config.epg.cacheHours;
+  }
+
+  /**
+   * Get the EPG provider configured for a channel
+   */
+  async getChannelProvider(channel) {
+    const config = await getConfig();
+    return getProvider(channel?.epgProvider || config.epg?.provider || DEFAULT_PROVIDER);
+  }
+
+  /**
+   * Load the schedules cached on disk, on startup
+   */
+  async loadCache() {
+    await epgCache.load();
+  }
+
+  /**
+   * Replace the cached schedules with the content of a restored epg_cache.json
+   */
+  async restoreCache(stored) {
+    await epgCache.replace(stored);
+    this.detailCache.clear();
   }
 
   /**
    * Get EPG for a specific channel and day
+   * With forceRefresh the cache is bypassed and refreshed.
+   * If the provider is unreachable, an expired cached schedule is returned with stale: true.
    */
-  async getEPG(channelId, day = 0, timeday = 'ganztags') {
+  async getEPG(channelId, day = 0, timeday = 'ganztags', forceRefresh = false) {
     const cacheKey = `${channelId}-${day}-${timeday}`;
     
     // Check cache first
-    if (this.cache.has(cacheKey)) {
-      const cached = this.cache.get(cacheKey);
-      if (Date.now() - cached.timestamp < this.cacheTimeout) {
-        console.log(`📱 Cache hit for ${cacheKey}`);
-        return cached.data;
-      }
+    const cached = forceRefresh ? null : this.getCachedEPG(channelId, day, timeday);
+    if (cached) {
+      console.log(`📱 Cache hit for ${cacheKey}`);
+      return cached;
     }
 
     try {
-      console.log(`🔄 Fetching EPG for channel ${channelId}, day ${day}`);
-      
-      const url = `${this.baseUrl}/sender.php`;
-      const params = {
-        newday: day,
-        tvchannelid: channelId,
-        timeday: timeday
-      };
+      const channels = await readJsonFile('channels.json');
+      const channel = channels[channelId] || {};
+      const provider = await this.getChannelProvider(channel);
 
-      const response = await axios.get(url, { 
-        params,
-        timeout: 10000,
-        headers: {
-          'User-Agent': 'Mozilla/5.0 (compatible; DVB-EPG-Manager/1.0)'
-        }
-      });
+      console.log(`🔄 Fetching EPG for channel ${channelId}, day ${day} from ${provider.label}`);
+
+      const { channelName, programs } = await provider.getSchedule(channelId, channel, day, timeday);
 
-      const programs = this.parseEPGHtml(response.data, channelId, day);
+      const epgData = {
+        channelId,
+        channelName,
+        day,
+        provider: provider.name,
+        programs,
+        lastUpdated: new Date().toISOString(),
+        stale: false
+      };
       
       // Cache the result
-      this.cache.set(cacheKey, {
-        data: programs,
-        timestamp: Date.now()
-      });
+      epgCache.set(cacheKey, day, epgData, this.cacheTimeout);
 
-      await appendLog(`EPG fetched for channel ${channelId}, ${programs.length} programs`);
-      return programs;
+      console.log(`📺 Parsed ${programs.length} programs for ${channelName || `channel ${channelId}`}`);
+      await appendLog(`EPG fetched for channel ${channelId} from ${provider.name}, ${programs.length} programs`);
+      return epgData;
 
     } catch (error) {
       console.error(`❌ Error fetching EPG for channel ${channelId}:`, error.message);
       await appendLog(`EPG fetch error for channel ${channelId}: ${error.message}`);
+
+      // Outdated schedules are better than none
+      const stale = epgCache.get(cacheKey, day);
+      if (stale) {
+        console.warn(`⚠️ Serving stale EPG for ${cacheKey} from ${stale.fetchedAt}`);
+        return { ...stale.data, stale: true };
+      }
       throw error;
     }
   }
 
   /**
-   * Parse HTML response from Hörzu
+   * Get EPG from the cache only, null if not cached or expired
    */
-  parseEPGHtml(html, channelId, day) {
-    const $ = cheerio.load(html);
-    const programs = [];
+  getCachedEPG(channelId, day = 0, timeday = 'ganztags') {
+    const cached = epgCache.get(`${channelId}-${day}-${timeday}`, day);
 
-    // Find all program links
-    $('a[href*="detail.php"]').each((index, element) => {
-      const $link = $(element);
-      const href = $link.attr('href');
-      const text = $link.text().trim();
-
-      // Extract broadcast_id from href
-      const broadcastMatch = href.match(/broadcast_id=(\d+)/);
-      if (!broadcastMatch) return;
+    if (cached && epgCache.isFresh(cached)) {
+      return cached.data;
+    }
+    return null;
+  }
 
-      const broadcastId = broadcastMatch[1];
+  /**
+   * Fill in the end of a program without successor from its detail page
+   */
+  async completeProgramEnd(program) {
+    if (program.end || !program.id || !program.start) {
+      return program;
+    }
 
-      // Parse program text: "05:30 Uhr , ARD-Morgenmagazin , Information"
-      const timeMatch = text.match(/^(\d{2}:\d{2})\s*Uhr\s*,\s*(.+?)\s*,\s*(.+)$/);
-      if (!timeMatch) return;
+    try {
+      const details = await this.getProgramDetails(program.id);
+      if (details.duration) {
+        const end = new Date(new Date(program.start).getTime() + details.duration * 60000);
+        return setProgramEnd({ ...program }, end);
+      }
+    } catch (error) {
+      console.error(`Could not determine end of "${program.title}":`, error.message);
+    }
 
-      const [, time, title, genre] = timeMatch;
+    return program;
+  }
 
-      programs.push({
-        id: broadcastId,
-        channelId: channelId,
-        time: time,
-        title: title.trim(),
-        genre: genre.trim(),
-        day: day,
-        detailUrl: `${this.baseUrl}/${href}`
-      });
-    });
+  /**
+   * Get program details from the cache only, null if not cached or expired
+   */
+  getCachedProgramDetails(programId) {
+    const cached = this.detailCache.get(programId);
 
-    // Extract channel name from page title/header
-    let channelName = '';
-    const headerMatch = html.match(/<h3>Sender\s+(.+?)\s+für/);
-    if (headerMatch) {
-      channelName = headerMatch[1];
+    if (cached && Date.now() - cached.timestamp < this.detailCacheTimeout) {
+      return cached.data;
     }
-
-    console.log(`📺 Parsed ${programs.length} programs for ${channelName || `channel ${channelId}`}`);
-    return {
-      channelId,
-      channelName,
-      day,
-      programs,
-      lastUpdated: new Date().toISOString()
-    };
+    return null;
   }
 
   /**
-   * Get program details
+   * Get program details from the provider the program belongs to,
+   * completed with season, episode and repeat information
    */
-  async getProgramDetails(broadcastId) {
+  async getProgramDetails(programId) {
+    const cached = this.getCachedProgramDetails(programId);
+    if (cached) {
+      return cached;
+    }
+
     try {
-      const url = `${this.baseUrl}/detail.php`;
-      const params = {
-        broadcast_id: broadcastId,
-        seite: 's'
+      const details = await getProviderForProgram(programId).getProgramDetails(programId);
+      const completed = {
+        actors: [],
+        directors: [],
+        ...details,
+        ...parseEpisodeInfo(details)
       };
 
-      const response = await axios.get(url, { 
-        params,
-        timeout: 10000,
-        headers: {
-          'User-Agent': 'Mozilla/5.0 (compatible; DVB-EPG-Manager/1.0)'
-        }
+      this.detailCache.set(programId, {
+        data: completed,
+        timestamp: Date.now()
       });
 
-      return this.parseProgramDetails(response.data);
+      return completed;
 
     } catch (error) {
-      console.error(`❌ Error fetching program details for ${broadcastId}:`, error.message);
+      console.error(`❌ Error fetching program details for ${programId}:`, error.message);
       throw error;
     }
   }
 
-  /**
-   * Parse program detail HTML
-   */
-  parseProgramDetails(html) {
-    const $ = cheerio.load(html);
-    
-    // Extract main info from bold header
-    const headerText = $('.tabtextbold').text().trim();
-    const headerMatch = headerText.match(/(\d{2}\.\d{2})\.\s+(\d{2}:\d{2})\s+Uhr\s*,\s*(.+?)\s*,\s*(.+?)\s*\./);
-    
-    let date, time, channel, title;
-    if (headerMatch) {
-      [, date, time, channel, title] = headerMatch;
-    }
-
-    // Extract description
-    const description = $('p').first().text().trim();
-
-    // Extract additional info (duration, format, etc.)
-    const additionalInfo = [];
-    $('br').each((i, elem) => {
-      const nextText = $(elem).next().text();
-      if (nextText && nextText.trim() && !nextText.includes('Zur')) {
-        additionalInfo.push(nextText.trim());
-      }
-    });
-
-    return {
-      date,
-      time,
-      channel,
-      title,
-      description,
-      additionalInfo: additionalInfo.join(' | ')
-    };
-  }
-
   /**
    * Search programs across multiple channels and days
+   * In fuzzy mode titles match by similarity (umlauts, punctuation and typos tolerated),
+   * results carry their matchScore and are sorted best first.
    */
   async searchPrograms(query, options = {}) {
     const {
       channels = [],
       days = [0, 1], // Today and tomorrow by default
       genre = null,
-      timeday = 'ganztags'
+      timeday = 'ganztags',
+      fuzzy = false,
+      threshold = DEFAULT_FUZZY_THRESHOLD
     } = options;
 
     const results = [];
@@ -200,7 +204,7 @@ class EPGService {
             let matches = true;
             
             // Text search in title
-            if (query) {
+            if (query && !fuzzy) {
               matches = matches && program.title.toLowerCase().includes(query.toLowerCase());
             }
             
@@ -212,7 +216,16 @@ class EPGService {
             return matches;
           });
 
-          results.push(...filtered);
+          if (query && fuzzy) {
+            for (const program of filtered) {
+              const matchScore = titleSimilarity(query, program.title);
+              if (matchScore >= threshold) {
+                results.push({ ...program, matchScore: Math.round(matchScore * 100) / 100 });
+              }
+            }
+          } else {
+            results.push(...filtered);
+          }
           
         } catch (error) {
           console.error(`Error searching channel ${channelId}, day ${day}:`, error.message);
@@ -220,25 +233,128 @@ class EPGService {
       }
     }
 
-    console.log(`🔍 Search "${query}" found ${results.length} results`);
+    if (query && fuzzy) {
+      results.sort((a, b) => b.matchScore - a.matchScore);
+    }
+
+    console.log(`🔍 Search "${query}"${fuzzy ? ' (fuzzy)' : ''} found ${results.length} results`);
     return results;
   }
 
   /**
-   * Clear cache
+   * Export the EPG of channels and days as XMLTV document
+   */
+  async exportXmltv(channelIds, days = [0, 1]) {
+    const channels = await readJsonFile('channels.json');
+    const xmltvChannels = [];
+    const programmes = [];
+    const seen = new Set();
+
+    for (const channelId of channelIds) {
+      xmltvChannels.push({ id: channelId, name: channels[channelId]?.name || channelId });
+
+      for (const day of days) {
+        try {
+          const epgData = await this.getEPG(channelId, day);
+
+          for (const program of epgData.programs) {
+            if (seen.has(program.id) || !program.start) continue;
+            seen.add(program.id);
+            programmes.push(program);
+          }
+        } catch (error) {
+          console.error(`XMLTV export: skipping channel ${channelId}, day ${day}:`, error.message);
+        }
+      }
+    }
+
+    console.log(`📤 XMLTV export: ${xmltvChannels.length} channels, ${programmes.length} programmes`);
+    return buildXmltv(xmltvChannels, programmes);
+  }
+
+  /**
+   * Get the Hörzu channel catalog, flagging channels that are already configured
    */
-  clearCache() {
-    this.cache.clear();
+  async getChannelCatalog(forceRefresh = false) {
+    const catalog = await getProvider('hoerzu').getCatalog(forceRefresh);
+    const channels = await readJsonFile('channels.json');
+
+    const configured = new Set();
+    for (const [id, channel] of Object.entries(channels)) {
+      if (!channel.epgProvider || channel.epgProvider === 'hoerzu') {
+        configured.add(channel.horzuId || id);
+      }
+    }
+
+    return {
+      updatedAt: catalog.updatedAt,
+      channels: catalog.channels.map(channel => ({
+        ...channel,
+        enabled: configured.has(channel.id)
+      }))
+    };
+  }
+
+  /**
+   * Clear cache, program details are kept with details: false
+   */
+  clearCache({ details = true } = {}) {
+    epgCache.clear();
+    if (details) {
+      this.detailCache.clear();
+    }
     console.log('🗑️ EPG cache cleared');
   }
 
+  /**
+   * Expire cached schedules so they are fetched again, but keep them as fallback
+   * With channelIds only the schedules of these channels are expired.
+   */
+  expireCache(channelIds = null) {
+    epgCache.expire(channelIds && channelIds.map(String));
+    console.log(`⌛ EPG cache expired${channelIds ? ` for channels ${channelIds.join(', ')}` : ''}`);
+  }
+
+  /**
+   * IDs of the configured channels whose XMLTV guide channel is one of xmltvIds
+   */
+  async findChannelsByXmltvId(xmltvIds) {
+    const channels = await readJsonFile('channels.json');
+    return Object.entries(channels)
+      .filter(([channelId, channel]) => xmltvIds.includes(channel.xmltvId || channelId))
+      .map(([channelId]) => channelId);
+  }
+
+  /**
+   * Evict schedules of past days and outdated program details
+   */
+  pruneCache() {
+    const removed = epgCache.prune();
+
+    for (const [programId, cached] of this.detailCache) {
+      if (Date.now() - cached.timestamp >= this.detailCacheTimeout) {
+        this.detailCache.delete(programId);
+      }
+    }
+
+    console.log(`🧹 EPG cache pruned: ${removed} schedules removed`);
+    return removed;
+  }
+
+  /**
+   * Write pending cache changes to disk
+   */
+  async flushCache() {
+    await epgCache.flush();
+  }
+
   /**
    * Get cache stats
    */
   getCacheStats() {
     return {
-      size: this.cache.size,
-      keys: Array.from(this.cache.keys())
+      ...epgCache.getStats(),
+      detailSize: this.detailCache.size
     };
   }
 }
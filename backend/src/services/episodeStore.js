@@ -0,0 +1,83 @@
+const { readJsonFile, updateJsonFile, appendLog } = require('../utils/fileManager');
+const timerRegistry = require('./timerRegistry');
+
+const EPISODES_FILE = 'series_episodes.json';
+
+// Episodes whose timer ended up in these states are not owned
+const LOST_STATUSES = ['failed', 'deleted'];
+
+class EpisodeStore {
+  /**
+   * Get all tracked series with their episodes
+   */
+  async list() {
+    const store = await readJsonFile(EPISODES_FILE);
+    return store.series;
+  }
+
+  /**
+   * Find the record of an episode that is recorded or still planned
+   * Episodes whose timer failed or was deleted can be recorded again.
+   */
+  async findOwned(seriesKey, episodeKey) {
+    const store = await readJsonFile(EPISODES_FILE);
+    const record = store.series[seriesKey]?.episodes[episodeKey];
+
+    if (!record) {
+      return null;
+    }
+
+    if (record.registryId) {
+      const entry = await timerRegistry.get(record.registryId);
+      if (entry && LOST_STATUSES.includes(entry.status)) {
+        return null;
+      }
+    }
+
+    return record;
+  }
+
+  /**
+   * Remember an episode as recorded
+   */
+  async add(seriesKey, seriesName, episodeKey, record) {
+    await updateJsonFile(EPISODES_FILE, (store) => {
+      if (!store.series[seriesKey]) {
+        store.series[seriesKey] = { name: seriesName, episodes: {} };
+      }
+
+      store.series[seriesKey].episodes[episodeKey] = {
+        ...record,
+        recordedAt: new Date().toISOString()
+      };
+    });
+  }
+
+  /**
+   * Forget an episode so it is recorded again
+   */
+  async remove(seriesKey, episodeKey) {
+    let seriesName = null;
+
+    const removed = await updateJsonFile(EPISODES_FILE, (store) => {
+      const series = store.series[seriesKey];
+
+      if (!series || !series.episodes[episodeKey]) {
+        return false;
+      }
+
+      seriesName = series.name;
+      delete series.episodes[episodeKey];
+      if (Object.keys(series.episodes).length === 0) {
+        delete store.series[seriesKey];
+      }
+    });
+
+    if (removed) {
+      await appendLog(`Episode forgotten: ${seriesName} ${episodeKey}`);
+    }
+    return removed;
+  }
+}
+
+module.exports = new EpisodeStore();
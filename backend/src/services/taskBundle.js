@@ -0,0 +1,230 @@
+const { readJsonFile, updateJsonFile, updateListItems, insertListItems, appendLog } = require('../utils/fileManager');
+const { TASK_DEFAULTS, validateTask, buildTask } = require('../utils/taskUtils');
+const channelService = require('./channelService');
+
+const BUNDLE_FORMAT = 'dvb-epg-manager-tasks';
+const BUNDLE_VERSION = 1;
+
+const CONFLICT_MODES = ['skip', 'rename', 'overwrite'];
+
+// Task fields that are moved between installations, IDs and statistics stay local
+const BUNDLE_TASK_FIELDS = ['name', 'type', 'criteria', ...Object.keys(TASK_DEFAULTS)];
+
+class TaskBundle {
+  /**
+   * Collect the channel IDs a task refers to, in its channel list and in rule conditions
+   */
+  getReferencedChannels(task, channelIds = new Set()) {
+    (task.channels || []).forEach(id => channelIds.add(String(id)));
+
+    const walk = (rule) => {
+      if (!rule || typeof rule !== 'object') return;
+      if (rule.operator) {
+        (rule.rules || []).forEach(walk);
+      } else if (rule.field === 'channel') {
+        [].concat(rule.value).forEach(id => channelIds.add(String(id)));
+      }
+    };
+
+    if (task.type === 'rule') {
+      walk(task.criteria);
+    }
+
+    return channelIds;
+  }
+
+  /**
+   * Build an export bundle of all tasks or the tasks with the given IDs
+   * With includeChannels the referenced channel mappings are added.
+   */
+  async export({ ids = null, includeChannels = false } = {}) {
+    const tasksData = await readJsonFile('tasks.json');
+    const tasks = ids ? tasksData.tasks.filter(t => ids.includes(t.id)) : tasksData.tasks;
+
+    const bundle = {
+      format: BUNDLE_FORMAT,
+      version: BUNDLE_VERSION,
+      exportedAt: new Date().toISOString(),
+      tasks: tasks.map(task => {
+        const exported = {};
+        for (const field of BUNDLE_TASK_FIELDS) {
+          if (task[field] !== undefined) {
+            exported[field] = task[field];
+          }
+        }
+        return exported;
+      })
+    };
+
+    if (includeChannels) {
+      const channels = await channelService.list();
+      const referenced = new Set();
+      tasks.forEach(task => this.getReferencedChannels(task, referenced));
+
+      bundle.channels = {};
+      for (const channelId of referenced) {
+        if (channels[channelId]) {
+          bundle.channels[channelId] = channels[channelId];
+        }
+      }
+    }
+
+    return bundle;
+  }
+
+  /**
+   * Validate a bundle and the conflict mode, returns a list of errors ({ index, name, message }), empty if valid
+   * Errors about the bundle itself have index null.
+   */
+  validate(bundle, onConflict = 'skip') {
+    if (!CONFLICT_MODES.includes(onConflict)) {
+      return [{ index: null, name: null, message: `onConflict must be one of ${CONFLICT_MODES.join(', ')}` }];
+    }
+
+    if (!bundle || typeof bundle !== 'object' || Array.isArray(bundle)) {
+      return [{ index: null, name: null, message: 'bundle must be an object' }];
+    }
+
+    if (bundle.format !== BUNDLE_FORMAT) {
+      return [{ index: null, name: null, message: `format must be "${BUNDLE_FORMAT}"` }];
+    }
+
+    if (!Number.isInteger(bundle.version) || bundle.version < 1 || bundle.version > BUNDLE_VERSION) {
+      return [{ index: null, name: null, message: `Unsupported bundle version ${bundle.version}, supported up to ${BUNDLE_VERSION}` }];
+    }
+
+    if (!Array.isArray(bundle.tasks)) {
+      return [{ index: null, name: null, message: 'tasks must be an array' }];
+    }
+
+    const errors = [];
+
+    bundle.tasks.forEach((task, index) => {
+      const message = validateTask(task);
+      if (message) {
+        errors.push({ index, name: task?.name || null, message });
+      }
+    });
+
+    if (bundle.channels !== undefined) {
+      if (!bundle.channels || typeof bundle.channels !== 'object' || Array.isArray(bundle.channels)) {
+        errors.push({ index: null, name: null, message: 'channels must be an object of channel mappings' });
+      } else {
+        for (const [channelId, channel] of Object.entries(bundle.channels)) {
+          if (!channel || typeof channel !== 'object' || !channel.name) {
+            errors.push({ index: null, name: channelId, message: `channel ${channelId} must have a name` });
+          }
+        }
+      }
+    }
+
+    return errors;
+  }
+
+  /**
+   * Find a task name that is not taken yet, e.g. "Tatort (2)"
+   */
+  getFreeName(name, takenNames) {
+    let counter = 2;
+    while (takenNames.has(`${name} (${counter})`.toLowerCase())) {
+      counter++;
+    }
+    return `${name} (${counter})`;
+  }
+
+  /**
+   * Import a validated bundle
+   * onConflict decides about tasks whose name exists: 'skip', 'rename' or 'overwrite'.
+   * Channels are only added when missing, existing mappings are never changed.
+   */
+  async import(bundle, { onConflict = 'skip', importChannels = true } = {}) {
+    const result = {
+      created: [],
+      overwritten: [],
+      renamed: [],
+      skipped: [],
+      channelsAdded: [],
+      channelsSkipped: []
+    };
+
+    // New tasks are inserted afterwards and get their IDs then, only overwritten tasks are updated
+    const newTasks = [];
+    const overwrittenIds = new Set();
+
+    await updateListItems('tasks.json', {}, (tasks) => {
+      const takenNames = new Set(tasks.map(t => t.name.toLowerCase()));
+
+      for (const data of bundle.tasks) {
+        const name = data.name.trim();
+        const allTasks = [...tasks, ...newTasks];
+        const existingIndex = allTasks.findIndex(t => t.name.toLowerCase() === name.toLowerCase());
+
+        if (existingIndex === -1) {
+          newTasks.push(buildTask(null, data));
+          takenNames.add(name.toLowerCase());
+          result.created.push(name);
+          continue;
+        }
+
+        if (onConflict === 'overwrite') {
+          const existing = allTasks[existingIndex];
+          const replacement = {
+            ...buildTask(existing.id, { ...data, name: existing.name }),
+            createdAt: existing.createdAt,
+            revision: (existing.revision || 0) + 1,
+            updatedAt: new Date().toISOString(),
+            lastRun: existing.lastRun,
+            matchCount: existing.matchCount,
+            timerCount: existing.timerCount
+          };
+
+          // A task created earlier in this bundle is replaced before it is inserted
+          if (existingIndex < tasks.length) {
+            tasks[existingIndex] = replacement;
+            overwrittenIds.add(existing.id);
+          } else {
+            newTasks[existingIndex - tasks.length] = replacement;
+          }
+          result.overwritten.push(existing.name);
+        } else if (onConflict === 'rename') {
+          const newName = this.getFreeName(name, takenNames);
+          newTasks.push(buildTask(null, { ...data, name: newName }));
+          takenNames.add(newName.toLowerCase());
+          result.renamed.push({ from: name, to: newName });
+        } else {
+          result.skipped.push(name);
+        }
+      }
+
+      return tasks.filter(t => overwrittenIds.has(t.id));
+    });
+
+    if (newTasks.length > 0) {
+      await insertListItems('tasks.json', newTasks);
+    }
+
+    if (importChannels && bundle.channels) {
+      await updateJsonFile('channels.json', (channels) => {
+        for (const [channelId, channel] of Object.entries(bundle.channels)) {
+          if (channels[channelId]) {
+            result.channelsSkipped.push(channelId);
+          } else {
+            channels[channelId] = channelService.pickFields(channel);
+            result.channelsAdded.push(channelId);
+          }
+        }
+
+        return result.channelsAdded.length > 0;
+      });
+    }
+
+    await appendLog(
+      `Tasks imported: ${result.created.length} created, ${result.overwritten.length} overwritten, ` +
+      `${result.renamed.length} renamed, ${result.skipped.length} skipped, ${result.channelsAdded.length} channels added`
+    );
+
+    return result;
+  }
+}
+
+module.exports = new TaskBundle();
@@ -0,0 +1,92 @@
+const { readJsonFile, insertListItems, removeListItems } = require('../utils/fileManager');
+const storage = require('../utils/storage');
+
+const RUNS_FILE = 'task_runs.json';
+
+// Older runs of a task are dropped beyond this count
+const MAX_RUNS_PER_TASK = 50;
+
+class TaskRunLog {
+  /**
+   * Start a run report for a task execution ('daily' or 'manual')
+   */
+  start(task, trigger) {
+    return {
+      taskId: task.id,
+      taskName: task.name,
+      trigger,
+      startedAt: new Date().toISOString(),
+      finishedAt: null,
+      channels: [],
+      days: [],
+      matches: [],
+      errors: [],
+      matchCount: 0,
+      timersCreated: 0
+    };
+  }
+
+  /**
+   * Add the outcome for a matched program to a report
+   */
+  addMatch(report, match, result) {
+    report.matches.push({
+      broadcastId: match.id || null,
+      channelId: match.channelId,
+      title: match.title,
+      date: match.date || null,
+      time: match.time,
+      action: result.action || (result.success ? 'created' : 'failed'),
+      message: result.message || null,
+      registryId: result.registryId || null
+    });
+
+    report.matchCount = report.matches.length;
+    report.timersCreated = report.matches.filter(m => m.action === 'created' || m.action === 'taken_over').length;
+  }
+
+  /**
+   * Finish and store reports, keeping the latest runs per task
+   * Returns the stored runs.
+   */
+  async save(reports) {
+    const finishedAt = new Date().toISOString();
+
+    const runs = await insertListItems(RUNS_FILE, reports.map(report => ({
+      id: null,
+      ...report,
+      finishedAt: report.finishedAt || finishedAt
+    })));
+
+    for (const taskId of new Set(runs.map(run => run.taskId))) {
+      await removeListItems(RUNS_FILE, { taskId }, MAX_RUNS_PER_TASK);
+    }
+
+    return runs;
+  }
+
+  /**
+   * Get the runs of a task, newest first
+   */
+  async list(taskId, limit = MAX_RUNS_PER_TASK) {
+    if (storage.isSqliteStorage()) {
+      return storage.queryTaskRuns(taskId, limit);
+    }
+
+    const log = await readJsonFile(RUNS_FILE);
+
+    return log.runs
+      .filter(run => run.taskId === taskId)
+      .reverse()
+      .slice(0, limit);
+  }
+
+  /**
+   * Remove the runs of a deleted task
+   */
+  async removeTask(taskId) {
+    await removeListItems(RUNS_FILE, { taskId });
+  }
+}
+
+module.exports = new TaskRunLog();
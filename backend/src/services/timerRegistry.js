@@ -0,0 +1,322 @@
+const {
+  readJsonFile,
+  findListItems,
+  insertListItem,
+  updateListItem,
+  updateListItems,
+  appendLog
+} = require('../utils/fileManager');
+const { parseBerlinDateTime } = require('../utils/timeUtils');
+const storage = require('../utils/storage');
+
+const REGISTRY_FILE = 'timers.json';
+
+// pending -> scheduled -> recording -> done, with failed/deleted as side exits
+const STATUSES = ['pending', 'scheduled', 'recording', 'done', 'failed', 'deleted'];
+const ACTIVE_STATUSES = ['pending', 'scheduled', 'recording'];
+
+// Who deleted a timer: the user (app or DVB Viewer), or the scheduler making room
+// for a higher-priority timer or following a cancelled broadcast
+const DELETED_BY = ['user', 'displaced', 'cancelled'];
+
+// Grace period before a pending timer that never showed up counts as failed
+const PENDING_GRACE_MS = 1000 * 60 * 30;
+
+class TimerRegistry {
+  /**
+   * Register a timer before it is submitted to DVB Viewer
+   */
+  async register(timerData, meta = {}) {
+    const now = new Date().toISOString();
+
+    // The ID is assigned on insert, the placeholder keeps it the first field
+    return insertListItem(REGISTRY_FILE, {
+      id: null,
+      source: meta.source || 'manual',
+      taskId: meta.taskId || null,
+      taskName: meta.taskName || null,
+      broadcastId: meta.broadcastId || null,
+      channelId: timerData.channelId,
+      title: timerData.title,
+      date: timerData.date,
+      startTime: timerData.startTime,
+      endTime: timerData.endTime,
+      startAt: storage.getStartAt({ date: timerData.date, startTime: timerData.startTime }),
+      epgBefore: timerData.epgBefore,
+      epgAfter: timerData.epgAfter,
+      folder: timerData.folder,
+      priority: timerData.priority,
+      series: timerData.series,
+      dvbTimerId: null,
+      status: 'pending',
+      statusMessage: null,
+      history: [{ status: 'pending', at: now, message: 'Timer submitted to DVB Viewer' }],
+      createdAt: now,
+      updatedAt: now
+    });
+  }
+
+  /**
+   * Store the program start of entries registered before it was kept on the entry
+   * Returns the number of updated entries.
+   */
+  async addStartTimes() {
+    const updated = await updateListItems(REGISTRY_FILE, {}, (entries) => entries
+      .filter(entry => entry.startAt === undefined)
+      .map(entry => ({ ...entry, startAt: storage.getStartAt(entry) })));
+
+    return updated.length;
+  }
+
+  /**
+   * Mark a registry entry as deleted, deletedBy is one of DELETED_BY
+   */
+  async setDeleted(id, deletedBy, message = null) {
+    if (!DELETED_BY.includes(deletedBy)) {
+      throw new Error(`Invalid deletedBy: ${deletedBy}`);
+    }
+
+    return this.setStatus(id, 'deleted', message, { deletedBy });
+  }
+
+  /**
+   * Change the status of a registry entry
+   */
+  async setStatus(id, status, message = null, changes = {}) {
+    return updateListItem(REGISTRY_FILE, id, (entry) => {
+      Object.assign(entry, changes);
+      this.applyStatus(entry, status, message);
+    });
+  }
+
+  /**
+   * Update the timer data of a registry entry (e.g. after an edit)
+   */
+  async update(id, changes, message = 'Timer updated') {
+    return updateListItem(REGISTRY_FILE, id, (entry) => {
+      Object.assign(entry, changes);
+      entry.startAt = storage.getStartAt({ date: entry.date, startTime: entry.startTime });
+      entry.history.push({ status: entry.status, at: new Date().toISOString(), message });
+      entry.updatedAt = new Date().toISOString();
+    });
+  }
+
+  /**
+   * Flag an entry whose program could not be confirmed by the EPG re-check, null clears the flag
+   * The message is recorded in the history, so only pass it when the flag is first raised.
+   */
+  async setEpgFlag(id, flag, message = null) {
+    let current = null;
+
+    const entry = await updateListItem(REGISTRY_FILE, id, (stored) => {
+      current = stored;
+      if (JSON.stringify(stored.epgFlag || null) === JSON.stringify(flag)) {
+        return false;
+      }
+
+      stored.epgFlag = flag;
+      stored.updatedAt = new Date().toISOString();
+      if (message) {
+        stored.history.push({ status: stored.status, at: stored.updatedAt, message });
+      }
+    });
+
+    return entry || current;
+  }
+
+  /**
+   * Set status on an entry object and record the transition
+   */
+  applyStatus(entry, status, message = null) {
+    if (!STATUSES.includes(status)) {
+      throw new Error(`Invalid timer status: ${status}`);
+    }
+
+    if (entry.status === status && entry.statusMessage === message) {
+      return false;
+    }
+
+    const now = new Date().toISOString();
+    entry.status = status;
+    entry.statusMessage = message;
+    entry.history.push({ status, at: now, message });
+    entry.updatedAt = now;
+    return true;
+  }
+
+  /**
+   * Whether the entry still has a live timer in DVB Viewer
+   */
+  isActive(entry) {
+    return ACTIVE_STATUSES.includes(entry.status);
+  }
+
+  /**
+   * Get a single registry entry
+   */
+  async get(id) {
+    const [entry] = await findListItems(REGISTRY_FILE, { id });
+    return entry || null;
+  }
+
+  /**
+   * Find the registry entry for a DVB Viewer timer ID
+   */
+  async findByDvbTimerId(dvbTimerId) {
+    const [entry] = await findListItems(REGISTRY_FILE, { dvbTimerId: String(dvbTimerId) });
+    return entry || null;
+  }
+
+  /**
+   * Whether a deleted entry was removed by the user, entries from before deletedBy was
+   * recorded were deleted through the API
+   */
+  isDeletedByUser(entry) {
+    return entry.status === 'deleted' && (entry.deletedBy || 'user') === 'user';
+  }
+
+  /**
+   * Find the entry that already plans a program
+   * Keyed by Hörzu broadcast ID, falling back to channel/date/start time.
+   * Timers deleted by the user count as planned so they are not re-created,
+   * timers the scheduler displaced or cancelled itself may be planned again.
+   */
+  async findPlanned({ broadcastId, channelId, date, startTime }) {
+    const filters = [{ channelId, startAt: storage.getStartAt({ date, startTime }) }];
+    if (broadcastId) {
+      filters.push({ broadcastId: String(broadcastId) });
+    }
+
+    // Oldest entry first, as in the registry
+    const candidates = await findListItems(REGISTRY_FILE, filters);
+
+    return candidates.find(t => {
+      if (t.status === 'failed') return false;
+      if (t.status === 'deleted' && !this.isDeletedByUser(t)) return false;
+
+      if (broadcastId && t.broadcastId) {
+        return t.broadcastId === String(broadcastId);
+      }
+
+      return t.channelId === channelId && t.date === date && t.startTime === startTime;
+    }) || null;
+  }
+
+  /**
+   * List registry entries, newest first
+   * from/to (YYYY-MM-DD) limit the program start date, both inclusive
+   */
+  async list(filter = {}) {
+    if (storage.isSqliteStorage()) {
+      return storage.queryTimers(filter);
+    }
+
+    const registry = await readJsonFile(REGISTRY_FILE);
+    const { from, to } = storage.getDateRange(filter);
+    const startsInRange = (entry) => {
+      if (!from && !to) return true;
+      const startAt = storage.getStartAt(entry);
+      return Boolean(startAt) && (!from || startAt >= from.toISOString()) && (!to || startAt < to.toISOString());
+    };
+
+    return registry.timers
+      .filter(t => !filter.status || t.status === filter.status)
+      .filter(t => !filter.source || t.source === filter.source)
+      .filter(t => !filter.taskId || t.taskId === filter.taskId)
+      .filter(t => !filter.broadcastId || t.broadcastId === filter.broadcastId)
+      .filter(startsInRange)
+      .sort((a, b) => b.createdAt.localeCompare(a.createdAt));
+  }
+
+  /**
+   * Absolute program window of a registry entry
+   */
+  getProgramWindow(entry) {
+    const start = parseBerlinDateTime(entry.date, entry.startTime);
+    let end = parseBerlinDateTime(entry.date, entry.endTime);
+
+    // Program ends after midnight
+    if (end <= start) {
+      end = new Date(end.getTime() + 24 * 60 * 60 * 1000);
+    }
+
+    return { start, end };
+  }
+
+  /**
+   * Find the DVB Viewer timer belonging to a registry entry
+   */
+  matchDvbTimer(entry, dvbTimers) {
+    if (entry.dvbTimerId) {
+      return dvbTimers.find(t => t.id === entry.dvbTimerId) || null;
+    }
+
+    return dvbTimers.find(t =>
+      t.channelId === entry.channelId &&
+      t.date === entry.date &&
+      t.startTime === entry.startTime &&
+      t.title.toLowerCase() === entry.title.toLowerCase()
+    ) || null;
+  }
+
+  /**
+   * Reconcile registry states against the DVB Viewer timer list
+   */
+  async reconcile(dvbTimers) {
+    const now = Date.now();
+    const claimed = new Set();
+    const changes = [];
+
+    await updateListItems(REGISTRY_FILE, { status: ACTIVE_STATUSES }, (entries) => {
+      const changed = [];
+
+      for (const entry of entries) {
+        const dvbTimer = this.matchDvbTimer(entry, dvbTimers.filter(t => !claimed.has(t.id)));
+        const { end } = this.getProgramWindow(entry);
+        const recordingEnd = end.getTime() + (entry.epgAfter || 0) * 60000;
+        let isChanged = false;
+
+        if (dvbTimer) {
+          claimed.add(dvbTimer.id);
+          if (entry.dvbTimerId !== dvbTimer.id) {
+            entry.dvbTimerId = dvbTimer.id;
+            isChanged = true;
+          }
+
+          if (dvbTimer.recording) {
+            isChanged = this.applyStatus(entry, 'recording', 'Recording in progress') || isChanged;
+          } else if (dvbTimer.status === 'finished' || entry.status === 'recording') {
+            isChanged = this.applyStatus(entry, 'done', 'Recording finished') || isChanged;
+          } else {
+            isChanged = this.applyStatus(entry, 'scheduled', dvbTimer.enabled ? 'Timer confirmed by DVB Viewer' : 'Timer disabled in DVB Viewer') || isChanged;
+          }
+        } else if (entry.status === 'recording' || (entry.status === 'scheduled' && recordingEnd < now)) {
+          // DVB Viewer drops timers once they have been executed
+          isChanged = this.applyStatus(entry, 'done', 'Timer executed and removed by DVB Viewer');
+        } else if (entry.status === 'scheduled') {
+          // A confirmed timer that vanishes before it ran was removed in DVB Viewer
+          entry.deletedBy = 'user';
+          isChanged = this.applyStatus(entry, 'deleted', 'Timer deleted in DVB Viewer');
+        } else if (now - new Date(entry.createdAt).getTime() > PENDING_GRACE_MS) {
+          isChanged = this.applyStatus(entry, 'failed', 'Timer never appeared in DVB Viewer');
+        }
+
+        if (isChanged) {
+          changed.push(entry);
+          changes.push({ id: entry.id, title: entry.title, status: entry.status });
+        }
+      }
+
+      // Only changed entries are written
+      return changed;
+    });
+
+    for (const change of changes) {
+      await appendLog(`Timer registry: "${change.title}" -> ${change.status}`);
+    }
+
+    return changes;
+  }
+}
+
+module.exports = new TimerRegistry();
@@ -1,5 +1,8 @@
 const axios = require('axios');
+const cheerio = require('cheerio');
 const { getConfig, appendLog } = require('../utils/fileManager');
+const timerRegistry = require('./timerRegistry');
+const { parseBerlinDateTime, toBerlinISO, formatBerlinDate, formatBerlinTime } = require('../utils/timeUtils');
 
 class TimerService {
   constructor() {
@@ -12,20 +15,37 @@ class TimerService {
     console.log(`🔧 Timer service initialized with DVB host: ${this.dvbHost}`);
   }
 
+  /**
+   * Apply a changed configuration without restart
+   */
+  applyConfig(config) {
+    if (config.dvbViewer.host !== this.dvbHost) {
+      this.dvbHost = config.dvbViewer.host;
+      console.log(`🔧 Timer service now uses DVB host: ${this.dvbHost}`);
+    }
+  }
+
   /**
    * Create a timer in DVB Viewer
+   * meta ({ source, taskId, taskName, broadcastId }) is kept in the timer registry.
    */
-  async createTimer(timerData) {
+  async createTimer(timerData, meta = {}) {
     if (!this.dvbHost) {
       await this.initialize();
     }
 
+    let registryEntry = null;
+
     try {
+      // Track the timer locally before submitting it
+      registryEntry = await timerRegistry.register(timerData, meta);
+
       const config = await getConfig();
       const dvbConfig = config.dvbViewer;
+      const channels = await this.getChannelMapping();
 
       // Build timer URL with all parameters
-      const timerUrl = this.buildTimerUrl(timerData, dvbConfig);
+      const timerUrl = this.buildTimerUrl(timerData, dvbConfig, channels);
       
       console.log(`⏰ Creating timer: ${timerData.title}`);
       console.log(`📡 URL: ${timerUrl}`);
@@ -43,7 +63,7 @@ class TimerService {
       if (success) {
         await appendLog(`Timer created: ${timerData.title} (${timerData.channel})`);
         console.log(`✅ Timer created successfully`);
-        return { success: true, message: 'Timer created successfully' };
+        return { success: true, message: 'Timer created successfully', registryId: registryEntry.id };
       } else {
         throw new Error('DVB Viewer returned error response');
       }
@@ -52,19 +72,130 @@ class TimerService {
       const errorMsg = `Failed to create timer: ${error.message}`;
       console.error(`❌ ${errorMsg}`);
       await appendLog(`Timer error: ${timerData.title} - ${error.message}`);
+
+      if (registryEntry) {
+        await timerRegistry.setStatus(registryEntry.id, 'failed', error.message);
+      }
       
       return { 
         success: false, 
         message: errorMsg,
-        error: error.message 
+        error: error.message,
+        registryId: registryEntry?.id
+      };
+    }
+  }
+
+  /**
+   * Update an existing timer in DVB Viewer
+   */
+  async updateTimer(timerId, timerData, reason = 'Timer updated') {
+    if (!this.dvbHost) {
+      await this.initialize();
+    }
+
+    try {
+      const config = await getConfig();
+      const channels = await this.getChannelMapping();
+
+      // Same form as timer_add, but bound to the existing timer ID
+      const timerUrl = this.buildTimerUrl(timerData, config.dvbViewer, channels, timerId);
+
+      console.log(`✏️ Updating timer ${timerId}: ${timerData.title}`);
+
+      const response = await axios.get(timerUrl, {
+        timeout: 10000,
+        headers: {
+          'User-Agent': 'DVB-EPG-Manager/1.0'
+        }
+      });
+
+      const success = response.status === 200 && !response.data.includes('Error');
+
+      if (success) {
+        await appendLog(`Timer updated: ${timerData.title} (${timerId})`);
+        console.log(`✅ Timer updated successfully`);
+
+        const registryEntry = await timerRegistry.findByDvbTimerId(timerId);
+        if (registryEntry) {
+          const { channelId, title, date, startTime, endTime, epgBefore, epgAfter, folder, priority, series } = timerData;
+          await timerRegistry.update(registryEntry.id, {
+            channelId, title, date, startTime, endTime, epgBefore, epgAfter, folder, priority, series
+          }, reason);
+        }
+
+        return { success: true, message: 'Timer updated successfully' };
+      } else {
+        throw new Error('DVB Viewer returned error response');
+      }
+
+    } catch (error) {
+      const errorMsg = `Failed to update timer: ${error.message}`;
+      console.error(`❌ ${errorMsg}`);
+      await appendLog(`Timer update error: ${timerData.title} (${timerId}) - ${error.message}`);
+
+      return {
+        success: false,
+        message: errorMsg,
+        error: error.message
+      };
+    }
+  }
+
+  /**
+   * Delete a timer in DVB Viewer
+   * deletedBy tells the registry whether the user or the scheduler removed it.
+   */
+  async deleteTimer(timerId, reason = 'Timer deleted via API', deletedBy = 'user') {
+    if (!this.dvbHost) {
+      await this.initialize();
+    }
+
+    try {
+      const url = `http://${this.dvbHost}/api/timerdelete.html`;
+
+      console.log(`🗑️ Deleting timer ${timerId}`);
+
+      const response = await axios.get(url, {
+        params: { id: timerId },
+        timeout: 10000,
+        headers: {
+          'User-Agent': 'DVB-EPG-Manager/1.0'
+        }
+      });
+
+      if (response.status !== 200) {
+        throw new Error(`DVB Viewer returned status ${response.status}`);
+      }
+
+      await appendLog(`Timer deleted: ${timerId}`);
+      console.log(`✅ Timer deleted successfully`);
+
+      const registryEntry = await timerRegistry.findByDvbTimerId(timerId);
+      if (registryEntry) {
+        await timerRegistry.setDeleted(registryEntry.id, deletedBy, reason);
+      }
+
+      return { success: true, message: 'Timer deleted successfully' };
+
+    } catch (error) {
+      const errorMsg = `Failed to delete timer: ${error.message}`;
+      console.error(`❌ ${errorMsg}`);
+      await appendLog(`Timer delete error: ${timerId} - ${error.message}`);
+
+      return {
+        success: false,
+        message: errorMsg,
+        error: error.message
       };
     }
   }
 
   /**
    * Build DVB Viewer timer URL with all parameters
+   * An empty timerId adds a new timer, otherwise the existing timer is edited.
    */
-  buildTimerUrl(timerData, dvbConfig) {
+  buildTimerUrl(timerData, dvbConfig, channels, timerId = '') {
     const {
       channelId,
       title,
@@ -79,7 +210,6 @@ class TimerService {
     } = timerData;
 
     // Get DVB channel ID from mapping
-    const channels = this.getChannelMapping();
     const dvbChannelId = channels[channelId]?.dvbId;
     
     if (!dvbChannelId) {
@@ -106,10 +236,10 @@ class TimerService {
       RecAllAudio: 'checkbox', // Record all audio tracks
       RecEITEPG: 'checkbox',   // Record EPG data
       prio: priority.toString(),
-      aktion: 'timer_add',
-      source: 'timer_add',
+      aktion: timerId ? 'timer_edit' : 'timer_add',
+      source: timerId ? 'timer_edit' : 'timer_add',
       referer: encodeURIComponent(`http://${this.dvbHost}/timer_list.html?aktion=timer_list`),
-      timer_id: '',
+      timer_id: timerId,
       do: 'true',
       timertype: '0',
       save: 'Speichern',
@@ -121,6 +251,127 @@ class TimerService {
     return `http://${this.dvbHost}/timer_new.html?${params.toString()}`;
   }
 
+  /**
+   * Get all timers from the DVB Viewer Recording Service
+   */
+  async getTimers() {
+    if (!this.dvbHost) {
+      await this.initialize();
+    }
+
+    try {
+      const url = `http://${this.dvbHost}/api/timerlist.html`;
+
+      const response = await axios.get(url, {
+        params: { utf8: 1 },
+        timeout: 10000,
+        headers: {
+          'User-Agent': 'DVB-EPG-Manager/1.0'
+        }
+      });
+
+      const channels = await this.getChannelMapping();
+      const timers = this.parseTimerList(response.data, channels);
+
+      console.log(`📋 Loaded ${timers.length} timers from DVB Viewer`);
+      return timers;
+
+    } catch (error) {
+      console.error(`❌ Error loading timer list:`, error.message);
+      await appendLog(`Timer list error: ${error.message}`);
+      throw error;
+    }
+  }
+
+  /**
+   * Reconcile the local timer registry with DVB Viewer
+   */
+  async reconcileRegistry() {
+    const dvbTimers = await this.getTimers();
+    const changes = await timerRegistry.reconcile(dvbTimers);
+
+    console.log(`🔁 Timer registry reconciled, ${changes.length} changes`);
+    return changes;
+  }
+
+  /**
+   * Get a single timer by its DVB Viewer ID
+   */
+  async getTimer(timerId) {
+    const timers = await this.getTimers();
+    return timers.find(timer => timer.id === String(timerId)) || null;
+  }
+
+  /**
+   * Parse timer list XML from the Recording Service
+   * Date/Start/End describe the recording window including the EPG buffers.
+   */
+  parseTimerList(xml, channels = {}) {
+    const $ = cheerio.load(xml, { xmlMode: true });
+    const timers = [];
+
+    // DVB channel ID -> Hörzu channel ID
+    const dvbToChannelId = {};
+    for (const [channelId, channel] of Object.entries(channels)) {
+      if (channel.dvbId) {
+        dvbToChannelId[channel.dvbId] = channelId;
+      }
+    }
+
+    $('Timer').each((index, element) => {
+      const $timer = $(element);
+      const date = $timer.attr('Date');
+      const start = $timer.attr('Start');
+      const duration = parseInt($timer.attr('Dur')) || 0;
+      if (!date || !start) return;
+
+      const epgBefore = parseInt($timer.attr('PreEPG')) || 0;
+      const epgAfter = parseInt($timer.attr('PostEPG')) || 0;
+
+      // Recording window -> program times
+      const recordingStart = parseBerlinDateTime(date, start);
+      const recordingEnd = new Date(recordingStart.getTime() + duration * 60000);
+      const programStart = new Date(recordingStart.getTime() + epgBefore * 60000);
+      const programEnd = new Date(recordingEnd.getTime() - epgAfter * 60000);
+
+      const [dvbChannelId, channelName = ''] = ($timer.find('Channel').attr('ID') || '').split('|');
+      const enabled = $timer.attr('Enabled') !== '0';
+      const recording = $timer.find('Recording').text().trim() === '-1';
+
+      let status = 'scheduled';
+      if (recording) {
+        status = 'recording';
+      } else if (!enabled) {
+        status = 'disabled';
+      } else if (recordingEnd.getTime() < Date.now()) {
+        status = 'finished';
+      }
+
+      timers.push({
+        id: $timer.find('ID').text().trim(),
+        channelId: dvbToChannelId[dvbChannelId] || null,
+        dvbChannelId,
+        channelName,
+        title: $timer.find('Descr').text().trim(),
+        date: formatBerlinDate(programStart),
+        startTime: formatBerlinTime(programStart),
+        endTime: formatBerlinTime(programEnd),
+        start: toBerlinISO(programStart),
+        end: toBerlinISO(programEnd),
+        epgBefore,
+        epgAfter,
+        folder: $timer.find('Folder').text().trim(),
+        priority: parseInt($timer.attr('Priority')) || 0,
+        series: $timer.find('Series').text().trim(),
+        enabled,
+        recording,
+        status
+      });
+    });
+
+    return timers.sort((a, b) => new Date(a.start) - new Date(b.start));
+  }
+
   /**
    * Get channel mapping from config
    */
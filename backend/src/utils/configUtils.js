@@ -0,0 +1,103 @@
+const { validateExclusions } = require('./exclusionUtils');
+
+const TIME_PATTERN = /^([01]\d|2[0-3]):[0-5]\d$/;
+const HOST_PATTERN = /^[\w.-]+(:\d{1,5})?$/;
+
+// Editable config sections and their fields
+const CONFIG_SCHEMA = {
+  dvbViewer: {
+    host: { type: 'string', pattern: HOST_PATTERN, hint: 'host or host:port' },
+    tuners: { type: 'integer', min: 1, max: 16 },
+    defaultFolder: { type: 'string' },
+    defaultPriority: { type: 'integer', min: 0, max: 100 },
+    defaultPreBuffer: { type: 'integer', min: 0, max: 120 },
+    defaultPostBuffer: { type: 'integer', min: 0, max: 240 }
+  },
+  epg: {
+    cacheHours: { type: 'integer', min: 1, max: 72 },
+    provider: { type: 'string' },
+    daysAhead: { type: 'integer', min: 1, max: 14 }
+  },
+  scheduler: {
+    dailyCheckTime: { type: 'string', pattern: TIME_PATTERN, hint: 'HH:MM' },
+    backupTime: { type: 'string', pattern: TIME_PATTERN, hint: 'HH:MM' },
+    reconcileMinutes: { type: 'integer', values: [5, 10, 15, 20, 30, 60] }
+  },
+  backup: {
+    enabled: { type: 'boolean' },
+    directory: { type: 'string', nullable: true },
+    keep: { type: 'integer', min: 1, max: 365 },
+    includeLogsAndCache: { type: 'boolean' }
+  }
+};
+
+/**
+ * Validate a single config value, returns an error message or null
+ */
+function validateField(path, value, field) {
+  if (value === null && field.nullable) {
+    return null;
+  }
+
+  switch (field.type) {
+    case 'integer':
+      if (!Number.isInteger(value)) return `${path} must be a whole number`;
+      break;
+    case 'boolean':
+      if (typeof value !== 'boolean') return `${path} must be true or false`;
+      break;
+    default:
+      if (typeof value !== 'string' || !value.trim()) return `${path} must be a non-empty text`;
+  }
+
+  if (field.min !== undefined && value < field.min) return `${path} must be at least ${field.min}`;
+  if (field.max !== undefined && value > field.max) return `${path} must be at most ${field.max}`;
+  if (field.values && !field.values.includes(value)) return `${path} must be one of ${field.values.join(', ')}`;
+  if (field.pattern && !field.pattern.test(value)) return `${path} must be in the format ${field.hint}`;
+
+  return null;
+}
+
+/**
+ * Validate a complete configuration, returns a list of error messages, empty if valid
+ * Unknown sections and fields are rejected so typos do not go unnoticed.
+ */
+function validateConfig(config) {
+  const errors = [];
+
+  for (const [section, values] of Object.entries(config)) {
+    if (section === 'exclusions') {
+      const error = validateExclusions(values);
+      if (error) errors.push(error);
+      continue;
+    }
+
+    const schema = CONFIG_SCHEMA[section];
+    if (!schema) {
+      errors.push(`Unknown config section "${section}"`);
+      continue;
+    }
+
+    if (!values || typeof values !== 'object' || Array.isArray(values)) {
+      errors.push(`${section} must be an object`);
+      continue;
+    }
+
+    for (const [key, value] of Object.entries(values)) {
+      if (!schema[key]) {
+        errors.push(`Unknown config field "${section}.${key}"`);
+        continue;
+      }
+
+      const error = validateField(`${section}.${key}`, value, schema[key]);
+      if (error) errors.push(error);
+    }
+  }
+
+  return errors;
+}
+
+module.exports = {
+  CONFIG_SCHEMA,
+  validateConfig
+};
@@ -0,0 +1,83 @@
+const { normalizeText } = require('./textUtils');
+
+// Repeats are marked in titles and descriptions, e.g. "(Wh.)", "Wdh." or "Wiederholung"
+const REPEAT_PATTERN = /\(wh\.?\)|\bwdh\.|\bwiederholung\b/i;
+
+// "Staffel 3, Folge 12", "Staffel 3 Folge 12", "S03E12", "S3 E12"
+const SEASON_EPISODE_PATTERNS = [
+  /staffel\s*(\d{1,3})\s*[,/-]?\s*(?:folge|episode|teil)\s*(\d{1,4})/i,
+  /\bs(\d{1,3})\s*e(\d{1,4})\b/i
+];
+
+// "Folge 12" or "Episode 12" without season
+const EPISODE_PATTERN = /\b(?:folge|episode)\s*(\d{1,4})\b/i;
+
+/**
+ * Whether a text marks a program as repeat
+ */
+function isRepeatText(...texts) {
+  return REPEAT_PATTERN.test(texts.filter(Boolean).join(' '));
+}
+
+/**
+ * Extract season, episode and episode title from program details
+ * Explicit season/episode fields (e.g. from XMLTV) win over parsed text.
+ */
+function parseEpisodeInfo(details) {
+  const text = [details.subtitle, details.description, details.additionalInfo].filter(Boolean).join(' | ');
+
+  let season = details.season ?? null;
+  let episode = details.episode ?? null;
+
+  if (episode === null) {
+    for (const pattern of SEASON_EPISODE_PATTERNS) {
+      const match = pattern.exec(text);
+      if (match) {
+        season = parseInt(match[1]);
+        episode = parseInt(match[2]);
+        break;
+      }
+    }
+  }
+
+  if (episode === null) {
+    const match = EPISODE_PATTERN.exec(text);
+    if (match) {
+      episode = parseInt(match[1]);
+    }
+  }
+
+  return {
+    season,
+    episode,
+    episodeTitle: details.subtitle || details.episodeTitle || null,
+    repeat: isRepeatText(details.title, details.subtitle, details.description, details.additionalInfo)
+  };
+}
+
+/**
+ * Key identifying an episode within a series, null if the episode is unknown
+ * Season/episode numbers are preferred, the episode title is the fallback.
+ */
+function getEpisodeKey(info) {
+  if (info.episode !== null && info.episode !== undefined) {
+    return `s${info.season ?? 0}e${info.episode}`;
+  }
+
+  const title = normalizeText(info.episodeTitle);
+  return title ? `t:${title}` : null;
+}
+
+/**
+ * Key identifying a series across channels, from the task series name or the program title
+ */
+function getSeriesKey(task, program) {
+  return normalizeText(task.series || program.title);
+}
+
+module.exports = {
+  isRepeatText,
+  parseEpisodeInfo,
+  getEpisodeKey,
+  getSeriesKey
+};
@@ -0,0 +1,118 @@
+const { isRepeatText } = require('./episodeUtils');
+
+// Exclusion settings and their defaults, used globally (config.json) and per task
+const DEFAULT_EXCLUSIONS = {
+  titles: [],
+  channels: [],
+  genres: [],
+  excludeRepeats: false,
+  minDuration: null
+};
+
+/**
+ * Validate exclusion settings, returns an error message or null
+ */
+function validateExclusions(exclusions, path = 'exclusions') {
+  if (exclusions === undefined || exclusions === null) {
+    return null;
+  }
+
+  if (typeof exclusions !== 'object' || Array.isArray(exclusions)) {
+    return `${path} must be an object`;
+  }
+
+  for (const key of ['titles', 'channels', 'genres']) {
+    const list = exclusions[key];
+    if (list !== undefined && (!Array.isArray(list) || !list.every(v => typeof v === 'string'))) {
+      return `${path}.${key} must be an array of texts`;
+    }
+  }
+
+  if (exclusions.excludeRepeats !== undefined && typeof exclusions.excludeRepeats !== 'boolean') {
+    return `${path}.excludeRepeats must be true or false`;
+  }
+
+  const { minDuration } = exclusions;
+  if (minDuration !== undefined && minDuration !== null && !(Number.isInteger(minDuration) && minDuration > 0)) {
+    return `${path}.minDuration must be a positive number of minutes`;
+  }
+
+  return null;
+}
+
+/**
+ * Normalize exclusion settings, dropping empty entries
+ */
+function normalizeExclusions(exclusions) {
+  const result = { ...DEFAULT_EXCLUSIONS, ...(exclusions || {}) };
+  const clean = (list) => list.map(v => v.trim()).filter(Boolean);
+
+  return {
+    titles: clean(result.titles),
+    channels: clean(result.channels),
+    genres: clean(result.genres),
+    excludeRepeats: Boolean(result.excludeRepeats),
+    minDuration: result.minDuration || null
+  };
+}
+
+/**
+ * Combine global and task exclusions, lists are joined and the stricter limits win
+ */
+function mergeExclusions(globalExclusions, taskExclusions) {
+  const a = normalizeExclusions(globalExclusions);
+  const b = normalizeExclusions(taskExclusions);
+
+  return {
+    titles: [...a.titles, ...b.titles],
+    channels: [...a.channels, ...b.channels],
+    genres: [...a.genres, ...b.genres],
+    excludeRepeats: a.excludeRepeats || b.excludeRepeats,
+    minDuration: Math.max(a.minDuration || 0, b.minDuration || 0) || null
+  };
+}
+
+/**
+ * Get the reason a program is excluded, null if it may be recorded
+ * Titles and genres are matched as case-insensitive substrings, channels by ID or name.
+ * Programs with unknown duration are not excluded by the minimum duration.
+ */
+function getExclusionReason(program, exclusions, context = {}) {
+  const title = (program.title || '').toLowerCase();
+  const blockedTitle = exclusions.titles.find(t => title.includes(t.toLowerCase()));
+  if (blockedTitle) {
+    return `Title excluded ("${blockedTitle}")`;
+  }
+
+  const channelNames = [program.channelId, program.channelName, context.channelName]
+    .filter(Boolean)
+    .map(name => String(name).toLowerCase());
+  const blockedChannel = exclusions.channels.find(c => channelNames.includes(c.toLowerCase()));
+  if (blockedChannel) {
+    return `Channel excluded ("${blockedChannel}")`;
+  }
+
+  const genre = (program.genre || '').toLowerCase();
+  const blockedGenre = exclusions.genres.find(g => genre.includes(g.toLowerCase()));
+  if (blockedGenre) {
+    return `Genre excluded ("${blockedGenre}")`;
+  }
+
+  if (exclusions.excludeRepeats && isRepeatText(program.title, program.subtitle, program.description, program.additionalInfo)) {
+    return 'Repeat excluded';
+  }
+
+  if (exclusions.minDuration && program.duration && program.duration < exclusions.minDuration) {
+    return `Shorter than ${exclusions.minDuration} minutes`;
+  }
+
+  return null;
+}
+
+module.exports = {
+  DEFAULT_EXCLUSIONS,
+  validateExclusions,
+  normalizeExclusions,
+  mergeExclusions,
+  getExclusionReason
+};
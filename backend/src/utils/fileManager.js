@@ -1,12 +1,17 @@
 const fs = require('fs').promises;
 const path = require('path');
+const storage = require('./storage');
 
 const DATA_DIR = path.join(__dirname, '../data');
 
+// Pending operations per file, see withFileLock()
+const fileLocks = new Map();
+
 // Default data structures
 const defaultConfig = {
   dvbViewer: {
     host: process.env.DVB_VIEWER_HOST || 'localhost:8089',
+    tuners: parseInt(process.env.DVB_VIEWER_TUNERS) || 2,
     defaultFolder: 'Auto',
     defaultPriority: 50,
     defaultPreBuffer: 5,
@@ -14,8 +19,27 @@ const defaultConfig = {
   },
   epg: {
     cacheHours: parseInt(process.env.EPG_CACHE_HOURS) || 6,
+    provider: 'hoerzu',
     daysAhead: 7
   },
+  exclusions: {
+    titles: [],
+    channels: [],
+    genres: [],
+    excludeRepeats: false,
+    minDuration: null
+  },
+  scheduler: {
+    dailyCheckTime: '06:00',
+    backupTime: '03:30',
+    reconcileMinutes: 15
+  },
+  backup: {
+    enabled: true,
+    directory: process.env.BACKUP_DIR || null, // null = data/backups
+    keep: parseInt(process.env.BACKUP_KEEP) || 14,
+    includeLogsAndCache: true
+  },
   channels: {}
 };
 
@@ -24,6 +48,36 @@ const defaultTasks = {
   lastId: 0
 };
 
+const defaultTimers = {
+  timers: [],
+  lastId: 0
+};
+
+const defaultXmltvGuide = {
+  channels: {},
+  programmes: {},
+  importedAt: null
+};
+
+const defaultTaskRuns = {
+  runs: [],
+  lastId: 0
+};
+
+const defaultSeriesEpisodes = {
+  series: {}
+};
+
+const defaultHoerzuCatalog = {
+  channels: [],
+  updatedAt: null
+};
+
+const defaultEpgCache = {
+  entries: {},
+  savedAt: null
+};
+
 const defaultChannels = {
   // Hörzu Channel ID -> DVB Viewer Channel ID mapping
   "37": { 
@@ -38,8 +92,9 @@ const defaultChannels = {
   },
   "38": { 
     name: "RTL", 
-    dvbId: "4135000000000000000",
-    category: "privat" 
+    dvbId: null,
+    category: "privat",
+    note: "Nicht in DVB Viewer verfügbar"
   }
   // Weitere Channels werden später hinzugefügt
 };
@@ -61,6 +116,24 @@ async function ensureDataFiles() {
     // Check and create channels.json
     await ensureFile('channels.json', defaultChannels);
     
+    // Check and create timers.json
+    await ensureFile('timers.json', defaultTimers);
+
+    // Check and create task_runs.json
+    await ensureFile('task_runs.json', defaultTaskRuns);
+
+    // Check and create series_episodes.json
+    await ensureFile('series_episodes.json', defaultSeriesEpisodes);
+
+    // Check and create xmltv_guide.json
+    await ensureFile('xmltv_guide.json', defaultXmltvGuide);
+
+    // Check and create hoerzu_catalog.json
+    await ensureFile('hoerzu_catalog.json', defaultHoerzuCatalog);
+
+    // Check and create epg_cache.json
+    await ensureFile('epg_cache.json', defaultEpgCache);
+    
     console.log('✅ Data files initialized');
   } catch (error) {
     console.error('❌ Error initializing data files:', error);
@@ -73,6 +146,14 @@ async function ensureDataFiles() {
  */
 async function ensureFile(filename, defaultContent) {
   const filepath = path.join(DATA_DIR, filename);
+
+  if (storage.handlesDocument(filename)) {
+    if (!storage.hasDocument(filename)) {
+      storage.writeDocument(filename, defaultContent);
+      console.log(`🗄️ Created ${filename} in database`);
+    }
+    return;
+  }
   
   try {
     await fs.access(filepath);
@@ -89,6 +170,10 @@ async function ensureFile(filename, defaultContent) {
  */
 async function readJsonFile(filename) {
   try {
+    if (storage.handlesDocument(filename)) {
+      return storage.readDocument(filename);
+    }
+
     const filepath = path.join(DATA_DIR, filename);
     const data = await fs.readFile(filepath, 'utf-8');
     return JSON.parse(data);
@@ -99,12 +184,21 @@ async function readJsonFile(filename) {
 }
 
 /**
- * Write JSON file
+ * Write a document without taking its lock
+ * JSON files are written to a temporary file first and renamed, so readers never see half a file.
  */
-async function writeJsonFile(filename, data) {
+async function saveDocument(filename, data) {
   try {
+    if (storage.handlesDocument(filename)) {
+      storage.writeDocument(filename, data);
+      console.log(`💾 Saved ${filename} to database`);
+      return;
+    }
+
     const filepath = path.join(DATA_DIR, filename);
-    await fs.writeFile(filepath, JSON.stringify(data, null, 2));
+    const tempPath = `${filepath}.${process.pid}.tmp`;
+    await fs.writeFile(tempPath, JSON.stringify(data, null, 2));
+    await fs.rename(tempPath, filepath);
     console.log(`💾 Saved ${filename}`);
   } catch (error) {
     console.error(`Error writing ${filename}:`, error);
@@ -112,6 +206,183 @@ async function writeJsonFile(filename, data) {
   }
 }
 
+/**
+ * Run an operation while holding the lock of a file
+ * Operations on the same file run one after another in call order.
+ */
+async function withFileLock(filename, operation) {
+  const previous = fileLocks.get(filename) || Promise.resolve();
+
+  let release;
+  const current = previous.then(() => new Promise(resolve => { release = resolve; }));
+  fileLocks.set(filename, current);
+
+  await previous;
+  try {
+    return await operation();
+  } finally {
+    release();
+    if (fileLocks.get(filename) === current) {
+      fileLocks.delete(filename);
+    }
+  }
+}
+
+/**
+ * Write JSON file
+ */
+async function writeJsonFile(filename, data) {
+  return withFileLock(filename, () => saveDocument(filename, data));
+}
+
+/**
+ * Read, change and write a JSON file under its lock
+ * update(data) changes data in place and may be async; returning false leaves the file untouched.
+ * Returns whether the file was written.
+ */
+async function updateJsonFile(filename, update) {
+  return withFileLock(filename, async () => {
+    const data = await readJsonFile(filename);
+
+    if (await update(data) === false) {
+      return false;
+    }
+
+    await saveDocument(filename, data);
+    return true;
+  });
+}
+
+/**
+ * Find the items of a list document (tasks, timers, task runs) matching a filter
+ * The filter maps item fields to a value or an array of values, an array of filters
+ * finds the items matching any of them, see storage.buildWhere().
+ */
+async function findListItems(filename, filter = {}) {
+  if (storage.handlesDocument(filename)) {
+    return storage.findItems(filename, filter);
+  }
+
+  const data = await readJsonFile(filename);
+  return data[storage.getListKey(filename)].filter(item => storage.matchesFilter(filename, item, filter));
+}
+
+/**
+ * Add items to a list document, each gets the next free ID
+ * With a conflict filter nothing is added if an existing item matches it, null is returned then.
+ * Returns the stored items.
+ */
+async function insertListItems(filename, items, conflict = null) {
+  return withFileLock(filename, async () => {
+    if (storage.handlesDocument(filename)) {
+      return storage.insertItems(filename, items, conflict);
+    }
+
+    const data = await readJsonFile(filename);
+    const list = data[storage.getListKey(filename)];
+
+    if (conflict && list.some(item => storage.matchesFilter(filename, item, conflict))) {
+      return null;
+    }
+
+    const stored = items.map(item => {
+      data.lastId = (data.lastId || 0) + 1;
+      return { ...item, id: String(data.lastId) };
+    });
+    list.push(...stored);
+
+    await saveDocument(filename, data);
+    return stored;
+  });
+}
+
+/**
+ * Add a single item to a list document, see insertListItems()
+ */
+async function insertListItem(filename, item, conflict = null) {
+  const stored = await insertListItems(filename, [item], conflict);
+  return stored ? stored[0] : null;
+}
+
+/**
+ * Change the items of a list document matching a filter under its lock
+ * update(items) may be async and returns the items to store, each keeping its ID.
+ * Returns the stored items.
+ */
+async function updateListItems(filename, filter, update) {
+  return withFileLock(filename, async () => {
+    if (storage.handlesDocument(filename)) {
+      // Transactions in better-sqlite3 are synchronous, so the items are changed before
+      const items = await update(storage.findItems(filename, filter)) || [];
+      return storage.updateItems(filename, { id: items.map(item => item.id) }, () => items);
+    }
+
+    const data = await readJsonFile(filename);
+    const list = data[storage.getListKey(filename)];
+
+    const changed = await update(list.filter(item => storage.matchesFilter(filename, item, filter))) || [];
+    if (changed.length === 0) {
+      return changed;
+    }
+
+    for (const item of changed) {
+      const index = list.findIndex(existing => existing.id === item.id);
+      if (index !== -1) {
+        list[index] = item;
+      }
+    }
+
+    await saveDocument(filename, data);
+    return changed;
+  });
+}
+
+/**
+ * Change a single item of a list document by ID
+ * update(item) changes the item in place or returns a replacement; returning false leaves it untouched.
+ * Returns the stored item, or null if there is no item with this ID or it was left untouched.
+ */
+async function updateListItem(filename, id, update) {
+  const [item] = await updateListItems(filename, { id }, async (items) => {
+    if (items.length === 0) {
+      return [];
+    }
+
+    const result = await update(items[0]);
+    if (result === false) {
+      return [];
+    }
+    return [result && typeof result === 'object' ? { ...result, id: items[0].id } : items[0]];
+  });
+
+  return item || null;
+}
+
+/**
+ * Remove the items of a list document matching a filter, except the keepNewest newest
+ * Returns the removed items.
+ */
+async function removeListItems(filename, filter, keepNewest = 0) {
+  return withFileLock(filename, async () => {
+    if (storage.handlesDocument(filename)) {
+      return storage.removeItems(filename, filter, keepNewest);
+    }
+
+    const data = await readJsonFile(filename);
+    const listKey = storage.getListKey(filename);
+
+    const matching = data[listKey].filter(item => storage.matchesFilter(filename, item, filter));
+    const removed = matching.slice(0, Math.max(0, matching.length - keepNewest));
+    if (removed.length === 0) {
+      return removed;
+    }
+
+    data[listKey] = data[listKey].filter(item => !removed.includes(item));
+    await saveDocument(filename, data);
+    return removed;
+  });
+}
+
 /**
  * Append to log file
  */
@@ -138,17 +409,25 @@ async function getConfig(key = null) {
  * Update config value
  */
 async function updateConfig(key, value) {
-  const config = await readJsonFile('config.json');
-  config[key] = value;
-  await writeJsonFile('config.json', config);
+  await updateJsonFile('config.json', (config) => {
+    config[key] = value;
+  });
 }
 
 module.exports = {
   ensureDataFiles,
   readJsonFile,
   writeJsonFile,
+  updateJsonFile,
+  findListItems,
+  insertListItem,
+  insertListItems,
+  updateListItem,
+  updateListItems,
+  removeListItems,
   appendLog,
   getConfig,
   updateConfig,
+  DEFAULT_CONFIG: defaultConfig,
   DATA_DIR
 };
\ No newline at end of file
@@ -0,0 +1,87 @@
+const fs = require('fs');
+const path = require('path');
+
+// JSON files imported into the database on its first start
+const IMPORTED_FILES = ['config.json', 'channels.json', 'tasks.json', 'timers.json', 'task_runs.json'];
+
+/**
+ * Schema migrations, applied in version order and recorded in schema_migrations
+ * Never change a released migration, add a new one instead.
+ * up(db, helpers) runs inside a transaction; helpers: { dataDir, writeDocument(filename, data) }
+ */
+const MIGRATIONS = [
+  {
+    version: 1,
+    name: 'initial_schema',
+    up(db) {
+      db.exec(`
+        CREATE TABLE config (
+          key TEXT PRIMARY KEY,
+          value TEXT NOT NULL
+        );
+
+        CREATE TABLE channels (
+          key TEXT PRIMARY KEY,
+          value TEXT NOT NULL
+        );
+
+        CREATE TABLE tasks (
+          id INTEGER PRIMARY KEY AUTOINCREMENT,
+          name TEXT NOT NULL,
+          type TEXT NOT NULL,
+          active INTEGER NOT NULL DEFAULT 1,
+          data TEXT NOT NULL
+        );
+        CREATE INDEX tasks_name ON tasks (name COLLATE NOCASE);
+
+        CREATE TABLE timers (
+          id INTEGER PRIMARY KEY AUTOINCREMENT,
+          source TEXT,
+          task_id TEXT,
+          status TEXT NOT NULL,
+          channel_id TEXT,
+          broadcast_id TEXT,
+          dvb_timer_id TEXT,
+          start_at TEXT,
+          created_at TEXT NOT NULL,
+          data TEXT NOT NULL
+        );
+        CREATE INDEX timers_task ON timers (task_id, start_at);
+        CREATE INDEX timers_status ON timers (status);
+        CREATE INDEX timers_start ON timers (start_at);
+        CREATE INDEX timers_broadcast ON timers (broadcast_id);
+        CREATE INDEX timers_dvb_timer ON timers (dvb_timer_id);
+
+        CREATE TABLE task_runs (
+          id INTEGER PRIMARY KEY AUTOINCREMENT,
+          task_id TEXT NOT NULL,
+          trigger TEXT,
+          started_at TEXT NOT NULL,
+          data TEXT NOT NULL
+        );
+        CREATE INDEX task_runs_task ON task_runs (task_id, id);
+      `);
+    }
+  },
+  {
+    version: 2,
+    name: 'import_json_files',
+    up(db, { dataDir, writeDocument }) {
+      for (const filename of IMPORTED_FILES) {
+        const filepath = path.join(dataDir, filename);
+        if (!fs.existsSync(filepath)) continue;
+
+        writeDocument(filename, JSON.parse(fs.readFileSync(filepath, 'utf-8')));
+        console.log(`📥 Imported ${filename} into the database`);
+      }
+    }
+  }
+];
+
+// Schema version of the newest migration
+const SCHEMA_VERSION = MIGRATIONS[MIGRATIONS.length - 1].version;
+
+module.exports = {
+  MIGRATIONS,
+  SCHEMA_VERSION
+};
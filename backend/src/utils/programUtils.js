@@ -0,0 +1,140 @@
+const { getBerlinParts, fromBerlinTime, parseBerlinDateTime, toBerlinISO, formatBerlinDate, formatBerlinTime } = require('./timeUtils');
+
+// Listing days run from 05:00 to 05:00 like the Hörzu "ganztags" listings
+const LISTING_DAY_START_HOUR = 5;
+
+// Credit labels on detail pages -> credit field
+const CREDIT_LABELS = {
+  darsteller: 'actors',
+  mit: 'actors',
+  schauspieler: 'actors',
+  regie: 'directors'
+};
+
+/**
+ * Absolute window of a listing day offset
+ */
+function getListingDayWindow(day) {
+  const today = getBerlinParts(new Date());
+
+  return {
+    from: fromBerlinTime(today.year, today.month, today.day + day, LISTING_DAY_START_HOUR, 0),
+    to: fromBerlinTime(today.year, today.month, today.day + day + 1, LISTING_DAY_START_HOUR, 0)
+  };
+}
+
+/**
+ * Listing day offset a program start belongs to, e.g. 0 for today 05:00 until tomorrow 05:00
+ */
+function getListingDayOffset(date) {
+  const today = getBerlinParts(new Date());
+  const parts = getBerlinParts(date);
+
+  let day = Math.round((Date.UTC(parts.year, parts.month - 1, parts.day) -
+    Date.UTC(today.year, today.month - 1, today.day)) / 86400000);
+  if (parts.hours < LISTING_DAY_START_HOUR) {
+    day--;
+  }
+
+  return day;
+}
+
+/**
+ * Berlin weekday (0 = Sunday) of a program from its start, its date (DD.MM.YYYY)
+ * or the listing day offset it was fetched for, null if none of them is known
+ */
+function getProgramWeekday(program, day = null) {
+  try {
+    if (program.start) {
+      return getBerlinParts(new Date(program.start)).weekday;
+    }
+    if (program.date && program.time) {
+      return getBerlinParts(parseBerlinDateTime(program.date, program.time)).weekday;
+    }
+  } catch (error) {
+    // Unparseable values are treated as unknown, the listing day may still tell
+  }
+
+  const match = /^(\d{1,2}):\d{2}$/.exec(program.time || '');
+  if (day === null || day === undefined || !match) {
+    return null;
+  }
+
+  // Programs before 05:00 belong to the previous listing day
+  const today = getBerlinParts(new Date());
+  const calendarDay = today.day + day + (parseInt(match[1]) < LISTING_DAY_START_HOUR ? 1 : 0);
+  return getBerlinParts(fromBerlinTime(today.year, today.month, calendarDay, 12)).weekday;
+}
+
+/**
+ * Set start fields of a program from its absolute start
+ */
+function setProgramStart(program, start) {
+  program.time = formatBerlinTime(start);
+  program.date = formatBerlinDate(start);
+  program.start = toBerlinISO(start);
+  return program;
+}
+
+/**
+ * Set end fields of a program from its absolute end
+ */
+function setProgramEnd(program, end) {
+  program.end = toBerlinISO(end);
+  program.endTime = formatBerlinTime(end);
+  program.duration = Math.round((end - new Date(program.start)) / 60000);
+  return program;
+}
+
+/**
+ * Let every program without end finish when its successor starts
+ */
+function fillEndsFromSuccessors(programs) {
+  programs.forEach((program, index) => {
+    const next = programs[index + 1];
+    if (!program.end && next && new Date(next.start) > new Date(program.start)) {
+      setProgramEnd(program, new Date(next.start));
+    }
+  });
+
+  return programs;
+}
+
+/**
+ * Extract actors and directors from detail text lines like
+ * "Darsteller: Bjarne Mädel (Dietmar Schäffer), Katharina Wackernagel" or "Regie: Arne Feldhusen"
+ */
+function parseCredits(text) {
+  const credits = { actors: [], directors: [] };
+  const labelPattern = new RegExp(`^\\s*(${Object.keys(CREDIT_LABELS).join('|')})\\s*:\\s*(.+)$`, 'i');
+
+  for (const line of String(text || '').split(/\r?\n|\s\|\s/)) {
+    const match = labelPattern.exec(line);
+    if (!match) continue;
+
+    const field = CREDIT_LABELS[match[1].toLowerCase()];
+    const names = match[2]
+      .replace(/\([^)]*\)/g, '')
+      .split(/,|\bund\b/)
+      .map(name => name.trim().replace(/\.$/, ''))
+      .filter(Boolean);
+
+    for (const name of names) {
+      if (!credits[field].includes(name)) {
+        credits[field].push(name);
+      }
+    }
+  }
+
+  return credits;
+}
+
+module.exports = {
+  getListingDayWindow,
+  getListingDayOffset,
+  getProgramWeekday,
+  setProgramStart,
+  setProgramEnd,
+  fillEndsFromSuccessors,
+  parseCredits
+};
@@ -0,0 +1,256 @@
+const { getBerlinParts } = require('./timeUtils');
+const { isRepeatText } = require('./episodeUtils');
+
+// Nested groups deeper than this are rejected
+const MAX_DEPTH = 6;
+
+const GROUP_OPERATORS = ['and', 'or', 'not'];
+
+// Field name -> value type
+const RULE_FIELDS = {
+  title: 'string',
+  subtitle: 'string',
+  genre: 'string',
+  description: 'string',
+  actor: 'string',
+  director: 'string',
+  channel: 'string',
+  weekday: 'number',
+  startTime: 'time',
+  duration: 'number',
+  repeat: 'boolean'
+};
+
+// Value type -> allowed operators
+const FIELD_OPERATORS = {
+  string: ['contains', 'equals', 'starts_with', 'regex', 'in'],
+  number: ['equals', 'in', 'gt', 'gte', 'lt', 'lte', 'between'],
+  time: ['equals', 'gt', 'gte', 'lt', 'lte', 'between'],
+  boolean: ['equals']
+};
+
+/**
+ * Convert "HH:MM" to minutes since midnight
+ */
+function timeToMinutes(value) {
+  const match = /^(\d{1,2}):(\d{2})$/.exec(String(value));
+  if (!match || parseInt(match[1]) > 23 || parseInt(match[2]) > 59) {
+    return null;
+  }
+  return parseInt(match[1]) * 60 + parseInt(match[2]);
+}
+
+/**
+ * Validate a single value against a field type
+ */
+function isValidValue(type, value) {
+  switch (type) {
+    case 'string':
+      return typeof value === 'string' && value.trim() !== '';
+    case 'number':
+      return typeof value === 'number' && Number.isFinite(value);
+    case 'time':
+      return timeToMinutes(value) !== null;
+    case 'boolean':
+      return typeof value === 'boolean';
+    default:
+      return false;
+  }
+}
+
+/**
+ * Validate a rule tree, returns an error message or null
+ * Groups: { operator: 'and' | 'or' | 'not', rules: [...] }
+ * Conditions: { field, op, value }
+ */
+function validateRule(rule, path = 'criteria', depth = 0) {
+  if (!rule || typeof rule !== 'object' || Array.isArray(rule)) {
+    return `${path} must be an object`;
+  }
+
+  if (rule.operator !== undefined) {
+    if (!GROUP_OPERATORS.includes(rule.operator)) {
+      return `${path}.operator must be one of ${GROUP_OPERATORS.join(', ')}`;
+    }
+    if (depth >= MAX_DEPTH) {
+      return `${path} is nested deeper than ${MAX_DEPTH} levels`;
+    }
+    if (!Array.isArray(rule.rules) || rule.rules.length === 0) {
+      return `${path}.rules must be a non-empty array`;
+    }
+    if (rule.operator === 'not' && rule.rules.length !== 1) {
+      return `${path}: "not" groups take exactly one rule`;
+    }
+
+    for (let i = 0; i < rule.rules.length; i++) {
+      const error = validateRule(rule.rules[i], `${path}.rules[${i}]`, depth + 1);
+      if (error) return error;
+    }
+    return null;
+  }
+
+  const type = RULE_FIELDS[rule.field];
+  if (!type) {
+    return `${path}.field must be one of ${Object.keys(RULE_FIELDS).join(', ')}`;
+  }
+
+  if (!FIELD_OPERATORS[type].includes(rule.op)) {
+    return `${path}.op for ${rule.field} must be one of ${FIELD_OPERATORS[type].join(', ')}`;
+  }
+
+  if (rule.op === 'in') {
+    if (!Array.isArray(rule.value) || rule.value.length === 0 || !rule.value.every(v => isValidValue(type, v))) {
+      return `${path}.value must be a non-empty array of ${type} values`;
+    }
+  } else if (rule.op === 'between') {
+    if (!Array.isArray(rule.value) || rule.value.length !== 2 || !rule.value.every(v => isValidValue(type, v))) {
+      return `${path}.value must be an array of two ${type} values`;
+    }
+  } else if (!isValidValue(type, rule.value)) {
+    return `${path}.value must be a ${type === 'time' ? 'time (HH:MM)' : type}`;
+  }
+
+  if (rule.op === 'regex') {
+    try {
+      new RegExp(rule.value, 'i');
+    } catch (error) {
+      return `${path}.value is not a valid regular expression: ${error.message}`;
+    }
+  }
+
+  if (rule.field === 'weekday') {
+    const weekdays = Array.isArray(rule.value) ? rule.value : [rule.value];
+    if (!weekdays.every(d => Number.isInteger(d) && d >= 0 && d <= 6)) {
+      return `${path}.value must be weekdays from 0 (Sunday) to 6 (Saturday)`;
+    }
+  }
+
+  return null;
+}
+
+/**
+ * Get the value(s) of a rule field for a program
+ * context.channelName is used for the channel field in addition to the channel ID.
+ */
+function getFieldValues(program, field, context = {}) {
+  switch (field) {
+    case 'title':
+    case 'subtitle':
+    case 'genre':
+    case 'description':
+      return [program[field] || ''];
+
+    case 'actor':
+      return program.actors || [];
+
+    case 'director':
+      return program.directors || [];
+
+    case 'channel':
+      return [program.channelId, context.channelName].filter(Boolean).map(String);
+
+    case 'weekday':
+      return program.start ? [getBerlinParts(program.start).weekday] : [];
+
+    case 'startTime':
+      return program.time ? [timeToMinutes(program.time)] : [];
+
+    case 'duration':
+      return program.duration ? [program.duration] : [];
+
+    case 'repeat':
+      return [isRepeatText(program.title, program.subtitle, program.description)];
+
+    default:
+      return [];
+  }
+}
+
+/**
+ * Compare a single program value with a condition
+ */
+function compareValue(type, op, actual, expected) {
+  if (type === 'string') {
+    const text = actual.toLowerCase();
+    switch (op) {
+      case 'contains':
+        return text.includes(expected.toLowerCase());
+      case 'equals':
+        return text === expected.toLowerCase();
+      case 'starts_with':
+        return text.startsWith(expected.toLowerCase());
+      case 'regex':
+        return new RegExp(expected, 'i').test(actual);
+      case 'in':
+        return expected.some(v => text === v.toLowerCase());
+      default:
+        return false;
+    }
+  }
+
+  const toNumber = (v) => type === 'time' ? timeToMinutes(v) : v;
+
+  switch (op) {
+    case 'equals':
+      return actual === toNumber(expected);
+    case 'in':
+      return expected.map(toNumber).includes(actual);
+    case 'gt':
+      return actual > toNumber(expected);
+    case 'gte':
+      return actual >= toNumber(expected);
+    case 'lt':
+      return actual < toNumber(expected);
+    case 'lte':
+      return actual <= toNumber(expected);
+    case 'between': {
+      const [from, to] = expected.map(toNumber);
+      // Time windows may wrap around midnight (e.g. 22:00 - 02:00)
+      if (type === 'time' && from > to) {
+        return actual >= from || actual <= to;
+      }
+      return actual >= from && actual <= to;
+    }
+    default:
+      return false;
+  }
+}
+
+/**
+ * Collect the fields used anywhere in a rule tree
+ */
+function getRuleFields(rule, fields = new Set()) {
+  if (rule.operator) {
+    rule.rules.forEach(r => getRuleFields(r, fields));
+  } else {
+    fields.add(rule.field);
+  }
+  return fields;
+}
+
+/**
+ * Evaluate a validated rule tree against a program
+ */
+function evaluateRule(rule, program, context = {}) {
+  switch (rule.operator) {
+    case 'and':
+      return rule.rules.every(r => evaluateRule(r, program, context));
+    case 'or':
+      return rule.rules.some(r => evaluateRule(r, program, context));
+    case 'not':
+      return !evaluateRule(rule.rules[0], program, context);
+  }
+
+  const type = RULE_FIELDS[rule.field];
+  return getFieldValues(program, rule.field, context)
+    .some(actual => compareValue(type, rule.op, actual, rule.value));
+}
+
+module.exports = {
+  RULE_FIELDS,
+  FIELD_OPERATORS,
+  validateRule,
+  evaluateRule,
+  getRuleFields,
+  timeToMinutes
+};
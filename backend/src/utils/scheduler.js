@@ -1,12 +1,38 @@
 const cron = require('node-cron');
 const epgService = require('../services/epgService');
 const timerService = require('../services/timerService');
-const { readJsonFile, writeJsonFile, appendLog } = require('./fileManager');
+const timerRegistry = require('../services/timerRegistry');
+const conflictService = require('../services/conflictService');
+const taskRunLog = require('../services/taskRunLog');
+const episodeStore = require('../services/episodeStore');
+const backupService = require('../services/backupService');
+const { readJsonFile, findListItems, updateListItems, appendLog, getConfig, DEFAULT_CONFIG } = require('./fileManager');
+const { evaluateRule, getRuleFields, timeToMinutes } = require('./ruleEngine');
+const { formatBerlinDate, formatBerlinTime } = require('./timeUtils');
+const { getListingDayOffset, getProgramWeekday } = require('./programUtils');
+const { parseEpisodeInfo, getEpisodeKey, getSeriesKey } = require('./episodeUtils');
+const { mergeExclusions, getExclusionReason } = require('./exclusionUtils');
+const { titleSimilarity, DEFAULT_FUZZY_THRESHOLD, MIN_FUZZY_THRESHOLD } = require('./textUtils');
+
+// Task types and rule fields that need the program detail page
+const DETAIL_TASK_TYPES = ['description_contains', 'person'];
+const DETAIL_RULE_FIELDS = ['subtitle', 'description', 'actor', 'director'];
+
+// Timers starting within this window are re-checked against the EPG every hour
+const RECHECK_WINDOW_MS = 1000 * 60 * 60 * 24;
+
+// A program found by title may have moved at most this far
+const MAX_SHIFT_MS = 1000 * 60 * 60 * 3;
+
+// A timer is only deleted when another program holds its slot on this many checks in a row
+const CANCEL_CONFIRMATIONS = 2;
 
 class TaskScheduler {
   constructor() {
     this.jobs = new Map();
+    this.patterns = new Map();
     this.isRunning = false;
+    this.isChecking = false;
   }
 
   /**
@@ -15,24 +41,68 @@ class TaskScheduler {
   async initialize() {
     console.log('📅 Initializing task scheduler...');
 
-    // Daily EPG check at 6:00 AM
-    this.scheduleJob('daily-epg-check', '0 6 * * *', this.runDailyEPGCheck.bind(this));
-    
     // Hourly task check (for immediate tasks)
     this.scheduleJob('hourly-task-check', '0 * * * *', this.runTaskCheck.bind(this));
 
     // Daily cleanup at midnight
     this.scheduleJob('daily-cleanup', '0 0 * * *', this.runDailyCleanup.bind(this));
 
+    // Daily EPG check, daily backup and timer reconciliation follow the config
+    this.scheduleConfiguredJobs(await getConfig());
+
     console.log('✅ Task scheduler initialized');
   }
 
+  /**
+   * Cron patterns of the jobs whose times are configurable (config.scheduler)
+   */
+  getConfiguredJobs(settings) {
+    const daily = (time) => {
+      const [hours, minutes] = time.split(':').map(Number);
+      return `${minutes} ${hours} * * *`;
+    };
+
+    return [
+      { name: 'daily-epg-check', pattern: daily(settings.dailyCheckTime), run: this.runDailyEPGCheck },
+      { name: 'daily-backup', pattern: daily(settings.backupTime), run: this.runBackup },
+      {
+        name: 'timer-reconcile',
+        pattern: settings.reconcileMinutes >= 60 ? '0 * * * *' : `*/${settings.reconcileMinutes} * * * *`,
+        run: this.runTimerReconcile
+      }
+    ];
+  }
+
+  /**
+   * Apply changed job times, ignored while the scheduler is not running
+   */
+  applyConfig(config) {
+    if (this.jobs.size === 0) {
+      return;
+    }
+
+    this.scheduleConfiguredJobs(config);
+  }
+
+  /**
+   * (Re)schedule the configurable jobs, only jobs whose time changed are replaced
+   */
+  scheduleConfiguredJobs(config) {
+    const settings = { ...DEFAULT_CONFIG.scheduler, ...config.scheduler };
+
+    for (const { name, pattern, run } of this.getConfiguredJobs(settings)) {
+      if (this.patterns.get(name) !== pattern) {
+        this.scheduleJob(name, pattern, run.bind(this));
+      }
+    }
+  }
+
   /**
    * Schedule a cron job
    */
   scheduleJob(name, cronPattern, taskFunction) {
     if (this.jobs.has(name)) {
-      this.jobs.get(name).destroy();
+      this.jobs.get(name).stop();
     }
 
     const job = cron.schedule(cronPattern, taskFunction, {
@@ -41,6 +111,7 @@ class TaskScheduler {
     });
 
     this.jobs.set(name, job);
+    this.patterns.set(name, cronPattern);
     job.start();
     
     console.log(`⏰ Scheduled job "${name}" with pattern "${cronPattern}"`);
@@ -59,8 +130,8 @@ class TaskScheduler {
     console.log('🔄 Starting daily EPG check...');
 
     try {
-      // Clear EPG cache to force fresh data
-      epgService.clearCache();
+      // Expire EPG cache to force fresh data, cached schedules remain as fallback
+      epgService.expireCache();
 
       // Load active tasks
       const tasksData = await readJsonFile('tasks.json');
@@ -80,21 +151,30 @@ class TaskScheduler {
       let totalMatches = 0;
       let totalTimers = 0;
 
-      // Process each task
+      // Collect the matches of all tasks first, so a program matched by
+      // several tasks is only scheduled once, with the highest-priority task
+      const candidates = new Map();
+      const taskMatches = [];
+      const reports = new Map();
+
       for (const task of activeTasks) {
+        const report = taskRunLog.start(task, 'daily');
+        reports.set(task.id, report);
+
         try {
-          const matches = await this.processTask(task, channelIds);
+          const matches = await this.processTask(task, channelIds, { report });
           totalMatches += matches.length;
 
-          // Create timers for matches
           for (const match of matches) {
-            try {
-              const result = await this.createTimerFromMatch(match, task);
-              if (result.success) {
-                totalTimers++;
-              }
-            } catch (error) {
-              console.error(`Failed to create timer for match:`, error.message);
+            const key = this.getProgramKey(match);
+            const current = candidates.get(key);
+            taskMatches.push({ key, match, task });
+
+            // Excluded programs are left to tasks that do not exclude them
+            if (match.exclusion) continue;
+
+            if (!current || (task.priority ?? 50) > (current.task.priority ?? 50)) {
+              candidates.set(key, { match, task });
             }
           }
 
@@ -102,12 +182,51 @@ class TaskScheduler {
 
         } catch (error) {
           console.error(`Error processing task "${task.name}":`, error.message);
+          report.errors.push({ message: error.message });
+        }
+      }
+
+      // Create timers for matches, highest priority first so tuner
+      // conflicts are decided in favour of the more important task
+      const sortedCandidates = [...candidates.entries()]
+        .sort(([, a], [, b]) => (b.task.priority ?? 50) - (a.task.priority ?? 50));
+      const results = new Map();
+
+      for (const [key, { match, task }] of sortedCandidates) {
+        try {
+          const result = await this.createTimerFromMatch(match, task);
+          results.set(key, result);
+          if (result.success) {
+            totalTimers++;
+          }
+        } catch (error) {
+          console.error(`Failed to create timer for match:`, error.message);
+          results.set(key, { success: false, action: 'failed', message: error.message });
         }
       }
 
+      // Report every match to its task, including those left to another task
+      for (const { key, match, task } of taskMatches) {
+        const chosen = candidates.get(key);
+        let result;
+        if (match.exclusion) {
+          result = { action: 'excluded', message: match.exclusion };
+        } else if (chosen.task.id === task.id) {
+          result = results.get(key);
+        } else {
+          result = { action: 'duplicate', message: `Handled by task "${chosen.task.name}"` };
+        }
+
+        taskRunLog.addMatch(reports.get(task.id), match, result);
+      }
+
+      await this.recordRuns([...reports.values()]);
+
       await appendLog(`Daily EPG check completed: ${totalMatches} matches found, ${totalTimers} timers created`);
       console.log(`✅ Daily EPG check completed: ${totalMatches} matches, ${totalTimers} timers`);
 
+      await this.runTimerReconcile();
+
     } catch (error) {
       console.error('❌ Daily EPG check failed:', error);
       await appendLog(`Daily EPG check failed: ${error.message}`);
@@ -116,34 +235,106 @@ class TaskScheduler {
     }
   }
 
+  /**
+   * Store run reports and update the run statistics of their tasks
+   */
+  async recordRuns(reports) {
+    try {
+      const runs = await taskRunLog.save(reports);
+
+      // Re-read under the lock, tasks may have been edited during the run
+      await updateListItems('tasks.json', { id: reports.map(report => report.taskId) }, (tasks) => {
+        for (const report of reports) {
+          const task = tasks.find(t => t.id === report.taskId);
+          if (!task) continue;
+
+          task.lastRun = report.startedAt;
+          task.matchCount = (task.matchCount || 0) + report.matchCount;
+          task.timerCount = (task.timerCount || 0) + report.timersCreated;
+        }
+        return tasks;
+      });
+
+      return runs;
+    } catch (error) {
+      console.error('Failed to record task runs:', error.message);
+      return [];
+    }
+  }
+
+  /**
+   * Get the channels and day offsets searched by a task
+   */
+  getTaskTargets(task, channelIds) {
+    return {
+      targetChannels: task.channels && task.channels.length > 0 ? task.channels : channelIds,
+      targetDays: task.days && task.days.length > 0 ? task.days : [0, 1, 2] // Today + next 2 days
+    };
+  }
+
   /**
    * Process a single task and find matching programs
+   * With options.cachedOnly only cached EPG data is searched, nothing is fetched.
+   * With options.report the scanned channels and fetch errors are added to a run report.
+   * Matches hit by the global or task exclusions carry the reason in match.exclusion.
    */
-  async processTask(task, channelIds) {
+  async processTask(task, channelIds, options = {}) {
     const matches = [];
-    const targetChannels = task.channels && task.channels.length > 0 ? task.channels : channelIds;
-    const targetDays = task.days && task.days.length > 0 ? task.days : [0, 1, 2]; // Today + next 2 days
+    const { targetChannels, targetDays } = this.getTaskTargets(task, channelIds);
+    const exclusions = mergeExclusions(await getConfig('exclusions'), task.exclusions);
+
+    if (options.report) {
+      options.report.channels = targetChannels;
+      options.report.days = targetDays;
+    }
+
+    const needsDetails = this.needsProgramDetails(task);
 
     console.log(`🔍 Processing task "${task.name}" (${task.type})`);
 
     for (const channelId of targetChannels) {
       for (const day of targetDays) {
         try {
-          const epgData = await epgService.getEPG(channelId, day);
+          const epgData = options.cachedOnly
+            ? epgService.getCachedEPG(channelId, day)
+            : await epgService.getEPG(channelId, day);
+
+          if (!epgData) continue;
           
           for (const program of epgData.programs) {
-            if (this.matchesTask(program, task)) {
+            if (!this.matchesConstraints(program, task, day)) continue;
+
+            const candidate = needsDetails
+              ? await this.addProgramDetails(program, options.cachedOnly)
+              : program;
+
+            const context = { channelName: epgData.channelName };
+
+            if (this.matchesTask(candidate, task, context)) {
+              let checked = candidate;
+              let exclusion = getExclusionReason(candidate, exclusions, context);
+
+              // Repeats are often only marked on the detail page
+              if (!exclusion && exclusions.excludeRepeats && !needsDetails) {
+                checked = await this.addProgramDetails(candidate, options.cachedOnly);
+                exclusion = getExclusionReason(checked, exclusions, context);
+              }
+
               matches.push({
-                ...program,
+                ...checked,
                 taskId: task.id,
-                taskName: task.name
+                taskName: task.name,
+                exclusion
               });
             }
           }
 
-          await this.sleep(500); // Rate limiting
+          if (!options.cachedOnly) {
+            await this.sleep(500); // Rate limiting
+          }
         } catch (error) {
           console.error(`Error fetching EPG for channel ${channelId}, day ${day}:`, error.message);
+          options.report?.errors.push({ channelId, day, message: error.message });
         }
       }
     }
@@ -152,10 +343,63 @@ class TaskScheduler {
     return matches;
   }
 
+  /**
+   * Whether a task matches on fields only found on the program detail page
+   */
+  needsProgramDetails(task) {
+    if (DETAIL_TASK_TYPES.includes(task.type)) {
+      return true;
+    }
+
+    if (task.type === 'rule') {
+      try {
+        return [...getRuleFields(task.criteria)].some(field => DETAIL_RULE_FIELDS.includes(field));
+      } catch (error) {
+        return false;
+      }
+    }
+
+    return false;
+  }
+
+  /**
+   * Add description, subtitle, additional info and credits from the (cached) detail page to a program
+   * Uncached details are fetched with rate limiting, unless only the cache may be used.
+   */
+  async addProgramDetails(program, cachedOnly = false) {
+    if (!program.id) {
+      return program;
+    }
+
+    let details = epgService.getCachedProgramDetails(program.id);
+
+    if (!details && !cachedOnly) {
+      try {
+        details = await epgService.getProgramDetails(program.id);
+        await this.sleep(200); // Rate limiting
+      } catch (error) {
+        console.error(`Could not load details of "${program.title}":`, error.message);
+      }
+    }
+
+    if (!details) {
+      return program;
+    }
+
+    return {
+      ...program,
+      subtitle: details.subtitle || program.subtitle || '',
+      description: details.description || '',
+      additionalInfo: details.additionalInfo || '',
+      actors: details.actors || [],
+      directors: details.directors || []
+    };
+  }
+
   /**
    * Check if a program matches a task's criteria
    */
-  matchesTask(program, task) {
+  matchesTask(program, task, context = {}) {
     switch (task.type) {
       case 'title_contains':
         return program.title.toLowerCase().includes(task.criteria.toLowerCase());
@@ -163,6 +407,13 @@ class TaskScheduler {
       case 'title_exact':
         return program.title.toLowerCase() === task.criteria.toLowerCase();
       
+      case 'title_fuzzy': {
+        const { title, threshold = DEFAULT_FUZZY_THRESHOLD } = typeof task.criteria === 'string'
+          ? { title: task.criteria }
+          : task.criteria;
+        return titleSimilarity(title, program.title) >= threshold;
+      }
+      
       case 'genre':
         return program.genre.toLowerCase().includes(task.criteria.toLowerCase());
       
@@ -180,52 +431,573 @@ class TaskScheduler {
           return false;
         }
       
+      case 'description_contains':
+        return (program.description || '').toLowerCase().includes(task.criteria.toLowerCase());
+      
+      case 'person': {
+        const person = task.criteria.toLowerCase();
+        return [...(program.actors || []), ...(program.directors || [])]
+          .some(name => name.toLowerCase().includes(person));
+      }
+      
+      case 'rule':
+        try {
+          return evaluateRule(task.criteria, program, context);
+        } catch (error) {
+          console.error(`Invalid rule in task "${task.name}":`, error.message);
+          return false;
+        }
+      
       default:
         console.warn(`Unknown task type: ${task.type}`);
         return false;
     }
   }
 
+  /**
+   * Check the start time window, weekday and duration constraints of a task
+   * Programs with unknown duration are not excluded by the duration limits,
+   * programs with unknown weekday are excluded when the task is limited to weekdays.
+   * day is the listing day offset the program was fetched for.
+   */
+  matchesConstraints(program, task, day = null) {
+    const { timeWindow, weekdays, minDuration, maxDuration } = task;
+
+    if (timeWindow && (timeWindow.from || timeWindow.to)) {
+      const start = timeToMinutes(program.time);
+      const from = timeWindow.from ? timeToMinutes(timeWindow.from) : null;
+      const to = timeWindow.to ? timeToMinutes(timeWindow.to) : null;
+
+      let inWindow;
+      if (from !== null && to !== null) {
+        // Windows may wrap around midnight (e.g. 22:00 - 02:00)
+        inWindow = from <= to ? start >= from && start <= to : start >= from || start <= to;
+      } else {
+        inWindow = from !== null ? start >= from : start <= to;
+      }
+
+      if (start === null || !inWindow) return false;
+    }
+
+    if (weekdays && weekdays.length > 0 && !weekdays.includes(getProgramWeekday(program, day))) {
+      return false;
+    }
+
+    if (program.duration) {
+      if (minDuration && program.duration < minDuration) return false;
+      if (maxDuration && program.duration > maxDuration) return false;
+    }
+
+    return true;
+  }
+
+  /**
+   * Key identifying a program across tasks
+   */
+  getProgramKey(match) {
+    return match.id ? `broadcast:${match.id}` : `${match.channelId}|${match.date || match.day}|${match.time}`;
+  }
+
+  /**
+   * Whether a task may take over an already planned timer of a lower-priority task
+   */
+  canTakeOver(existing, task, timerData) {
+    return Boolean(existing.source === 'task' &&
+      existing.taskId !== task.id &&
+      timerData.priority > (existing.priority || 0) &&
+      existing.dvbTimerId &&
+      timerRegistry.isActive(existing));
+  }
+
+  /**
+   * Dry run of a task against the cached EPG
+   * Returns the matches with the timer that would be created, nothing is scheduled.
+   */
+  async previewTask(task) {
+    const channels = await readJsonFile('channels.json');
+    const channelIds = Object.keys(channels);
+    const { targetChannels, targetDays } = this.getTaskTargets(task, channelIds);
+
+    // Channel days without cached EPG cannot be previewed
+    const missing = [];
+    for (const channelId of targetChannels) {
+      for (const day of targetDays) {
+        if (!epgService.getCachedEPG(channelId, day)) {
+          missing.push({ channelId, day });
+        }
+      }
+    }
+
+    const matches = await this.processTask(task, channelIds, { cachedOnly: true });
+    const previews = [];
+
+    for (const match of matches) {
+      const timerData = this.buildTimerData(match, task);
+      const existing = await timerRegistry.findPlanned({
+        broadcastId: match.id,
+        channelId: timerData.channelId,
+        date: timerData.date,
+        startTime: timerData.startTime
+      });
+
+      let action = 'create';
+      if (match.exclusion) {
+        action = 'excluded';
+      } else if (existing) {
+        action = this.canTakeOver(existing, task, timerData) ? 'take_over' : 'skip';
+      }
+
+      previews.push({
+        program: match,
+        timer: timerData,
+        action,
+        existing: existing
+          ? { id: existing.id, taskName: existing.taskName || null, status: existing.status }
+          : null
+      });
+    }
+
+    return {
+      matches: previews,
+      missing
+    };
+  }
+
   /**
    * Create timer from matching program
+   * Programs already planned in the timer registry are skipped, unless the
+   * existing timer belongs to a lower-priority task which is then taken over.
+   * Series tasks also skip episodes they already own, excluded programs are never scheduled.
    */
   async createTimerFromMatch(match, task) {
-    // Calculate target date
+    if (match.exclusion) {
+      console.log(`🚫 Skipping "${match.title}", ${match.exclusion}`);
+      return {
+        success: false,
+        skipped: true,
+        action: 'excluded',
+        message: match.exclusion
+      };
+    }
+
+    match = await epgService.completeProgramEnd(match);
+    const timerData = this.buildTimerData(match, task);
+
+    const existing = await timerRegistry.findPlanned({
+      broadcastId: match.id,
+      channelId: timerData.channelId,
+      date: timerData.date,
+      startTime: timerData.startTime
+    });
+
+    if (existing && !this.canTakeOver(existing, task, timerData)) {
+      console.log(`⏭️ Skipping "${match.title}", already planned (registry ${existing.id}, ${existing.status})`);
+      return {
+        success: false,
+        skipped: true,
+        action: 'skipped',
+        message: 'Program already planned',
+        registryId: existing.id
+      };
+    }
+
+    let episode = null;
+    if (task.seriesTracking) {
+      episode = await this.checkEpisode(match, task);
+      if (episode.skip) {
+        console.log(`⏭️ Skipping "${match.title}", ${episode.message}`);
+        return {
+          success: false,
+          skipped: true,
+          action: episode.action,
+          message: episode.message
+        };
+      }
+    }
+
+    if (existing) {
+      console.log(`🔀 Task "${task.name}" takes over timer for "${match.title}" from task "${existing.taskName}"`);
+
+      const result = await timerService.updateTimer(existing.dvbTimerId, timerData);
+      if (result.success) {
+        await timerRegistry.update(existing.id, {
+          ...timerData,
+          taskId: task.id,
+          taskName: task.name
+        }, `Taken over by task "${task.name}"`);
+        await appendLog(`Auto-timer taken over: ${match.title} by task "${task.name}" from task "${existing.taskName}"`);
+        await this.rememberEpisode(episode, match, task, existing.id);
+      }
+
+      return { ...result, action: result.success ? 'taken_over' : 'failed', registryId: existing.id };
+    }
+
+    // Make room on the tuners or give up on this program
+    const { conflicts, displace } = await conflictService.resolveByPriority(timerData);
+
+    if (!displace) {
+      const blocking = conflicts.flatMap(c => c.timers.map(t => t.title));
+      console.log(`⚠️ Skipping "${match.title}", tuner conflict with: ${[...new Set(blocking)].join(', ')}`);
+      await appendLog(`Auto-timer skipped: ${match.title} from task "${task.name}" - tuner conflict`);
+      return {
+        success: false,
+        skipped: true,
+        action: 'conflict',
+        message: 'Tuner conflict with higher-priority timers',
+        conflicts
+      };
+    }
+
+    for (const timer of displace) {
+      console.log(`⏏️ Displacing "${timer.title}" (priority ${timer.priority}) for "${match.title}"`);
+      const deleted = await timerService.deleteTimer(timer.id, `Displaced by higher-priority task "${task.name}"`, 'displaced');
+
+      // Without the room the new timer would overbook the tuners
+      if (!deleted.success) {
+        console.log(`⚠️ Skipping "${match.title}", could not displace "${timer.title}": ${deleted.error}`);
+        await appendLog(`Auto-timer skipped: ${match.title} from task "${task.name}" - displacing ${timer.title} failed: ${deleted.error}`);
+        return {
+          success: false,
+          skipped: true,
+          action: 'conflict',
+          message: `Could not displace lower-priority timer "${timer.title}"`,
+          conflicts
+        };
+      }
+
+      await appendLog(`Auto-timer displaced: ${timer.title} by ${match.title} from task "${task.name}"`);
+    }
+
+    console.log(`⏺️ Creating timer for "${match.title}" from task "${task.name}"`);
+    
+    const result = await timerService.createTimer(timerData, {
+      source: 'task',
+      taskId: task.id,
+      taskName: task.name,
+      broadcastId: match.id
+    });
+    
+    if (result.success) {
+      await appendLog(`Auto-timer created: ${match.title} (${match.channelName}) from task "${task.name}"`);
+      await this.rememberEpisode(episode, match, task, result.registryId);
+    }
+
+    return { ...result, action: result.success ? 'created' : 'failed' };
+  }
+
+  /**
+   * Determine the episode of a match and whether a series task should skip it
+   * Repeats are only skipped by their flag when the episode is unknown.
+   */
+  async checkEpisode(match, task) {
+    // Matches without ID have no detail page, their listing has to do
+    let info = parseEpisodeInfo(match);
+    if (match.id) {
+      try {
+        info = await epgService.getProgramDetails(match.id);
+      } catch (error) {
+        console.error(`Could not load episode details of "${match.title}":`, error.message);
+      }
+    }
+
+    const seriesKey = getSeriesKey(task, match);
+    const episodeKey = getEpisodeKey(info);
+
+    if (episodeKey) {
+      const owned = await episodeStore.findOwned(seriesKey, episodeKey);
+      if (owned) {
+        return {
+          skip: true,
+          action: 'episode_owned',
+          message: `Episode ${episodeKey} already recorded or planned (${owned.date})`
+        };
+      }
+    } else if (info.repeat) {
+      return {
+        skip: true,
+        action: 'repeat',
+        message: 'Repeat without episode information'
+      };
+    }
+
+    return { skip: false, seriesKey, episodeKey, info };
+  }
+
+  /**
+   * Remember the episode of a scheduled series timer
+   */
+  async rememberEpisode(episode, match, task, registryId) {
+    if (!episode?.episodeKey) return;
+
+    await episodeStore.add(episode.seriesKey, task.series || match.title, episode.episodeKey, {
+      title: match.title,
+      season: episode.info.season,
+      episode: episode.info.episode,
+      episodeTitle: episode.info.episodeTitle,
+      channelId: match.channelId,
+      date: match.date || null,
+      time: match.time,
+      broadcastId: match.id || null,
+      taskId: task.id,
+      registryId: registryId || null
+    });
+  }
+
+  /**
+   * Build timer data for a matching program
+   */
+  buildTimerData(match, task) {
+    // Calculate target date if the program has no absolute date
     const today = new Date();
     const targetDate = new Date(today);
     targetDate.setDate(today.getDate() + match.day);
 
-    // Build timer data
-    const timerData = {
+    return {
       channelId: match.channelId,
       title: match.title,
-      date: timerService.formatDate(targetDate),
+      date: match.date || timerService.formatDate(targetDate),
       startTime: match.time,
       endTime: match.endTime || timerService.calculateEndTime(match.time, task.defaultDuration || 120),
       epgBefore: task.preBuffer || 5,
       epgAfter: task.postBuffer || 10,
       folder: task.folder || 'Auto',
-      priority: task.priority || 50,
+      priority: task.priority ?? 50,
       series: task.series || ''
     };
+  }
 
-    console.log(`⏺️ Creating timer for "${match.title}" from task "${task.name}"`);
-    
-    const result = await timerService.createTimer(timerData);
-    
-    if (result.success) {
-      await appendLog(`Auto-timer created: ${match.title} (${match.channelName}) from task "${task.name}"`);
+  /**
+   * Run hourly task check: follow EPG schedule changes of timers in the next 24 hours
+   * Shifted programs get their timer moved, cancelled programs get their timer deleted.
+   */
+  async runTaskCheck() {
+    const summary = { checked: 0, updated: [], deleted: [], notFound: [], flagged: [], errors: [], skipped: false };
+
+    if (this.isRunning || this.isChecking) {
+      console.log('⏸️ EPG check already running, skipping hourly task check...');
+      return { ...summary, skipped: true };
+    }
+
+    this.isChecking = true;
+    console.log('⏰ Running hourly task check...');
+
+    try {
+      // Link freshly created timers to their DVB Viewer IDs first
+      await this.runTimerReconcile();
+
+      const now = Date.now();
+      const entries = (await timerRegistry.list())
+        .filter(entry => ['pending', 'scheduled'].includes(entry.status) && entry.dvbTimerId)
+        .filter(entry => {
+          const { start } = timerRegistry.getProgramWindow(entry);
+          return start.getTime() > now && start.getTime() - now <= RECHECK_WINDOW_MS;
+        });
+
+      // Each channel day is fetched fresh once per check
+      const listings = new Map();
+      const getListing = async (channelId, day) => {
+        const key = `${channelId}-${day}`;
+        if (!listings.has(key)) {
+          listings.set(key, epgService.getEPG(channelId, day, 'ganztags', true)
+            .then(epgData => epgData.programs)
+            .catch(error => {
+              console.error(`Error fetching EPG for channel ${channelId}, day ${day}:`, error.message);
+              return null;
+            }));
+        }
+        return listings.get(key);
+      };
+
+      for (const entry of entries) {
+        summary.checked++;
+
+        try {
+          const result = await this.recheckTimer(entry, getListing);
+          if (result.action === 'updated') summary.updated.push(result);
+          if (result.action === 'deleted') summary.deleted.push(result);
+          if (result.action === 'not_found') summary.notFound.push(result);
+          if (result.action === 'flagged') summary.flagged.push(result);
+          if (result.action === 'failed') summary.errors.push(result);
+        } catch (error) {
+          console.error(`Re-check of timer "${entry.title}" failed:`, error.message);
+          summary.errors.push({ registryId: entry.id, title: entry.title, message: error.message });
+        }
+      }
+
+      if (summary.updated.length > 0 || summary.deleted.length > 0) {
+        await appendLog(`Hourly EPG re-check: ${summary.checked} timers checked, ${summary.updated.length} moved, ${summary.deleted.length} deleted`);
+      }
+      console.log(`✅ Hourly task check completed: ${summary.checked} checked, ${summary.updated.length} moved, ${summary.deleted.length} deleted`);
+
+    } catch (error) {
+      console.error('❌ Hourly task check failed:', error);
+      await appendLog(`Hourly task check failed: ${error.message}`);
+      summary.errors.push({ message: error.message });
+    } finally {
+      this.isChecking = false;
     }
 
-    return result;
+    return summary;
   }
 
   /**
-   * Run hourly task check for immediate tasks
+   * Compare a planned timer with the current EPG and move or delete it
+   * A timer is only deleted when its program is gone and a clearly different program
+   * holds the slot on CANCEL_CONFIRMATIONS checks in a row. Any other mismatch only
+   * flags the registry entry, the program may just be renamed or re-numbered.
    */
-  async runTaskCheck() {
-    console.log('⏰ Running hourly task check...');
-    // Implement immediate task checking if needed
+  async recheckTimer(entry, getListing) {
+    const { start, end } = timerRegistry.getProgramWindow(entry);
+    const day = getListingDayOffset(start);
+    const info = { registryId: entry.id, title: entry.title, channelId: entry.channelId };
+
+    // Programs shortly after midnight may be listed on the previous listing day
+    const days = [day, day - 1].filter(d => d >= 0);
+    const programs = [];
+    let listingFound = false;
+
+    for (const d of days) {
+      const listing = await getListing(entry.channelId, d);
+      if (listing) {
+        listingFound = true;
+        programs.push(...listing);
+      }
+    }
+
+    if (!listingFound) {
+      return { ...info, action: 'failed', message: 'EPG not available' };
+    }
+
+    let program = entry.broadcastId
+      ? programs.find(p => p.id && String(p.id) === entry.broadcastId)
+      : null;
+
+    if (!program) {
+      // Broadcast IDs may change with the schedule, fall back to the nearest program with a similar title
+      program = programs
+        .filter(p => p.title && p.start)
+        .map(p => ({ p, score: titleSimilarity(entry.title, p.title), shift: Math.abs(new Date(p.start) - start) }))
+        .filter(({ score, shift }) => score >= DEFAULT_FUZZY_THRESHOLD && shift <= MAX_SHIFT_MS)
+        .sort((a, b) => b.score - a.score || a.shift - b.shift)[0]?.p || null;
+    }
+
+    if (!program) {
+      return this.handleMissingProgram(entry, programs, start, info);
+    }
+
+    if (entry.epgFlag) {
+      await timerRegistry.setEpgFlag(entry.id, null, 'Program found in EPG again');
+    }
+
+    program = await epgService.completeProgramEnd(program);
+
+    const newStart = new Date(program.start);
+    const newEnd = program.end
+      ? new Date(program.end)
+      : new Date(newStart.getTime() + (end - start)); // Keep the planned duration
+
+    const changes = {
+      date: formatBerlinDate(newStart),
+      startTime: formatBerlinTime(newStart),
+      endTime: formatBerlinTime(newEnd)
+    };
+
+    if (changes.date === entry.date && changes.startTime === entry.startTime && changes.endTime === entry.endTime) {
+      return { ...info, action: 'unchanged' };
+    }
+
+    const from = `${entry.date} ${entry.startTime}-${entry.endTime}`;
+    const to = `${changes.date} ${changes.startTime}-${changes.endTime}`;
+    const reason = `Moved with EPG change from ${from} to ${to}`;
+
+    console.log(`🕒 "${entry.title}" moved from ${from} to ${to}`);
+
+    const { channelId, title, epgBefore, epgAfter, folder, priority, series } = entry;
+    const result = await timerService.updateTimer(entry.dvbTimerId, {
+      channelId, title, epgBefore, epgAfter, folder, priority, series,
+      ...changes
+    }, reason);
+
+    if (!result.success) {
+      return { ...info, action: 'failed', message: result.message };
+    }
+
+    await appendLog(`EPG change: "${entry.title}" moved from ${from} to ${to}`);
+    return { ...info, action: 'updated', from, to };
+  }
+
+  /**
+   * Handle a planned timer whose program is missing from the current EPG
+   * Deletes the timer once a clearly different program held its slot on consecutive checks,
+   * otherwise flags the registry entry and leaves the timer alone.
+   */
+  async handleMissingProgram(entry, programs, start, info) {
+    const occupant = programs.find(p => p.start && new Date(p.start) <= start && p.end && new Date(p.end) > start);
+    const replaced = Boolean(entry.broadcastId && occupant &&
+      String(occupant.id) !== entry.broadcastId &&
+      titleSimilarity(entry.title, occupant.title || '') < MIN_FUZZY_THRESHOLD);
+
+    if (!replaced) {
+      const flag = { reason: 'not_found', since: entry.epgFlag?.reason === 'not_found' ? entry.epgFlag.since : new Date().toISOString() };
+      const message = 'Program not found in current EPG, timer left unchanged';
+      await timerRegistry.setEpgFlag(entry.id, flag, entry.epgFlag?.reason === 'not_found' ? null : message);
+
+      console.log(`❔ "${entry.title}" not found in current EPG, timer left unchanged`);
+      return { ...info, action: 'not_found' };
+    }
+
+    // The same program has to hold the slot on each check
+    const previous = entry.epgFlag?.reason === 'replaced' && entry.epgFlag.occupantId === String(occupant.id)
+      ? entry.epgFlag
+      : null;
+    const confirmations = (previous?.confirmations || 0) + 1;
+
+    if (confirmations < CANCEL_CONFIRMATIONS) {
+      const flag = {
+        reason: 'replaced',
+        occupantId: String(occupant.id),
+        occupantTitle: occupant.title,
+        confirmations,
+        since: previous?.since || new Date().toISOString()
+      };
+      const message = `Slot taken by "${occupant.title}" in current EPG, timer kept until confirmed`;
+      await timerRegistry.setEpgFlag(entry.id, flag, message);
+
+      console.log(`⚠️ "${entry.title}" replaced by "${occupant.title}" in EPG, waiting for confirmation`);
+      return { ...info, action: 'flagged', message, occupant: occupant.title };
+    }
+
+    const reason = `Program no longer in EPG, replaced by "${occupant.title}" (cancelled)`;
+    const result = await timerService.deleteTimer(entry.dvbTimerId, reason, 'cancelled');
+    if (!result.success) {
+      return { ...info, action: 'failed', message: result.message };
+    }
+
+    await appendLog(`EPG change: "${entry.title}" on ${entry.date} ${entry.startTime} was cancelled, timer deleted`);
+    return { ...info, action: 'deleted', message: reason };
+  }
+
+  /**
+   * Reconcile the timer registry with DVB Viewer
+   */
+  async runTimerReconcile() {
+    try {
+      await timerService.reconcileRegistry();
+    } catch (error) {
+      console.error('Timer reconcile failed:', error.message);
+    }
+  }
+
+  /**
+   * Store the automatic backup, keeping the configured number of backups
+   */
+  async runBackup() {
+    try {
+      await backupService.runScheduled();
+    } catch (error) {
+      console.error('❌ Automatic backup failed:', error);
+      await appendLog(`Automatic backup failed: ${error.message}`);
+    }
   }
 
   /**
@@ -235,8 +1007,8 @@ class TaskScheduler {
     console.log('🧹 Running daily cleanup...');
     
     try {
-      // Clear old EPG cache
-      epgService.clearCache();
+      // Evict EPG schedules of past days, today's stay available across midnight
+      epgService.pruneCache();
       
       // Log cleanup
       await appendLog('Daily cleanup completed');
@@ -251,8 +1023,7 @@ class TaskScheduler {
    */
   async executeTaskNow(taskId) {
     try {
-      const tasksData = await readJsonFile('tasks.json');
-      const task = tasksData.tasks.find(t => t.id === taskId);
+      const [task] = await findListItems('tasks.json', { id: taskId });
       
       if (!task) {
         throw new Error('Task not found');
@@ -263,22 +1034,29 @@ class TaskScheduler {
       const channels = await readJsonFile('channels.json');
       const channelIds = Object.keys(channels);
       
-      const matches = await this.processTask(task, channelIds);
-      let timersCreated = 0;
+      const report = taskRunLog.start(task, 'manual');
+      const matches = await this.processTask(task, channelIds, { report });
 
       for (const match of matches) {
-        const result = await this.createTimerFromMatch(match, task);
-        if (result.success) {
-          timersCreated++;
+        let result;
+        try {
+          result = await this.createTimerFromMatch(match, task);
+        } catch (error) {
+          console.error(`Failed to create timer for match:`, error.message);
+          result = { success: false, action: 'failed', message: error.message };
         }
+        taskRunLog.addMatch(report, match, result);
       }
 
-      await appendLog(`Manual task execution: "${task.name}" - ${matches.length} matches, ${timersCreated} timers created`);
+      const [run] = await this.recordRuns([report]);
+
+      await appendLog(`Manual task execution: "${task.name}" - ${matches.length} matches, ${report.timersCreated} timers created`);
       
       return {
         success: true,
         matches: matches.length,
-        timersCreated
+        timersCreated: report.timersCreated,
+        runId: run?.id || null
       };
 
     } catch (error) {
@@ -294,11 +1072,12 @@ class TaskScheduler {
     console.log('🛑 Stopping task scheduler...');
     
     for (const [name, job] of this.jobs) {
-      job.destroy();
+      job.stop();
       console.log(`⏹️ Stopped job "${name}"`);
     }
     
     this.jobs.clear();
+    this.patterns.clear();
     console.log('✅ Task scheduler stopped');
   }
 
@@ -308,6 +1087,7 @@ class TaskScheduler {
   getStatus() {
     return {
       isRunning: this.isRunning,
+      isChecking: this.isChecking,
       jobs: Array.from(this.jobs.keys()),
       jobCount: this.jobs.size
     };
@@ -0,0 +1,535 @@
+const path = require('path');
+const { MIGRATIONS } = require('./migrations');
+const { parseBerlinDateTime, fromBerlinTime } = require('./timeUtils');
+
+const DATA_DIR = path.join(__dirname, '../data');
+const DB_FILE = path.join(DATA_DIR, 'epg-manager.db');
+
+// 'json' keeps every document in its own JSON file, 'sqlite' keeps the documents below in one database
+const STORAGE_BACKEND = (process.env.STORAGE_BACKEND || 'json').toLowerCase();
+
+// Documents stored as rows with an integer ID, extra columns are kept for queries
+// fields maps item fields to the columns they can be filtered by, see findItems()
+const LIST_DOCUMENTS = {
+  'tasks.json': {
+    table: 'tasks',
+    listKey: 'tasks',
+    columns: (task) => ({
+      name: task.name,
+      type: task.type,
+      active: task.active === false ? 0 : 1
+    }),
+    fields: { name: 'name', type: 'type' },
+    caseInsensitive: ['name']
+  },
+  'timers.json': {
+    table: 'timers',
+    listKey: 'timers',
+    columns: (timer) => ({
+      source: timer.source || null,
+      task_id: timer.taskId || null,
+      status: timer.status,
+      channel_id: timer.channelId || null,
+      broadcast_id: timer.broadcastId || null,
+      dvb_timer_id: timer.dvbTimerId || null,
+      start_at: getStartAt(timer),
+      created_at: timer.createdAt
+    }),
+    fields: {
+      source: 'source',
+      taskId: 'task_id',
+      status: 'status',
+      channelId: 'channel_id',
+      broadcastId: 'broadcast_id',
+      dvbTimerId: 'dvb_timer_id',
+      startAt: 'start_at'
+    }
+  },
+  'task_runs.json': {
+    table: 'task_runs',
+    listKey: 'runs',
+    columns: (run) => ({
+      task_id: run.taskId,
+      trigger: run.trigger || null,
+      started_at: run.startedAt
+    }),
+    fields: { taskId: 'task_id', trigger: 'trigger' }
+  }
+};
+
+// Documents stored as key/value rows, one per top-level key
+const KEY_DOCUMENTS = {
+  'config.json': 'config',
+  'channels.json': 'channels'
+};
+
+let db = null;
+
+/**
+ * Whether documents are stored in SQLite
+ */
+function isSqliteStorage() {
+  return STORAGE_BACKEND === 'sqlite';
+}
+
+/**
+ * Whether a document is kept in the database instead of its JSON file
+ */
+function handlesDocument(filename) {
+  return isSqliteStorage() && Boolean(LIST_DOCUMENTS[filename] || KEY_DOCUMENTS[filename]);
+}
+
+/**
+ * Documents kept in the database, empty with JSON storage
+ */
+function getDocumentNames() {
+  return isSqliteStorage() ? [...Object.keys(LIST_DOCUMENTS), ...Object.keys(KEY_DOCUMENTS)] : [];
+}
+
+/**
+ * Absolute program start of a timer as ISO string, null if it cannot be parsed
+ * Registry entries store it as startAt, so the Berlin time conversion runs once per entry.
+ */
+function getStartAt(timer) {
+  if (timer.startAt) {
+    return timer.startAt;
+  }
+
+  try {
+    return timer.date && timer.startTime ? parseBerlinDateTime(timer.date, timer.startTime).toISOString() : null;
+  } catch (error) {
+    return null;
+  }
+}
+
+/**
+ * Open the database and apply pending migrations
+ */
+function getDatabase() {
+  if (db) {
+    return db;
+  }
+
+  // Only required when SQLite storage is used, it is an optional dependency
+  let Database;
+  try {
+    Database = require('better-sqlite3');
+  } catch (error) {
+    throw new Error(`STORAGE_BACKEND=sqlite needs the better-sqlite3 module, install it with "npm install better-sqlite3" (${error.message.split('\n')[0]})`);
+  }
+
+  db = new Database(DB_FILE);
+  db.pragma('journal_mode = WAL');
+  db.pragma('foreign_keys = ON');
+
+  runMigrations(db);
+  return db;
+}
+
+/**
+ * Apply all migrations newer than the recorded schema version
+ */
+function runMigrations(database) {
+  database.exec(`
+    CREATE TABLE IF NOT EXISTS schema_migrations (
+      version INTEGER PRIMARY KEY,
+      name TEXT NOT NULL,
+      applied_at TEXT NOT NULL
+    )
+  `);
+
+  const applied = new Set(database.prepare('SELECT version FROM schema_migrations').all().map(row => row.version));
+  const helpers = {
+    dataDir: DATA_DIR,
+    writeDocument: (filename, data) => writeDocumentTo(database, filename, data)
+  };
+
+  for (const migration of MIGRATIONS) {
+    if (applied.has(migration.version)) continue;
+
+    database.transaction(() => {
+      migration.up(database, helpers);
+      database.prepare('INSERT INTO schema_migrations (version, name, applied_at) VALUES (?, ?, ?)')
+        .run(migration.version, migration.name, new Date().toISOString());
+    })();
+
+    console.log(`🗄️ Applied migration ${migration.version} (${migration.name})`);
+  }
+}
+
+/**
+ * Get the applied migrations
+ */
+function getSchemaInfo() {
+  return {
+    backend: STORAGE_BACKEND,
+    file: isSqliteStorage() ? DB_FILE : null,
+    migrations: isSqliteStorage()
+      ? getDatabase().prepare('SELECT version, name, applied_at AS appliedAt FROM schema_migrations ORDER BY version').all()
+      : []
+  };
+}
+
+/**
+ * Highest ID ever handed out for a table (survives deleting the newest rows)
+ */
+function getSequence(database, table) {
+  const row = database.prepare('SELECT seq FROM sqlite_sequence WHERE name = ?').get(table);
+  return row ? row.seq : 0;
+}
+
+/**
+ * Raise the ID sequence of a table to at least the given value
+ */
+function raiseSequence(database, table, value) {
+  if (value <= getSequence(database, table)) return;
+
+  const updated = database.prepare('UPDATE sqlite_sequence SET seq = ? WHERE name = ?').run(value, table);
+  if (updated.changes === 0) {
+    database.prepare('INSERT INTO sqlite_sequence (name, seq) VALUES (?, ?)').run(table, value);
+  }
+}
+
+/**
+ * Read a document in the shape of its JSON file
+ */
+function readDocument(filename) {
+  const database = getDatabase();
+  const list = LIST_DOCUMENTS[filename];
+
+  if (list) {
+    const items = database.prepare(`SELECT data FROM ${list.table} ORDER BY id`).all()
+      .map(row => JSON.parse(row.data));
+    return { [list.listKey]: items, lastId: getSequence(database, list.table) };
+  }
+
+  const document = {};
+  for (const row of database.prepare(`SELECT key, value FROM ${KEY_DOCUMENTS[filename]} ORDER BY rowid`).all()) {
+    document[row.key] = JSON.parse(row.value);
+  }
+  return document;
+}
+
+/**
+ * Write a document given in the shape of its JSON file
+ */
+function writeDocument(filename, data) {
+  const database = getDatabase();
+  database.transaction(() => writeDocumentTo(database, filename, data))();
+}
+
+/**
+ * Store a document, only rows that changed are written
+ */
+function writeDocumentTo(database, filename, data) {
+  const list = LIST_DOCUMENTS[filename];
+
+  if (list) {
+    const existing = new Map(database.prepare(`SELECT id, data FROM ${list.table}`).all().map(row => [row.id, row.data]));
+    const kept = new Set();
+
+    for (const item of data[list.listKey] || []) {
+      const id = parseInt(item.id);
+      const json = JSON.stringify(item);
+      kept.add(id);
+
+      if (existing.get(id) === json) continue;
+
+      const columns = { ...list.columns(item), data: json };
+      const names = Object.keys(columns);
+
+      if (existing.has(id)) {
+        database.prepare(`UPDATE ${list.table} SET ${names.map(n => `${n} = @${n}`).join(', ')} WHERE id = @id`)
+          .run({ ...columns, id });
+      } else {
+        database.prepare(`INSERT INTO ${list.table} (id, ${names.join(', ')}) VALUES (@id, ${names.map(n => `@${n}`).join(', ')})`)
+          .run({ ...columns, id });
+      }
+    }
+
+    const remove = database.prepare(`DELETE FROM ${list.table} WHERE id = ?`);
+    for (const id of existing.keys()) {
+      if (!kept.has(id)) remove.run(id);
+    }
+
+    raiseSequence(database, list.table, data.lastId || 0);
+    return;
+  }
+
+  const table = KEY_DOCUMENTS[filename];
+  const existing = new Map(database.prepare(`SELECT key, value FROM ${table}`).all().map(row => [row.key, row.value]));
+  const upsert = database.prepare(`INSERT INTO ${table} (key, value) VALUES (?, ?) ON CONFLICT (key) DO UPDATE SET value = excluded.value`);
+
+  for (const [key, value] of Object.entries(data)) {
+    const json = JSON.stringify(value);
+    if (existing.get(key) !== json) {
+      upsert.run(key, json);
+    }
+  }
+
+  const remove = database.prepare(`DELETE FROM ${table} WHERE key = ?`);
+  for (const key of existing.keys()) {
+    if (!(key in data)) remove.run(key);
+  }
+}
+
+/**
+ * Whether a document has any stored rows
+ */
+function hasDocument(filename) {
+  const table = LIST_DOCUMENTS[filename]?.table || KEY_DOCUMENTS[filename];
+  return Boolean(getDatabase().prepare(`SELECT 1 FROM ${table} LIMIT 1`).get()) ||
+    (LIST_DOCUMENTS[filename] && getSequence(getDatabase(), table) > 0);
+}
+
+/**
+ * Key of the item array in a list document
+ */
+function getListKey(filename) {
+  return LIST_DOCUMENTS[filename].listKey;
+}
+
+/**
+ * Column of a filter field of a list document
+ */
+function getFilterColumn(list, field) {
+  const column = field === 'id' ? 'id' : list.fields[field];
+  if (!column) {
+    throw new Error(`Cannot filter ${list.table} by ${field}`);
+  }
+  return column;
+}
+
+/**
+ * Whether an item matches a filter, the JSON counterpart of the WHERE clause of findItems()
+ * An array of filters matches items matching any of them.
+ */
+function matchesFilter(filename, item, filter = {}) {
+  if (Array.isArray(filter)) {
+    return filter.some(alternative => matchesFilter(filename, item, alternative));
+  }
+
+  const list = LIST_DOCUMENTS[filename];
+  let values = null;
+
+  return Object.entries(filter).every(([field, expected]) => {
+    const column = getFilterColumn(list, field);
+    values = values || { ...list.columns(item), id: item.id };
+    const actual = values[column] === null || values[column] === undefined ? null : String(values[column]);
+    const normalize = (value) => list.caseInsensitive?.includes(field) && value !== null ? value.toLowerCase() : value;
+
+    const candidates = (Array.isArray(expected) ? expected : [expected])
+      .map(value => value === null || value === undefined ? null : String(value));
+    return candidates.some(value => normalize(value) === normalize(actual));
+  });
+}
+
+/**
+ * WHERE clause for a filter { field: value or [values] } on a list document
+ * An array of filters matches items matching any of them.
+ */
+function buildWhere(list, filter = {}) {
+  const alternatives = Array.isArray(filter) ? filter : [filter];
+  const params = {};
+
+  const clauses = alternatives.map((alternative, alternativeIndex) => {
+    const conditions = [];
+
+    for (const [field, expected] of Object.entries(alternative)) {
+      const column = getFilterColumn(list, field);
+      const collate = list.caseInsensitive?.includes(field) ? ' COLLATE NOCASE' : '';
+      const values = Array.isArray(expected) ? expected : [expected];
+
+      if (values.length === 0) {
+        conditions.push('0');
+        continue;
+      }
+
+      const names = values.map((value, index) => {
+        const name = `${field}${alternativeIndex}_${index}`;
+        // IDs are integers in the database, anything else cannot match
+        params[name] = column === 'id'
+          ? (/^\d+$/.test(String(value)) ? parseInt(value) : -1)
+          : (value === null || value === undefined ? null : String(value));
+        return name;
+      });
+
+      conditions.push(values.length === 1 && params[names[0]] === null
+        ? `${column} IS NULL`
+        : `${column}${collate} IN (${names.map(name => `@${name}`).join(', ')})`);
+    }
+
+    return conditions.length > 0 ? conditions.join(' AND ') : null;
+  });
+
+  if (clauses.length === 0) {
+    return { where: 'WHERE 0', params };
+  }
+
+  return {
+    where: clauses.includes(null) ? '' : `WHERE (${clauses.join(') OR (')})`,
+    params
+  };
+}
+
+/**
+ * Store the columns and data of an item in its row
+ */
+function writeItem(database, list, item) {
+  const columns = { ...list.columns(item), data: JSON.stringify(item) };
+  const names = Object.keys(columns);
+
+  database.prepare(`UPDATE ${list.table} SET ${names.map(n => `${n} = @${n}`).join(', ')} WHERE id = @id`)
+    .run({ ...columns, id: parseInt(item.id) });
+}
+
+/**
+ * Find the items of a list document matching a filter, oldest first
+ */
+function findItems(filename, filter = {}) {
+  const list = LIST_DOCUMENTS[filename];
+  const { where, params } = buildWhere(list, filter);
+
+  return getDatabase().prepare(`SELECT data FROM ${list.table} ${where} ORDER BY id`).all(params)
+    .map(row => JSON.parse(row.data));
+}
+
+/**
+ * Insert items into a list document, their IDs are assigned by the database
+ * With a conflict filter nothing is inserted if an existing item matches it, null is returned then.
+ */
+function insertItems(filename, items, conflict = null) {
+  const database = getDatabase();
+  const list = LIST_DOCUMENTS[filename];
+
+  return database.transaction(() => {
+    if (conflict) {
+      const { where, params } = buildWhere(list, conflict);
+      if (database.prepare(`SELECT 1 FROM ${list.table} ${where} LIMIT 1`).get(params)) {
+        return null;
+      }
+    }
+
+    return items.map(item => {
+      const columns = { ...list.columns(item), data: '{}' };
+      const names = Object.keys(columns);
+      const { lastInsertRowid } = database.prepare(`INSERT INTO ${list.table} (${names.join(', ')}) VALUES (${names.map(n => `@${n}`).join(', ')})`)
+        .run(columns);
+
+      const stored = { ...item, id: String(lastInsertRowid) };
+      writeItem(database, list, stored);
+      return stored;
+    });
+  })();
+}
+
+/**
+ * Change the items of a list document matching a filter in one transaction
+ * update(items) returns the items to store, each keeping its ID.
+ */
+function updateItems(filename, filter, update) {
+  const database = getDatabase();
+  const list = LIST_DOCUMENTS[filename];
+
+  return database.transaction(() => {
+    const changed = update(findItems(filename, filter)) || [];
+    for (const item of changed) {
+      writeItem(database, list, item);
+    }
+    return changed;
+  })();
+}
+
+/**
+ * Remove the items of a list document matching a filter, except the keepNewest newest
+ * Returns the removed items.
+ */
+function removeItems(filename, filter, keepNewest = 0) {
+  const database = getDatabase();
+  const list = LIST_DOCUMENTS[filename];
+  const { where, params } = buildWhere(list, filter);
+
+  return database.transaction(() => {
+    const rows = database.prepare(`SELECT id, data FROM ${list.table} ${where} ORDER BY id DESC`).all(params)
+      .slice(keepNewest);
+
+    const remove = database.prepare(`DELETE FROM ${list.table} WHERE id = ?`);
+    for (const row of rows) {
+      remove.run(row.id);
+    }
+
+    return rows.reverse().map(row => JSON.parse(row.data));
+  })();
+}
+
+/**
+ * Query timer registry entries, newest first
+ * filter: { status, source, taskId, broadcastId, from, to } with from/to as YYYY-MM-DD program start dates
+ */
+function queryTimers(filter = {}) {
+  const conditions = [];
+  const params = {};
+
+  for (const [key, column] of Object.entries({ status: 'status', source: 'source', taskId: 'task_id', broadcastId: 'broadcast_id' })) {
+    if (filter[key]) {
+      conditions.push(`${column} = @${key}`);
+      params[key] = String(filter[key]);
+    }
+  }
+
+  const { from, to } = getDateRange(filter);
+  if (from) {
+    conditions.push('start_at >= @from');
+    params.from = from.toISOString();
+  }
+  if (to) {
+    conditions.push('start_at < @to');
+    params.to = to.toISOString();
+  }
+
+  const where = conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : '';
+  return getDatabase().prepare(`SELECT data FROM timers ${where} ORDER BY created_at DESC`).all(params)
+    .map(row => JSON.parse(row.data));
+}
+
+/**
+ * Query the runs of a task, newest first
+ */
+function queryTaskRuns(taskId, limit) {
+  return getDatabase().prepare('SELECT data FROM task_runs WHERE task_id = ? ORDER BY id DESC LIMIT ?')
+    .all(String(taskId), limit)
+    .map(row => JSON.parse(row.data));
+}
+
+/**
+ * Absolute range of YYYY-MM-DD from/to dates in Berlin time, to is inclusive
+ */
+function getDateRange({ from, to }) {
+  const parse = (value, dayOffset) => {
+    const match = /^(\d{4})-(\d{2})-(\d{2})$/.exec(value || '');
+    return match ? fromBerlinTime(+match[1], +match[2], +match[3] + dayOffset) : null;
+  };
+
+  return { from: parse(from, 0), to: parse(to, 1) };
+}
+
+module.exports = {
+  STORAGE_BACKEND,
+  isSqliteStorage,
+  handlesDocument,
+  getDocumentNames,
+  getSchemaInfo,
+  readDocument,
+  writeDocument,
+  hasDocument,
+  getListKey,
+  matchesFilter,
+  findItems,
+  insertItems,
+  updateItems,
+  removeItems,
+  queryTimers,
+  queryTaskRuns,
+  getDateRange,
+  getStartAt
+};
@@ -0,0 +1,184 @@
+const { validateRule, timeToMinutes } = require('./ruleEngine');
+const { validateExclusions } = require('./exclusionUtils');
+const { MIN_FUZZY_THRESHOLD } = require('./textUtils');
+
+const VALID_TYPES = [
+  'title_contains', 'title_exact', 'title_fuzzy', 'genre', 'title_and_genre', 'regex',
+  'description_contains', 'person', 'rule'
+];
+
+// Settings of a task besides name, type and criteria, with their defaults
+const TASK_DEFAULTS = {
+  channels: [],
+  days: [0, 1, 2],
+  active: true,
+  priority: 50,
+  preBuffer: 5,
+  postBuffer: 10,
+  folder: 'Auto',
+  series: '',
+  defaultDuration: 120,
+  timeWindow: null,
+  weekdays: [],
+  minDuration: null,
+  maxDuration: null,
+  seriesTracking: false,
+  exclusions: null
+};
+
+/**
+ * Validate the criteria of a task type, returns an error message or null
+ */
+function validateCriteria(type, criteria) {
+  switch (type) {
+    case 'title_and_genre':
+      return criteria && typeof criteria === 'object' && criteria.title && criteria.genre
+        ? null
+        : 'criteria must be an object with title and genre';
+
+    case 'regex':
+      try {
+        new RegExp(criteria, 'i');
+        return null;
+      } catch (error) {
+        return `Invalid regular expression: ${error.message}`;
+      }
+
+    case 'title_fuzzy': {
+      const { title, threshold } = typeof criteria === 'string' ? { title: criteria } : (criteria || {});
+      if (typeof title !== 'string' || !title.trim()) {
+        return 'criteria must be a title or an object with title and optional threshold';
+      }
+      if (threshold !== undefined && !(typeof threshold === 'number' && threshold >= MIN_FUZZY_THRESHOLD && threshold <= 1)) {
+        return `criteria.threshold must be a number between ${MIN_FUZZY_THRESHOLD} and 1`;
+      }
+      return null;
+    }
+
+    case 'rule':
+      return validateRule(criteria);
+
+    default:
+      return typeof criteria === 'string' && criteria.trim() ? null : 'criteria must be a non-empty string';
+  }
+}
+
+/**
+ * Validate time window, weekday, duration constraints and exclusions, returns an error message or null
+ */
+function validateConstraints({ timeWindow, weekdays, minDuration, maxDuration, exclusions }) {
+  if (timeWindow) {
+    if (typeof timeWindow !== 'object') {
+      return 'timeWindow must be an object with from and/or to (HH:MM)';
+    }
+    for (const key of ['from', 'to']) {
+      if (timeWindow[key] && timeToMinutes(timeWindow[key]) === null) {
+        return `timeWindow.${key} must be a time (HH:MM)`;
+      }
+    }
+  }
+
+  if (weekdays !== undefined && weekdays !== null &&
+      (!Array.isArray(weekdays) || !weekdays.every(d => Number.isInteger(d) && d >= 0 && d <= 6))) {
+    return 'weekdays must be an array of weekdays from 0 (Sunday) to 6 (Saturday)';
+  }
+
+  for (const [key, value] of Object.entries({ minDuration, maxDuration })) {
+    if (value !== undefined && value !== null && !(Number.isInteger(value) && value > 0)) {
+      return `${key} must be a positive number of minutes`;
+    }
+  }
+
+  if (minDuration && maxDuration && minDuration > maxDuration) {
+    return 'minDuration must not be greater than maxDuration';
+  }
+
+  return validateExclusions(exclusions);
+}
+
+/**
+ * Validate complete task data, returns an error message or null
+ */
+function validateTask(data) {
+  if (!data || typeof data !== 'object') {
+    return 'task must be an object';
+  }
+
+  if (!data.name || typeof data.name !== 'string' || !data.name.trim()) {
+    return 'name is required';
+  }
+
+  if (!VALID_TYPES.includes(data.type)) {
+    return `type must be one of ${VALID_TYPES.join(', ')}`;
+  }
+
+  if (data.channels !== undefined && !Array.isArray(data.channels)) {
+    return 'channels must be an array of channel IDs';
+  }
+
+  if (data.days !== undefined && (!Array.isArray(data.days) || !data.days.every(Number.isInteger))) {
+    return 'days must be an array of day offsets';
+  }
+
+  return validateCriteria(data.type, data.criteria) || validateConstraints(data);
+}
+
+/**
+ * Build a new task from validated data, unknown fields are dropped
+ */
+function buildTask(id, data) {
+  const task = {
+    id,
+    name: data.name.trim(),
+    type: data.type,
+    criteria: data.criteria
+  };
+
+  for (const [field, defaultValue] of Object.entries(TASK_DEFAULTS)) {
+    task[field] = data[field] ?? defaultValue;
+  }
+  task.seriesTracking = Boolean(task.seriesTracking);
+
+  return {
+    ...task,
+    revision: 1,
+    createdAt: new Date().toISOString(),
+    lastRun: null,
+    matchCount: 0,
+    timerCount: 0
+  };
+}
+
+/**
+ * ETag of a task, changes with every edit of its settings (not with run statistics)
+ */
+function getTaskETag(task) {
+  return `"${task.revision || 0}"`;
+}
+
+/**
+ * Check a client's If-Match header or revision against the current task
+ * Without either the check passes, so older clients keep working.
+ */
+function matchesRevision(task, ifMatch, revision) {
+  if (ifMatch) {
+    return ifMatch.split(',').map(tag => tag.trim().replace(/^W\//, '')).some(tag => tag === '*' || tag === getTaskETag(task));
+  }
+
+  if (revision !== undefined && revision !== null) {
+    return Number(revision) === (task.revision || 0);
+  }
+
+  return true;
+}
+
+module.exports = {
+  VALID_TYPES,
+  TASK_DEFAULTS,
+  validateCriteria,
+  validateConstraints,
+  validateTask,
+  buildTask,
+  getTaskETag,
+  matchesRevision
+};
@@ -0,0 +1,108 @@
+const UMLAUTS = { 'ä': 'ae', 'ö': 'oe', 'ü': 'ue', 'ß': 'ss' };
+
+// Default and lowest allowed minimum score of fuzzy title matches
+const DEFAULT_FUZZY_THRESHOLD = 0.8;
+const MIN_FUZZY_THRESHOLD = 0.5;
+
+// Words of a title token pair below this similarity do not count as the same word
+const MIN_TOKEN_SIMILARITY = 0.75;
+
+// Articles are ignored when comparing title words ("Die Sendung mit der Maus")
+const STOPWORDS = ['der', 'die', 'das', 'den', 'dem', 'des', 'ein', 'eine', 'the', 'a', 'an'];
+
+/**
+ * Normalize text for comparisons: lower case, umlauts spelled out, only letters and digits
+ */
+function normalizeText(text) {
+  return String(text || '')
+    .toLowerCase()
+    .replace(/[äöüß]/g, char => UMLAUTS[char])
+    .normalize('NFD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .replace(/[^a-z0-9]+/g, ' ')
+    .trim();
+}
+
+/**
+ * Normalize a channel name, dropping quality suffixes like "HD", "SD" or "UHD"
+ */
+function normalizeChannelName(name) {
+  return normalizeText(name)
+    .replace(/\b(u?hd|sd|4k|hevc)\b/g, '')
+    .replace(/\s+/g, '');
+}
+
+/**
+ * Levenshtein edit distance of two strings
+ */
+function levenshtein(a, b) {
+  if (a === b) return 0;
+  if (!a.length) return b.length;
+  if (!b.length) return a.length;
+
+  let previous = Array.from({ length: b.length + 1 }, (_, i) => i);
+
+  for (let i = 1; i <= a.length; i++) {
+    const current = [i];
+    for (let j = 1; j <= b.length; j++) {
+      const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+      current[j] = Math.min(previous[j] + 1, current[j - 1] + 1, previous[j - 1] + cost);
+    }
+    previous = current;
+  }
+
+  return previous[b.length];
+}
+
+/**
+ * Similarity of two strings between 0 (different) and 1 (equal)
+ */
+function similarity(a, b) {
+  const maxLength = Math.max(a.length, b.length);
+  if (maxLength === 0) return 1;
+  return 1 - levenshtein(a, b) / maxLength;
+}
+
+/**
+ * Split normalized text into words without articles, all words if only articles remain
+ */
+function getTitleTokens(text) {
+  const tokens = normalizeText(text).split(' ').filter(Boolean);
+  const words = tokens.filter(token => !STOPWORDS.includes(token));
+  return words.length > 0 ? words : tokens;
+}
+
+/**
+ * Fuzzy similarity of a searched title and a program title between 0 and 1
+ * The better of the edit distance of both titles and the share of searched words
+ * found (typo-tolerant) in the program title, so "Polizeiruf 110" also matches
+ * "Polizeiruf 110: Der Fall" and "Sendung mit der Maus" matches "Die Sendung mit der Maus".
+ */
+function titleSimilarity(query, title) {
+  const normalizedQuery = normalizeText(query);
+  const normalizedTitle = normalizeText(title);
+
+  if (!normalizedQuery || !normalizedTitle) {
+    return 0;
+  }
+
+  const queryTokens = getTitleTokens(query);
+  const titleTokens = getTitleTokens(title);
+
+  const tokenScore = queryTokens.reduce((sum, token) => {
+    const best = Math.max(...titleTokens.map(candidate => similarity(token, candidate)));
+    return sum + (best >= MIN_TOKEN_SIMILARITY ? best : 0);
+  }, 0) / queryTokens.length;
+
+  return Math.max(similarity(normalizedQuery, normalizedTitle), tokenScore);
+}
+
+module.exports = {
+  DEFAULT_FUZZY_THRESHOLD,
+  MIN_FUZZY_THRESHOLD,
+  normalizeText,
+  normalizeChannelName,
+  levenshtein,
+  similarity,
+  titleSimilarity
+};
@@ -0,0 +1,135 @@
+const TIMEZONE = 'Europe/Berlin';
+
+const partsFormatter = new Intl.DateTimeFormat('en-US', {
+  timeZone: TIMEZONE,
+  hourCycle: 'h23',
+  year: 'numeric',
+  month: '2-digit',
+  day: '2-digit',
+  hour: '2-digit',
+  minute: '2-digit',
+  second: '2-digit',
+  weekday: 'short'
+});
+
+const WEEKDAYS = ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'];
+
+/**
+ * Get the wall clock parts of a date in Europe/Berlin
+ */
+function getBerlinParts(date) {
+  const parts = {};
+  for (const { type, value } of partsFormatter.formatToParts(new Date(date))) {
+    parts[type] = value;
+  }
+
+  return {
+    year: parseInt(parts.year),
+    month: parseInt(parts.month),
+    day: parseInt(parts.day),
+    hours: parseInt(parts.hour),
+    minutes: parseInt(parts.minute),
+    seconds: parseInt(parts.second),
+    weekday: WEEKDAYS.indexOf(parts.weekday)
+  };
+}
+
+/**
+ * Offset of Europe/Berlin to UTC in minutes at the given instant
+ */
+function getBerlinOffset(date) {
+  const d = new Date(date);
+  const p = getBerlinParts(d);
+  const asUtc = Date.UTC(p.year, p.month - 1, p.day, p.hours, p.minutes, p.seconds);
+  return Math.round((asUtc - Math.floor(d.getTime() / 1000) * 1000) / 60000);
+}
+
+/**
+ * Convert a Berlin wall clock time to a Date
+ */
+function fromBerlinTime(year, month, day, hours = 0, minutes = 0, seconds = 0) {
+  const asUtc = Date.UTC(year, month - 1, day, hours, minutes, seconds);
+
+  // Two passes settle the offset around DST switches
+  let offset = getBerlinOffset(asUtc);
+  offset = getBerlinOffset(asUtc - offset * 60000);
+
+  return new Date(asUtc - offset * 60000);
+}
+
+/**
+ * Parse DVB Viewer date (DD.MM.YYYY) and time (HH:MM[:SS]) as Berlin time
+ */
+function parseBerlinDateTime(date, time) {
+  const [day, month, year] = date.split('.').map(Number);
+  const [hours, minutes, seconds = 0] = time.split(':').map(Number);
+  return fromBerlinTime(year, month, day, hours, minutes, seconds);
+}
+
+/**
+ * Format a date as ISO 8601 with the Berlin offset (e.g. 2025-07-20T20:15:00+02:00)
+ */
+function toBerlinISO(date) {
+  const p = getBerlinParts(date);
+  const offset = getBerlinOffset(date);
+  const sign = offset < 0 ? '-' : '+';
+  const abs = Math.abs(offset);
+  const pad = (n) => n.toString().padStart(2, '0');
+
+  return `${p.year}-${pad(p.month)}-${pad(p.day)}T${pad(p.hours)}:${pad(p.minutes)}:${pad(p.seconds)}` +
+    `${sign}${pad(Math.floor(abs / 60))}:${pad(abs % 60)}`;
+}
+
+/**
+ * Format date for DVB Viewer in Berlin time (DD.MM.YYYY)
+ */
+function formatBerlinDate(date) {
+  const p = getBerlinParts(date);
+  return `${p.day.toString().padStart(2, '0')}.${p.month.toString().padStart(2, '0')}.${p.year}`;
+}
+
+/**
+ * Format time for DVB Viewer in Berlin time (HH:MM)
+ */
+function formatBerlinTime(date) {
+  const p = getBerlinParts(date);
+  return `${p.hours.toString().padStart(2, '0')}:${p.minutes.toString().padStart(2, '0')}`;
+}
+
+/**
+ * Parse an XMLTV timestamp (YYYYMMDDHHMMSS +HHMM), Berlin time without offset
+ */
+function parseXmltvTime(value) {
+  const match = String(value).trim().match(/^(\d{4})(\d{2})(\d{2})(\d{2})(\d{2})(\d{2})?\s*([+-]\d{4})?/);
+  if (!match) return null;
+
+  const [, year, month, day, hours, minutes, seconds = '0', offset] = match;
+  if (!offset) {
+    return fromBerlinTime(+year, +month, +day, +hours, +minutes, +seconds);
+  }
+
+  const offsetMinutes = (offset[0] === '-' ? -1 : 1) * (parseInt(offset.slice(1, 3)) * 60 + parseInt(offset.slice(3)));
+  return new Date(Date.UTC(+year, month - 1, +day, +hours, +minutes, +seconds) - offsetMinutes * 60000);
+}
+
+/**
+ * Convert a date to an OLE automation date in Berlin wall clock time (used by DVB Viewer)
+ */
+function toOleDate(date) {
+  const p = getBerlinParts(date);
+  const wallClock = Date.UTC(p.year, p.month - 1, p.day, p.hours, p.minutes, p.seconds);
+  return wallClock / 86400000 + 25569;
+}
+
+module.exports = {
+  TIMEZONE,
+  getBerlinParts,
+  getBerlinOffset,
+  fromBerlinTime,
+  parseBerlinDateTime,
+  toBerlinISO,
+  formatBerlinDate,
+  formatBerlinTime,
+  parseXmltvTime,
+  toOleDate
+};
@@ -0,0 +1,131 @@
+const cheerio = require('cheerio');
+const { getBerlinParts, getBerlinOffset, parseXmltvTime } = require('./timeUtils');
+
+/**
+ * Escape text for XML content and attributes
+ */
+function escapeXml(value) {
+  return String(value ?? '')
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&apos;');
+}
+
+/**
+ * Format a date as XMLTV timestamp in Berlin time (YYYYMMDDHHMMSS +HHMM)
+ */
+function formatXmltvTime(date) {
+  const p = getBerlinParts(date);
+  const offset = getBerlinOffset(date);
+  const pad = (n) => n.toString().padStart(2, '0');
+  const sign = offset < 0 ? '-' : '+';
+
+  return `${p.year}${pad(p.month)}${pad(p.day)}${pad(p.hours)}${pad(p.minutes)}${pad(p.seconds)} ` +
+    `${sign}${pad(Math.floor(Math.abs(offset) / 60))}${pad(Math.abs(offset) % 60)}`;
+}
+
+/**
+ * Build an XMLTV document
+ * channels: [{ id, name }], programmes: [{ channelId, start, end, title, subtitle, description, genre }]
+ */
+function buildXmltv(channels, programmes) {
+  const lines = [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    '<!DOCTYPE tv SYSTEM "xmltv.dtd">',
+    '<tv generator-info-name="DVB-EPG-Manager">'
+  ];
+
+  for (const channel of channels) {
+    lines.push(`  <channel id="${escapeXml(channel.id)}">`);
+    lines.push(`    <display-name lang="de">${escapeXml(channel.name)}</display-name>`);
+    lines.push('  </channel>');
+  }
+
+  for (const programme of programmes) {
+    const stop = programme.end ? ` stop="${formatXmltvTime(new Date(programme.end))}"` : '';
+
+    lines.push(`  <programme start="${formatXmltvTime(new Date(programme.start))}"${stop} channel="${escapeXml(programme.channelId)}">`);
+    lines.push(`    <title lang="de">${escapeXml(programme.title)}</title>`);
+    if (programme.subtitle) {
+      lines.push(`    <sub-title lang="de">${escapeXml(programme.subtitle)}</sub-title>`);
+    }
+    if (programme.description) {
+      lines.push(`    <desc lang="de">${escapeXml(programme.description)}</desc>`);
+    }
+    if (programme.genre) {
+      lines.push(`    <category lang="de">${escapeXml(programme.genre)}</category>`);
+    }
+    lines.push('  </programme>');
+  }
+
+  lines.push('</tv>');
+  return lines.join('\n') + '\n';
+}
+
+/**
+ * Parse season and episode from an xmltv_ns episode number ("2.11.0/1", zero-based)
+ */
+function parseXmltvEpisodeNum(value) {
+  const [season, episode] = String(value || '').split('.').map(part => parseInt(part.split('/')[0].trim()));
+
+  return {
+    season: Number.isNaN(season) ? null : season + 1,
+    episode: Number.isNaN(episode) ? null : episode + 1
+  };
+}
+
+/**
+ * Parse an XMLTV document
+ * Returns { channels: [{ id, name }], programmes: [{ channelId, start, end, title, season, episode, ... }] }
+ * with start/end as Date objects.
+ */
+function parseXmltv(xml) {
+  const $ = cheerio.load(xml, { xmlMode: true });
+
+  if ($('tv').length === 0) {
+    throw new Error('Not an XMLTV document (missing <tv> root element)');
+  }
+
+  const channels = [];
+  $('tv > channel').each((index, element) => {
+    const $channel = $(element);
+    channels.push({
+      id: $channel.attr('id'),
+      name: $channel.find('display-name').first().text().trim() || $channel.attr('id')
+    });
+  });
+
+  const programmes = [];
+  $('tv > programme').each((index, element) => {
+    const $programme = $(element);
+    const start = parseXmltvTime($programme.attr('start') || '');
+    if (!start || !$programme.attr('channel')) return;
+
+    const { season, episode } = parseXmltvEpisodeNum($programme.find('episode-num[system="xmltv_ns"]').first().text());
+
+    programmes.push({
+      channelId: $programme.attr('channel'),
+      start,
+      end: $programme.attr('stop') ? parseXmltvTime($programme.attr('stop')) : null,
+      title: $programme.find('title').first().text().trim(),
+      subtitle: $programme.find('sub-title').first().text().trim(),
+      description: $programme.find('desc').first().text().trim(),
+      genre: $programme.find('category').first().text().trim(),
+      season,
+      episode,
+      actors: $programme.find('credits > actor').map((i, el) => $(el).text().trim()).get(),
+      directors: $programme.find('credits > director').map((i, el) => $(el).text().trim()).get()
+    });
+  });
+
+  return { channels, programmes };
+}
+
+module.exports = {
+  escapeXml,
+  formatXmltvTime,
+  buildXmltv,
+  parseXmltv
+};
@@ -11,10 +11,23 @@
  * - timer: Test timer creation (dry run)
  * - tasks: Test task management
  * - search: Test EPG search
+ * - unit: Test utilities, conflict detection and priorities without a running server
  * - all: Run all tests
  */
 
+const assert = require('assert');
 const axios = require('axios');
+const timeUtils = require('./src/utils/timeUtils');
+const ruleEngine = require('./src/utils/ruleEngine');
+const textUtils = require('./src/utils/textUtils');
+const taskUtils = require('./src/utils/taskUtils');
+const conflictService = require('./src/services/conflictService');
+const timerService = require('./src/services/timerService');
+const timerRegistry = require('./src/services/timerRegistry');
+const epgService = require('./src/services/epgService');
+const episodeStore = require('./src/services/episodeStore');
+const hoerzuProvider = require('./src/services/epgProviders/hoerzuProvider');
+const { scheduler } = require('./src/utils/scheduler');
 
 const BASE_URL = 'http://localhost:3001/api';
 const colors = {
@@ -194,6 +207,28 @@ async function testDVBConnection() {
   }
 }
 
+async function testTimerList() {
+  try {
+    info('Testing timer list...');
+    const response = await axios.get(`${BASE_URL}/timer`);
+    
+    if (response.status === 200 && response.data.success) {
+      success(`Loaded ${response.data.count} timers from DVB Viewer`);
+      
+      // Show first few timers
+      response.data.data.slice(0, 3).forEach(timer => {
+        console.log(`   ${timer.date} ${timer.startTime}-${timer.endTime}: ${timer.title} (${timer.status})`);
+      });
+      
+      return true;
+    }
+  } catch (err) {
+    warn('Timer list failed (this is normal if DVB Viewer is not running)');
+    console.log(`   Error: ${err.response?.data?.message || err.message}`);
+    return false;
+  }
+}
+
 async function testTasks() {
   try {
     info('Testing task management...');
@@ -284,20 +319,390 @@ async function testSchedulerStatus() {
   }
 }
 
-async function runAllTests() {
-  console.log(`${colors.bold}${colors.blue}=== DVB EPG Manager Backend Tests ===${colors.reset}\n`);
-  
-  const tests = [
-    { name: 'Health Check', fn: testHealth },
-    { name: 'Channel Loading', fn: testChannels },
-    { name: 'EPG Fetching', fn: testEPG },
-    { name: 'EPG Search', fn: testSearch },
-    { name: 'Timer Validation', fn: testTimerValidation },
-    { name: 'DVB Connection', fn: testDVBConnection },
-    { name: 'Task Types', fn: testTaskTypes },
-    { name: 'Task Management', fn: testTasks },
-    { name: 'Scheduler Status', fn: testSchedulerStatus }
-  ];
+/**
+ * Replace methods of service objects while fn runs, stubs are [object, method, replacement]
+ */
+async function withStubs(stubs, fn) {
+  const originals = stubs.map(([object, method]) => [object, method, object[method]]);
+  stubs.forEach(([object, method, replacement]) => { object[method] = replacement; });
+
+  try {
+    return await fn();
+  } finally {
+    originals.forEach(([object, method, original]) => { object[method] = original; });
+  }
+}
+
+async function testTimeUtils() {
+  try {
+    info('Testing Berlin time conversion...');
+    const { parseBerlinDateTime, toBerlinISO, formatBerlinDate, formatBerlinTime, getBerlinParts, parseXmltvTime } = timeUtils;
+
+    // Summer time ends on 25.10.2026 at 03:00
+    assert.strictEqual(toBerlinISO(parseBerlinDateTime('24.10.2026', '12:00')), '2026-10-24T12:00:00+02:00');
+    assert.strictEqual(toBerlinISO(parseBerlinDateTime('25.10.2026', '12:00')), '2026-10-25T12:00:00+01:00');
+    assert.strictEqual(parseBerlinDateTime('20.07.2026', '20:15').toISOString(), '2026-07-20T18:15:00.000Z');
+
+    // New Year in Berlin while it is still the old year in UTC
+    const newYear = new Date('2026-12-31T23:30:00Z');
+    assert.strictEqual(formatBerlinDate(newYear), '01.01.2027');
+    assert.strictEqual(formatBerlinTime(newYear), '00:30');
+
+    assert.strictEqual(getBerlinParts(new Date('2026-07-20T18:15:00Z')).weekday, 1);
+    assert.strictEqual(parseXmltvTime('20260720201500 +0200').toISOString(), '2026-07-20T18:15:00.000Z');
+
+    success('Berlin time conversion works across DST and year changes');
+    return true;
+  } catch (err) {
+    error(`Time utils failed: ${err.message}`);
+    return false;
+  }
+}
+
+async function testRuleEngine() {
+  try {
+    info('Testing rule engine...');
+    const { validateRule, evaluateRule, timeToMinutes } = ruleEngine;
+
+    assert.strictEqual(timeToMinutes('20:15'), 1215);
+    assert.strictEqual(timeToMinutes('24:00'), null);
+
+    const rule = {
+      operator: 'and',
+      rules: [
+        { field: 'genre', op: 'contains', value: 'krimi' },
+        { field: 'startTime', op: 'between', value: ['22:00', '02:00'] },
+        { operator: 'not', rules: [{ field: 'channel', op: 'in', value: ['38'] }] }
+      ]
+    };
+    assert.strictEqual(validateRule(rule), null);
+
+    const program = { title: 'Der Alte', genre: 'Krimi', channelId: '37', time: '23:30' };
+    assert.strictEqual(evaluateRule(rule, program), true);
+    // The time window wraps around midnight
+    assert.strictEqual(evaluateRule(rule, { ...program, time: '01:00' }), true);
+    assert.strictEqual(evaluateRule(rule, { ...program, time: '12:00' }), false);
+    assert.strictEqual(evaluateRule(rule, { ...program, channelId: '38' }), false);
+
+    assert.match(validateRule({ field: 'weekday', op: 'equals', value: 7 }), /weekdays/);
+    assert.match(validateRule({ field: 'title', op: 'regex', value: '(' }), /regular expression/);
+    assert.match(validateRule({ operator: 'not', rules: [rule, rule] }), /exactly one rule/);
+
+    success('Rules are validated and evaluated correctly');
+    return true;
+  } catch (err) {
+    error(`Rule engine failed: ${err.message}`);
+    return false;
+  }
+}
+
+async function testTextUtils() {
+  try {
+    info('Testing fuzzy title matching...');
+    const { titleSimilarity, normalizeText, DEFAULT_FUZZY_THRESHOLD, MIN_FUZZY_THRESHOLD } = textUtils;
+
+    assert.strictEqual(normalizeText('Süß & Grün!'), 'suess gruen');
+    assert(titleSimilarity('Tatort - Der Fall', 'Tatort: Der Fall') >= DEFAULT_FUZZY_THRESHOLD);
+    assert(titleSimilarity('Die Sendung mit der Maus', 'Sendung mit der Maus') >= DEFAULT_FUZZY_THRESHOLD);
+
+    // Similar but different shows stay below the default threshold
+    const related = titleSimilarity('Terra X', 'Terra Xpress');
+    assert(related >= MIN_FUZZY_THRESHOLD && related < DEFAULT_FUZZY_THRESHOLD);
+    assert(titleSimilarity('Tatort', 'Wetter') < MIN_FUZZY_THRESHOLD);
+
+    success('Fuzzy titles match within the thresholds');
+    return true;
+  } catch (err) {
+    error(`Text utils failed: ${err.message}`);
+    return false;
+  }
+}
+
+async function testTaskUtils() {
+  try {
+    info('Testing task validation and revisions...');
+    const { validateCriteria, validateConstraints, buildTask, getTaskETag, matchesRevision } = taskUtils;
+
+    assert.strictEqual(validateCriteria('title_fuzzy', { title: 'Tatort', threshold: 0.6 }), null);
+    assert.match(validateCriteria('title_fuzzy', { title: 'Tatort', threshold: 0.3 }), /threshold/);
+    assert.match(validateCriteria('regex', '('), /Invalid regular expression/);
+
+    assert.strictEqual(validateConstraints({ timeWindow: { from: '20:00', to: '23:00' }, weekdays: [0, 6] }), null);
+    assert.match(validateConstraints({ timeWindow: { from: '25:00' } }), /timeWindow.from/);
+    assert.match(validateConstraints({ minDuration: -5 }), /minDuration/);
+
+    const task = buildTask('7', { name: '  Tatort ', type: 'title_contains', criteria: 'Tatort' });
+    assert.strictEqual(task.name, 'Tatort');
+    assert.strictEqual(Object.keys(task)[0], 'id');
+
+    const revised = { ...task, revision: 3 };
+    assert.strictEqual(getTaskETag(revised), '"3"');
+    assert.strictEqual(matchesRevision(revised, 'W/"3"'), true);
+    assert.strictEqual(matchesRevision(revised, '"2"'), false);
+    assert.strictEqual(matchesRevision(revised, null, 2), false);
+    assert.strictEqual(matchesRevision(revised), true);
+
+    success('Tasks are validated and revisions checked');
+    return true;
+  } catch (err) {
+    error(`Task utils failed: ${err.message}`);
+    return false;
+  }
+}
+
+async function testConstraints() {
+  try {
+    info('Testing task constraints...');
+    const task = { weekdays: [1], timeWindow: { from: '20:00', to: '23:00' } };
+
+    // 20.07.2026 is a Monday
+    assert.strictEqual(scheduler.matchesConstraints({ time: '20:15', start: '2026-07-20T20:15:00+02:00' }, task), true);
+    assert.strictEqual(scheduler.matchesConstraints({ time: '20:15', date: '21.07.2026' }, task), false);
+    assert.strictEqual(scheduler.matchesConstraints({ time: '19:00', date: '20.07.2026' }, task), false);
+
+    // Without start or date the weekday comes from the listing day, unknown weekdays never match
+    const today = timeUtils.getBerlinParts(new Date()).weekday;
+    assert.strictEqual(scheduler.matchesConstraints({ time: '20:15' }, { weekdays: [today] }, 0), true);
+    assert.strictEqual(scheduler.matchesConstraints({ time: '20:15' }, { weekdays: [today] }), false);
+
+    success('Time window and weekday constraints are applied');
+    return true;
+  } catch (err) {
+    error(`Task constraints failed: ${err.message}`);
+    return false;
+  }
+}
+
+async function testRepeatExclusion() {
+  try {
+    info('Testing repeat exclusion with program details...');
+    const program = { id: '4711', channelId: 'c1', title: 'Tatort', time: '20:15', date: '20.07.2026', duration: 90 };
+    const task = { id: '9', name: 'Tatort', type: 'title_contains', criteria: 'Tatort', channels: ['c1'], days: [0], exclusions: { excludeRepeats: true } };
+    let fetched = 0;
+
+    await withStubs([
+      [epgService, 'getEPG', async () => ({ channelId: 'c1', channelName: 'Das Erste', programs: [program] })],
+      [epgService, 'getCachedProgramDetails', () => null],
+      [epgService, 'getProgramDetails', async () => { fetched++; return { description: 'Wiederholung vom 12.05.2026' }; }],
+      [scheduler, 'sleep', async () => {}]
+    ], async () => {
+      // The listing does not mark the repeat, only the detail page does
+      const [match] = await scheduler.processTask(task, ['c1']);
+      assert.strictEqual(match.exclusion, 'Repeat excluded');
+      assert.strictEqual(fetched, 1);
+
+      // Without the exclusion no details are needed for a title task
+      const [kept] = await scheduler.processTask({ ...task, exclusions: {} }, ['c1']);
+      assert.strictEqual(kept.exclusion, null);
+      assert.strictEqual(fetched, 1);
+    });
+
+    success('Repeats marked only in the program details are excluded');
+    return true;
+  } catch (err) {
+    error(`Repeat exclusion failed: ${err.message}`);
+    return false;
+  }
+}
+
+// Detail page in the markup of the Hörzu text version (detail.php?broadcast_id=...&seite=s)
+const HOERZU_DETAIL_HTML = `<html><body>
+<table width="100%" border="0" cellspacing="0" cellpadding="2">
+<tr><td class="tabtextbold">19.10. 20:15 Uhr, Das Erste, Tatort. Der Fall Holdt</td></tr>
+<tr><td class="tabtext">
+<br><span>Krimi, D 2017, 90 Min.</span>
+<br><span>Staffel 47, Folge 1010</span>
+<br><span>Darsteller: Maria Furtwängler (Charlotte Lindholm), Aljoscha Stadelmann</span>
+<br><span>Regie: Anne Zohra Berrached</span>
+<p>Bankiersgattin Julia Holdt wird entführt. Erst Folge 3 der Ermittlungen bringt Lindholm auf die Spur.</p>
+<br><a href="index.php">Zur Übersicht</a>
+</td></tr></table></body></html>`;
+
+async function testHoerzuDetails() {
+  try {
+    info('Testing Hörzu detail parsing and episode checks...');
+
+    const details = hoerzuProvider.parseProgramDetails(HOERZU_DETAIL_HTML);
+    assert.strictEqual(details.title, 'Tatort');
+    assert.strictEqual(details.subtitle, 'Der Fall Holdt');
+    assert.strictEqual(details.season, 47);
+    assert.strictEqual(details.episode, 1010);
+    assert.strictEqual(details.duration, 90);
+    assert.deepStrictEqual(details.directors, ['Anne Zohra Berrached']);
+
+    // The episode title may follow the episode number instead of the title
+    const numbered = hoerzuProvider.parseProgramDetails(HOERZU_DETAIL_HTML
+      .replace('Tatort. Der Fall Holdt', 'Tatort.')
+      .replace('Folge 1010', 'Folge 1010: Der Fall Holdt'));
+    assert.strictEqual(numbered.subtitle, 'Der Fall Holdt');
+    assert.strictEqual(numbered.episode, 1010);
+
+    // Episodes mentioned only in the description are not taken
+    const plain = hoerzuProvider.parseProgramDetails(HOERZU_DETAIL_HTML.replace('<br><span>Staffel 47, Folge 1010</span>', ''));
+    assert.strictEqual(plain.episode, null);
+
+    // Matches without ID are checked from their listing, without a detail lookup
+    let lookups = 0;
+    await withStubs([
+      [epgService, 'getProgramDetails', async () => { lookups++; throw new Error('No ID'); }],
+      [episodeStore, 'findOwned', async () => null]
+    ], async () => {
+      const match = { title: 'Tatort', subtitle: 'Der Fall Holdt', channelId: 'c1', time: '20:15' };
+      const episode = await scheduler.checkEpisode(match, { id: '9', seriesTracking: true });
+      assert.strictEqual(episode.skip, false);
+      assert.strictEqual(episode.episodeKey, 't:der fall holdt');
+      assert.strictEqual(lookups, 0);
+    });
+
+    success('Episode title, season and episode are read from Hörzu details');
+    return true;
+  } catch (err) {
+    error(`Hörzu details failed: ${err.message}`);
+    return false;
+  }
+}
+
+/**
+ * Recording as returned by conflictService.loadRecordings(), times are Berlin wall clock
+ */
+function buildRecording(id, channelId, date, startTime, endTime, extra = {}) {
+  return {
+    id,
+    registryId: null,
+    source: 'task',
+    taskId: '1',
+    title: `Recording ${id}`,
+    channelId,
+    channelName: channelId,
+    priority: 50,
+    mux: `dvb:${channelId}`,
+    start: timeUtils.parseBerlinDateTime(date, startTime).getTime(),
+    end: timeUtils.parseBerlinDateTime(date, endTime).getTime(),
+    ...extra
+  };
+}
+
+async function testConflicts() {
+  try {
+    info('Testing tuner conflict detection...');
+    const date = '20.07.2026';
+    const timerData = { channelId: 'c3', date, startTime: '20:15', endTime: '21:30', epgBefore: 0, epgAfter: 0, priority: 50 };
+
+    const recordings = [
+      buildRecording('1', 'c1', date, '20:00', '21:00'),
+      buildRecording('2', 'c2', date, '20:30', '22:00')
+    ];
+
+    // Three channels on three muxes only overlap from 20:30 to 21:00
+    const conflicts = conflictService.findConflicts(timerData, recordings, {}, 2);
+    assert.strictEqual(conflicts.length, 1);
+    assert.strictEqual(conflicts[0].start, '2026-07-20T20:30:00+02:00');
+    assert.strictEqual(conflicts[0].end, '2026-07-20T21:00:00+02:00');
+    assert.strictEqual(conflicts[0].tunersRequired, 3);
+    assert.deepStrictEqual(conflicts[0].timers.map(t => t.id), ['1', '2']);
+
+    assert.strictEqual(conflictService.findConflicts(timerData, recordings, {}, 3).length, 0);
+
+    // A recording on the mux of the new timer shares its tuner
+    const channels = { c1: { mux: 'zdfmobil' }, c3: { mux: 'zdfmobil' } };
+    const sameMux = recordings.map(r => ({ ...r, mux: conflictService.getMuxKey(r.channelId, null, channels) }));
+    assert.strictEqual(conflictService.findConflicts(timerData, sameMux, channels, 2).length, 0);
+
+    // Buffers widen the recording window
+    const buffered = { ...timerData, startTime: '22:05', endTime: '23:00', epgBefore: 10 };
+    assert.strictEqual(conflictService.findConflicts(buffered, recordings, {}, 1).length, 1);
+
+    success('Tuner conflicts are found per mux');
+    return true;
+  } catch (err) {
+    error(`Conflict detection failed: ${err.message}`);
+    return false;
+  }
+}
+
+async function testPriorities() {
+  try {
+    info('Testing priority displacement...');
+    const date = '20.07.2026';
+    const recordings = [
+      buildRecording('1', 'c1', date, '20:00', '21:00', { priority: 10 }),
+      buildRecording('2', 'c2', date, '20:30', '22:00', { priority: 40 }),
+      buildRecording('3', 'c4', date, '20:30', '22:00', { priority: 5, source: 'manual' })
+    ];
+    const timerData = { channelId: 'c3', date, startTime: '20:15', endTime: '21:30', epgBefore: 0, epgAfter: 0 };
+
+    await withStubs([
+      [conflictService, 'getTunerCount', async () => 3],
+      [conflictService, 'loadRecordings', async () => recordings]
+    ], async () => {
+      // Lowest priority first, manual timers are never displaced
+      let result = await conflictService.resolveByPriority({ ...timerData, priority: 50 });
+      assert.deepStrictEqual(result.displace.map(t => t.id), ['1']);
+
+      // No lower-priority task timer to make room
+      result = await conflictService.resolveByPriority({ ...timerData, priority: 8 });
+      assert.strictEqual(result.displace, null);
+      assert.strictEqual(result.conflicts.length, 1);
+
+      result = await conflictService.resolveByPriority({ ...timerData, startTime: '22:30', endTime: '23:00', priority: 20 });
+      assert.deepStrictEqual(result, { conflicts: [], displace: [] });
+    });
+
+    // The new timer is only created when the displaced timer was deleted
+    const match = { id: 'b1', channelId: 'c3', channelName: 'C3', title: 'Neu', date, time: '20:15', endTime: '21:30', day: 0 };
+    const task = { id: '9', name: 'Prioritaet', priority: 50 };
+    const displaced = [];
+    let created = 0;
+
+    await withStubs([
+      [timerRegistry, 'findPlanned', async () => null],
+      [epgService, 'completeProgramEnd', async (program) => program],
+      [conflictService, 'resolveByPriority', async () => ({ conflicts: [], displace: [{ id: '1', title: 'Alt', priority: 10 }] })],
+      [timerService, 'createTimer', async () => { created++; return { success: true, registryId: '5' }; }]
+    ], async () => {
+      await withStubs([
+        [timerService, 'deleteTimer', async () => ({ success: false, error: 'DVB Viewer not reachable' })]
+      ], async () => {
+        const result = await scheduler.createTimerFromMatch(match, task);
+        assert.strictEqual(result.action, 'conflict');
+        assert.strictEqual(created, 0);
+      });
+
+      await withStubs([
+        [timerService, 'deleteTimer', async (id, reason, deletedBy) => { displaced.push([id, deletedBy]); return { success: true }; }]
+      ], async () => {
+        const result = await scheduler.createTimerFromMatch(match, task);
+        assert.strictEqual(result.action, 'created');
+        assert.deepStrictEqual(displaced, [['1', 'displaced']]);
+        assert.strictEqual(created, 1);
+      });
+    });
+
+    success('Lower-priority timers are displaced, a failed displacement creates no timer');
+    return true;
+  } catch (err) {
+    error(`Priority displacement failed: ${err.message}`);
+    return false;
+  }
+}
+
+const UNIT_TESTS = [
+  { name: 'Time Utils', fn: testTimeUtils },
+  { name: 'Rule Engine', fn: testRuleEngine },
+  { name: 'Text Utils', fn: testTextUtils },
+  { name: 'Task Utils', fn: testTaskUtils },
+  { name: 'Task Constraints', fn: testConstraints },
+  { name: 'Repeat Exclusion', fn: testRepeatExclusion },
+  { name: 'Hörzu Details', fn: testHoerzuDetails },
+  { name: 'Tuner Conflicts', fn: testConflicts },
+  { name: 'Priorities', fn: testPriorities }
+];
+
+/**
+ * Run tests one after another and print a summary, returns the number of failed tests
+ */
+async function runTests(title, tests) {
+  console.log(`${colors.bold}${colors.blue}=== ${title} ===${colors.reset}\n`);
   
   let passed = 0;
   let failed = 0;
@@ -332,6 +737,26 @@ async function runAllTests() {
   } else {
     warn(`${failed} test(s) failed. Check the output above for details.`);
   }
+
+  return failed;
+}
+
+async function runAllTests() {
+  const tests = [
+    { name: 'Health Check', fn: testHealth },
+    { name: 'Channel Loading', fn: testChannels },
+    { name: 'EPG Fetching', fn: testEPG },
+    { name: 'EPG Search', fn: testSearch },
+    { name: 'Timer Validation', fn: testTimerValidation },
+    { name: 'DVB Connection', fn: testDVBConnection },
+    { name: 'Timer List', fn: testTimerList },
+    { name: 'Task Types', fn: testTaskTypes },
+    { name: 'Task Management', fn: testTasks },
+    { name: 'Scheduler Status', fn: testSchedulerStatus },
+    ...UNIT_TESTS
+  ];
+
+  await runTests('DVB EPG Manager Backend Tests', tests);
 }
 
 // Main execution
@@ -355,6 +780,7 @@ async function main() {
       case 'timer':
         await testTimerValidation();
         await testDVBConnection();
+        await testTimerList();
         break;
       case 'tasks':
         await testTasks();
@@ -363,11 +789,16 @@ async function main() {
       case 'scheduler':
         await testSchedulerStatus();
         break;
+      case 'unit':
+        if (await runTests('DVB EPG Manager Unit Tests', UNIT_TESTS) > 0) {
+          process.exit(1);
+        }
+        break;
       case 'all':
         await runAllTests();
         break;
       default:
-        console.log('Available tests: health, channels, epg, search, timer, tasks, scheduler, all');
+        console.log('Available tests: health, channels, epg, search, timer, tasks, scheduler, unit, all');
         process.exit(1);
     }
   } catch (err) {
@@ -2,8 +2,12 @@ import React, { useState, useEffect } from 'react';
 import { apiService, errorHandler } from './services/api';
 import Navigation from './components/Navigation';
 import EPGView from './components/EPGView';
+import TimerList from './components/TimerList';
 import TaskManager from './components/TaskManager';
+import ChannelManager from './components/ChannelManager';
 import SystemStatus from './components/SystemStatus';
+import BackupManager from './components/BackupManager';
+import SettingsManager from './components/SettingsManager';
 import LoadingSpinner from './components/LoadingSpinner';
 import ErrorAlert, { SystemStatusAlert } from './components/ErrorAlert';
 
@@ -24,6 +28,27 @@ function App() {
     initializeApp();
   }, []);
 
+  /**
+   * Load channels and mark which ones are available in DVB Viewer
+   */
+  const loadChannels = async () => {
+    console.log('Loading channels...');
+    const channelsData = await apiService.getChannels();
+    
+    // Filter and process channels to show availability
+    const processedChannels = Object.entries(channelsData).reduce((acc, [id, channel]) => {
+      acc[id] = {
+        ...channel,
+        isAvailable: !channel.note || !channel.note.includes('Nicht in DVB Viewer verfügbar'),
+        displayName: channel.name.replace(' HD', '')
+      };
+      return acc;
+    }, {});
+
+    setChannels(processedChannels);
+    console.log(`✅ Loaded ${Object.keys(processedChannels).length} channels`);
+  };
+
   /**
    * Initialize the application by loading channels and checking system status
    */
@@ -33,21 +58,7 @@ function App() {
 
     try {
       // Load channels first (required for EPG)
-      console.log('Loading channels...');
-      const channelsData = await apiService.getChannels();
-      
-      // Filter and process channels to show availability
-      const processedChannels = Object.entries(channelsData).reduce((acc, [id, channel]) => {
-        acc[id] = {
-          ...channel,
-          isAvailable: !channel.note || !channel.note.includes('Nicht in DVB Viewer verfügbar'),
-          displayName: channel.name.replace(' HD', '')
-        };
-        return acc;
-      }, {});
-
-      setChannels(processedChannels);
-      console.log(`✅ Loaded ${Object.keys(processedChannels).length} channels`);
+      await loadChannels();
 
       // Check system status
       await checkSystemStatus();
@@ -201,6 +212,13 @@ function App() {
             />
           )}
 
+          {currentView === 'timers' && (
+            <TimerList 
+              channels={channels}
+              onError={handleError}
+            />
+          )}
+
           {currentView === 'tasks' && (
             <TaskManager 
               channels={channels}
@@ -208,14 +226,31 @@ function App() {
             />
           )}
 
-          {currentView === 'status' && (
-            <SystemStatus 
-              systemStatus={systemStatus}
-              channels={channels}
-              onRefresh={handleRefresh}
+          {currentView === 'channels' && (
+            <ChannelManager 
+              onChannelsChanged={() => loadChannels().catch(handleError)}
               onError={handleError}
             />
           )}
+
+          {currentView === 'settings' && (
+            <SettingsManager onError={handleError} />
+          )}
+
+          {currentView === 'status' && (
+            <>
+              <SystemStatus 
+                systemStatus={systemStatus}
+                channels={channels}
+                onRefresh={handleRefresh}
+                onError={handleError}
+              />
+              <BackupManager
+                onRestored={() => loadChannels().catch(handleError)}
+                onError={handleError}
+              />
+            </>
+          )}
         </div>
       </main>
 
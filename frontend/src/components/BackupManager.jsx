@@ -0,0 +1,249 @@
+import React, { useState, useEffect, useRef } from 'react';
+import {
+  Archive,
+  Download,
+  Upload,
+  Save,
+  RefreshCw
+} from 'lucide-react';
+import { apiService, formatters } from '../services/api';
+import LoadingSpinner from './LoadingSpinner';
+import ErrorAlert, { SuccessMessage } from './ErrorAlert';
+
+/**
+ * Start a browser download of a blob
+ */
+function downloadBlob(blob, filename) {
+  const url = URL.createObjectURL(blob);
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = filename;
+  link.click();
+  URL.revokeObjectURL(url);
+}
+
+/**
+ * Format a byte count as KB/MB
+ */
+function formatSize(bytes) {
+  return bytes >= 1024 * 1024
+    ? `${(bytes / 1024 / 1024).toFixed(1)} MB`
+    : `${Math.max(1, Math.round(bytes / 1024))} KB`;
+}
+
+function BackupManager({ onRestored, onError }) {
+  const [backups, setBackups] = useState([]);
+  const [settings, setSettings] = useState(null);
+  const [isLoading, setIsLoading] = useState(false);
+  const [isWorking, setIsWorking] = useState(false);
+  const [error, setError] = useState(null);
+  const [success, setSuccess] = useState(null);
+  const fileInput = useRef(null);
+
+  useEffect(() => {
+    loadBackups();
+  }, []);
+
+  /**
+   * Load the stored backups and the backup settings
+   */
+  const loadBackups = async () => {
+    setIsLoading(true);
+
+    try {
+      const response = await apiService.getBackups();
+      setBackups(response.data);
+      setSettings(response.settings);
+    } catch (err) {
+      console.error('Failed to load backups:', err);
+      setError(err.message);
+      onError?.(err);
+    } finally {
+      setIsLoading(false);
+    }
+  };
+
+  /**
+   * Show a success message for a few seconds
+   */
+  const showSuccess = (message) => {
+    setSuccess(message);
+    setTimeout(() => setSuccess(null), 5000);
+  };
+
+  /**
+   * Download a fresh backup of all data
+   */
+  const handleDownload = async () => {
+    setIsWorking(true);
+    setError(null);
+
+    try {
+      const blob = await apiService.downloadBackup();
+      downloadBlob(blob, `epg-manager-backup-${new Date().toISOString().slice(0, 10)}.json.gz`);
+    } catch (err) {
+      console.error('Failed to download backup:', err);
+      setError(err.message);
+    } finally {
+      setIsWorking(false);
+    }
+  };
+
+  /**
+   * Store a backup in the backup directory of the server
+   */
+  const handleSave = async () => {
+    setIsWorking(true);
+    setError(null);
+
+    try {
+      const response = await apiService.saveBackup();
+      showSuccess(`Sicherung ${response.data.name} gespeichert`);
+      await loadBackups();
+    } catch (err) {
+      console.error('Failed to save backup:', err);
+      setError(err.message);
+    } finally {
+      setIsWorking(false);
+    }
+  };
+
+  /**
+   * Restore the selected backup file
+   */
+  const handleRestore = async (e) => {
+    const file = e.target.files[0];
+    e.target.value = '';
+    if (!file) return;
+
+    if (!confirm(`Alle Daten durch die Sicherung "${file.name}" ersetzen? Der aktuelle Stand wird vorher gesichert.`)) return;
+
+    setIsWorking(true);
+    setError(null);
+
+    try {
+      const response = await apiService.restoreBackup(file);
+      showSuccess(`Sicherung vom ${formatters.formatDateTime(response.data.backupCreatedAt)} wiederhergestellt (${response.data.restored.length} Dateien)`);
+      await loadBackups();
+      onRestored?.();
+    } catch (err) {
+      console.error('Failed to restore backup:', err);
+      setError(err.message);
+    } finally {
+      setIsWorking(false);
+    }
+  };
+
+  /**
+   * Download a stored backup
+   */
+  const handleDownloadStored = async (name) => {
+    try {
+      setError(null);
+      downloadBlob(await apiService.downloadStoredBackup(name), name);
+    } catch (err) {
+      console.error('Failed to download backup:', err);
+      setError(err.message);
+    }
+  };
+
+  return (
+    <div className="card">
+      <div className="card-header">
+        <div className="flex items-center justify-between gap-4 flex-wrap">
+          <div>
+            <h2 className="text-xl font-bold text-gray-900 flex items-center gap-2">
+              <Archive size={20} />
+              Datensicherung
+            </h2>
+            <p className="text-sm text-gray-600 mt-1">
+              Tasks, Sender, Einstellungen, Timer-Verlauf, Logs und Caches
+            </p>
+          </div>
+
+          <div className="flex items-center gap-2 flex-wrap">
+            <button onClick={handleDownload} disabled={isWorking} className="btn btn-outline">
+              <Download size={16} />
+              Herunterladen
+            </button>
+            <button onClick={handleSave} disabled={isWorking} className="btn btn-outline">
+              <Save size={16} />
+              Jetzt sichern
+            </button>
+            <button onClick={() => fileInput.current?.click()} disabled={isWorking} className="btn btn-primary">
+              <Upload size={16} />
+              Wiederherstellen
+            </button>
+            <input
+              ref={fileInput}
+              type="file"
+              accept=".gz,.json,application/gzip,application/json"
+              onChange={handleRestore}
+              className="hidden"
+            />
+          </div>
+        </div>
+      </div>
+
+      <div className="card-body space-y-4">
+        {error && (
+          <ErrorAlert
+            message={error}
+            onClose={() => setError(null)}
+          />
+        )}
+
+        {success && (
+          <SuccessMessage
+            message={success}
+            onClose={() => setSuccess(null)}
+          />
+        )}
+
+        {settings && (
+          <p className="text-sm text-gray-600">
+            {settings.enabled
+              ? `Automatische Sicherung täglich, die letzten ${settings.keep} Sicherungen werden behalten.`
+              : 'Automatische Sicherung ist ausgeschaltet.'}
+            {' '}Speicherort: <code>{settings.directory}</code>
+          </p>
+        )}
+
+        <div className="flex items-center justify-between">
+          <h3 className="font-medium text-gray-900">Gespeicherte Sicherungen ({backups.length})</h3>
+          <button onClick={loadBackups} disabled={isLoading} className="btn btn-outline btn-sm">
+            <RefreshCw size={14} className={isLoading ? 'animate-spin' : ''} />
+          </button>
+        </div>
+
+        {isLoading ? (
+          <LoadingSpinner />
+        ) : backups.length === 0 ? (
+          <p className="text-sm text-gray-500">Noch keine Sicherungen gespeichert.</p>
+        ) : (
+          <div className="divide-y divide-gray-100">
+            {backups.map(backup => (
+              <div key={backup.name} className="flex items-center justify-between py-2 text-sm">
+                <div className="min-w-0">
+                  <div className="font-mono text-gray-900 truncate">{backup.name}</div>
+                  <div className="text-gray-500">
+                    {formatters.formatDateTime(backup.createdAt)} · {formatSize(backup.size)}
+                  </div>
+                </div>
+                <button
+                  onClick={() => handleDownloadStored(backup.name)}
+                  className="btn btn-outline btn-sm"
+                  title="Herunterladen"
+                >
+                  <Download size={14} />
+                </button>
+              </div>
+            ))}
+          </div>
+        )}
+      </div>
+    </div>
+  );
+}
+
+export default BackupManager;
@@ -0,0 +1,693 @@
+import React, { useState, useEffect } from 'react';
+import {
+  Radio,
+  Plus,
+  Edit,
+  Trash2,
+  RefreshCw,
+  Wand2,
+  Save,
+  X,
+  CheckCircle,
+  AlertCircle,
+  List,
+  Search
+} from 'lucide-react';
+import { apiService } from '../services/api';
+import LoadingSpinner, { LoadingCard } from './LoadingSpinner';
+import ErrorAlert, { SuccessMessage } from './ErrorAlert';
+
+const emptyChannel = {
+  id: '',
+  name: '',
+  dvbId: '',
+  category: '',
+  epgProvider: '',
+  xmltvId: '',
+  mux: ''
+};
+
+function ChannelManager({ onChannelsChanged, onError }) {
+  // State management
+  const [channels, setChannels] = useState({});
+  const [providers, setProviders] = useState([]);
+  const [isLoading, setIsLoading] = useState(false);
+  const [error, setError] = useState(null);
+  const [success, setSuccess] = useState(null);
+
+  // Editor state
+  const [editingChannel, setEditingChannel] = useState(null);
+  const [isNewChannel, setIsNewChannel] = useState(false);
+  const [isSubmitting, setIsSubmitting] = useState(false);
+
+  // Wizard state
+  const [showWizard, setShowWizard] = useState(false);
+  const [proposals, setProposals] = useState([]);
+  const [selectedMappings, setSelectedMappings] = useState({});
+  const [isMatching, setIsMatching] = useState(false);
+
+  // Catalog state
+  const [showCatalog, setShowCatalog] = useState(false);
+  const [catalog, setCatalog] = useState([]);
+  const [catalogUpdatedAt, setCatalogUpdatedAt] = useState(null);
+  const [catalogFilter, setCatalogFilter] = useState('');
+  const [isLoadingCatalog, setIsLoadingCatalog] = useState(false);
+
+  // Load channels on component mount
+  useEffect(() => {
+    loadChannels();
+  }, []);
+
+  /**
+   * Load configured channels and EPG providers
+   */
+  const loadChannels = async () => {
+    setIsLoading(true);
+    setError(null);
+
+    try {
+      const [channelsResponse, providersResponse] = await Promise.all([
+        apiService.getChannelList(),
+        apiService.getEPGProviders()
+      ]);
+      setChannels(channelsResponse.data);
+      setProviders(providersResponse.data);
+    } catch (err) {
+      console.error('Failed to load channels:', err);
+      setError(err.message);
+      onError?.(err);
+    } finally {
+      setIsLoading(false);
+    }
+  };
+
+  /**
+   * Show a success message for a few seconds
+   */
+  const showSuccess = (message) => {
+    setSuccess(message);
+    setTimeout(() => setSuccess(null), 3000);
+  };
+
+  /**
+   * Reload channels here and in the rest of the app
+   */
+  const handleChannelsChanged = async () => {
+    await loadChannels();
+    onChannelsChanged?.();
+  };
+
+  /**
+   * Open the editor for a new or existing channel
+   */
+  const openEditor = (channelId = null) => {
+    setIsNewChannel(!channelId);
+    setEditingChannel(channelId
+      ? { ...emptyChannel, ...channels[channelId], id: channelId }
+      : { ...emptyChannel });
+  };
+
+  /**
+   * Save the channel from the editor
+   */
+  const handleSaveChannel = async (e) => {
+    e.preventDefault();
+
+    if (!editingChannel.id.trim() || !editingChannel.name.trim()) {
+      setError('Sender-ID und Name sind erforderlich');
+      return;
+    }
+
+    setIsSubmitting(true);
+    setError(null);
+
+    try {
+      const { id, ...data } = editingChannel;
+
+      // Empty fields are removed from the channel
+      const payload = Object.fromEntries(
+        Object.entries(data).map(([key, value]) => [key, value === '' ? null : value])
+      );
+
+      if (isNewChannel) {
+        await apiService.createChannel({ id: id.trim(), ...payload });
+      } else {
+        await apiService.updateChannel(id, payload);
+      }
+
+      setEditingChannel(null);
+      showSuccess(isNewChannel ? 'Sender angelegt' : 'Sender gespeichert');
+      await handleChannelsChanged();
+    } catch (err) {
+      console.error('Failed to save channel:', err);
+      setError(err.message);
+    } finally {
+      setIsSubmitting(false);
+    }
+  };
+
+  /**
+   * Delete a channel
+   */
+  const handleDeleteChannel = async (channelId) => {
+    if (!confirm(`Sender "${channels[channelId]?.name}" wirklich löschen?`)) return;
+
+    try {
+      setError(null);
+      await apiService.deleteChannel(channelId);
+      showSuccess('Sender gelöscht');
+      await handleChannelsChanged();
+    } catch (err) {
+      console.error('Failed to delete channel:', err);
+      setError(err.message);
+    }
+  };
+
+  /**
+   * Start the auto-matching wizard
+   */
+  const startWizard = async () => {
+    setShowWizard(true);
+    setIsMatching(true);
+    setError(null);
+
+    try {
+      const response = await apiService.getChannelMatches();
+      setProposals(response.data);
+
+      // Preselect proposals for channels that are not mapped yet
+      const preselected = {};
+      for (const proposal of response.data) {
+        if (proposal.status !== 'mapped' && proposal.proposal) {
+          preselected[proposal.channelId] = proposal.proposal.dvbId;
+        }
+      }
+      setSelectedMappings(preselected);
+    } catch (err) {
+      console.error('Failed to match channels:', err);
+      setError(err.message);
+      setShowWizard(false);
+    } finally {
+      setIsMatching(false);
+    }
+  };
+
+  /**
+   * Select or unselect a proposed DVB channel
+   */
+  const toggleMapping = (channelId, dvbId) => {
+    setSelectedMappings(prev => {
+      const next = { ...prev };
+      if (next[channelId] === dvbId) {
+        delete next[channelId];
+      } else {
+        next[channelId] = dvbId;
+      }
+      return next;
+    });
+  };
+
+  /**
+   * Apply the selected mappings
+   */
+  const applyMappings = async () => {
+    const mappings = Object.entries(selectedMappings).map(([channelId, dvbId]) => ({ channelId, dvbId }));
+    if (mappings.length === 0) return;
+
+    setIsSubmitting(true);
+    setError(null);
+
+    try {
+      const response = await apiService.applyChannelMatches(mappings);
+      setShowWizard(false);
+      showSuccess(`${response.data.length} Zuordnungen übernommen`);
+      await handleChannelsChanged();
+    } catch (err) {
+      console.error('Failed to apply mappings:', err);
+      setError(err.message);
+    } finally {
+      setIsSubmitting(false);
+    }
+  };
+
+  /**
+   * Open the Hörzu channel catalog
+   */
+  const openCatalog = async (refresh = false) => {
+    setShowCatalog(true);
+    setIsLoadingCatalog(true);
+    setError(null);
+
+    try {
+      const response = await apiService.getChannelCatalog(refresh);
+      setCatalog(response.data);
+      setCatalogUpdatedAt(response.updatedAt);
+    } catch (err) {
+      console.error('Failed to load channel catalog:', err);
+      setError(err.message);
+      setShowCatalog(false);
+    } finally {
+      setIsLoadingCatalog(false);
+    }
+  };
+
+  /**
+   * Enable a channel from the catalog
+   */
+  const enableCatalogChannel = async (catalogChannel) => {
+    try {
+      setError(null);
+      await apiService.createChannel({
+        id: catalogChannel.id,
+        name: catalogChannel.name,
+        category: catalogChannel.category || null
+      });
+      setCatalog(prev => prev.map(c => c.id === catalogChannel.id ? { ...c, enabled: true } : c));
+      showSuccess(`${catalogChannel.name} hinzugefügt – jetzt dem DVB Viewer zuordnen`);
+      await handleChannelsChanged();
+    } catch (err) {
+      console.error('Failed to enable channel:', err);
+      setError(err.message);
+    }
+  };
+
+  /**
+   * Get mapping status badge
+   */
+  const getStatusBadge = (status) => {
+    const statusConfig = {
+      mapped: { className: 'badge-green', label: 'Zugeordnet' },
+      missing: { className: 'badge-red', label: 'Nicht im DVB Viewer' },
+      unmapped: { className: 'badge-yellow', label: 'Nicht zugeordnet' }
+    };
+    const config = statusConfig[status] || { className: 'badge-gray', label: status };
+    return <span className={`badge ${config.className}`}>{config.label}</span>;
+  };
+
+  /**
+   * Channel editor modal
+   */
+  const ChannelEditor = () => (
+    <div className="modal-overlay">
+      <div className="modal-content max-w-2xl">
+        <form onSubmit={handleSaveChannel} className="p-6">
+          <div className="flex items-center justify-between mb-6">
+            <h2 className="text-xl font-bold text-gray-900">
+              {isNewChannel ? 'Neuen Sender anlegen' : 'Sender bearbeiten'}
+            </h2>
+            <button
+              type="button"
+              onClick={() => setEditingChannel(null)}
+              className="p-2 hover:bg-gray-100 rounded"
+            >
+              <X size={20} />
+            </button>
+          </div>
+
+          <div className="space-y-4">
+            <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+              <div>
+                <label className="form-label">Sender-ID *</label>
+                <input
+                  type="text"
+                  className="form-input"
+                  value={editingChannel.id}
+                  onChange={(e) => setEditingChannel(prev => ({ ...prev, id: e.target.value }))}
+                  disabled={!isNewChannel || isSubmitting}
+                  placeholder="Hörzu-ID, z.B. 71"
+                />
+              </div>
+              <div>
+                <label className="form-label">Name *</label>
+                <input
+                  type="text"
+                  className="form-input"
+                  value={editingChannel.name}
+                  onChange={(e) => setEditingChannel(prev => ({ ...prev, name: e.target.value }))}
+                  disabled={isSubmitting}
+                  placeholder="z.B. Das Erste HD"
+                />
+              </div>
+            </div>
+
+            <div>
+              <label className="form-label">DVB Viewer Kanal-ID</label>
+              <input
+                type="text"
+                className="form-input"
+                value={editingChannel.dvbId}
+                onChange={(e) => setEditingChannel(prev => ({ ...prev, dvbId: e.target.value }))}
+                disabled={isSubmitting}
+                placeholder="Über die Auto-Zuordnung ermitteln"
+              />
+            </div>
+
+            <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+              <div>
+                <label className="form-label">Kategorie</label>
+                <input
+                  type="text"
+                  className="form-input"
+                  value={editingChannel.category}
+                  onChange={(e) => setEditingChannel(prev => ({ ...prev, category: e.target.value }))}
+                  disabled={isSubmitting}
+                  placeholder="z.B. öffentlich-rechtlich"
+                />
+              </div>
+              <div>
+                <label className="form-label">EPG-Quelle</label>
+                <select
+                  className="form-select"
+                  value={editingChannel.epgProvider}
+                  onChange={(e) => setEditingChannel(prev => ({ ...prev, epgProvider: e.target.value }))}
+                  disabled={isSubmitting}
+                >
+                  <option value="">Standard</option>
+                  {providers.map(provider => (
+                    <option key={provider.name} value={provider.name}>{provider.label}</option>
+                  ))}
+                </select>
+              </div>
+            </div>
+
+            <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+              <div>
+                <label className="form-label">XMLTV-Kanal-ID</label>
+                <input
+                  type="text"
+                  className="form-input"
+                  value={editingChannel.xmltvId}
+                  onChange={(e) => setEditingChannel(prev => ({ ...prev, xmltvId: e.target.value }))}
+                  disabled={isSubmitting}
+                  placeholder="Nur für EPG-Quelle XMLTV"
+                />
+              </div>
+              <div>
+                <label className="form-label">Transponder (Mux)</label>
+                <input
+                  type="text"
+                  className="form-input"
+                  value={editingChannel.mux}
+                  onChange={(e) => setEditingChannel(prev => ({ ...prev, mux: e.target.value }))}
+                  disabled={isSubmitting}
+                  placeholder="Sender mit gleichem Mux teilen sich einen Tuner"
+                />
+              </div>
+            </div>
+          </div>
+
+          <div className="flex justify-end gap-3 mt-6">
+            <button
+              type="button"
+              onClick={() => setEditingChannel(null)}
+              disabled={isSubmitting}
+              className="btn btn-outline"
+            >
+              Abbrechen
+            </button>
+            <button type="submit" disabled={isSubmitting} className="btn btn-primary">
+              {isSubmitting ? <LoadingSpinner size="sm" inline /> : <Save size={16} />}
+              Speichern
+            </button>
+          </div>
+        </form>
+      </div>
+    </div>
+  );
+
+  /**
+   * Auto-matching wizard modal
+   */
+  const MatchWizard = () => (
+    <div className="modal-overlay">
+      <div className="modal-content max-w-2xl">
+        <div className="card-header">
+          <div className="flex items-center justify-between">
+            <div>
+              <h2 className="text-xl font-bold text-gray-900">Auto-Zuordnung</h2>
+              <p className="text-gray-600 text-sm">
+                Vorschläge aus der Senderliste des DVB Viewers – Auswahl prüfen und übernehmen
+              </p>
+            </div>
+            <button onClick={() => setShowWizard(false)} className="p-2 hover:bg-gray-100 rounded-lg">
+              <X size={20} />
+            </button>
+          </div>
+        </div>
+
+        <div className="card-body space-y-3">
+          {isMatching ? (
+            <div className="text-center py-8">
+              <LoadingSpinner size="lg" />
+              <p className="mt-4 text-gray-600">Lade Senderliste des DVB Viewers...</p>
+            </div>
+          ) : proposals.map(proposal => (
+            <div key={proposal.channelId} className="p-3 border rounded-lg">
+              <div className="flex items-center justify-between mb-2">
+                <div>
+                  <span className="font-semibold">{proposal.name}</span>
+                  <span className="text-gray-500 text-sm ml-2">#{proposal.channelId}</span>
+                </div>
+                {getStatusBadge(proposal.status)}
+              </div>
+
+              {proposal.proposal ? (
+                <div className="flex flex-wrap gap-2">
+                  {[proposal.proposal, ...proposal.alternatives].map(candidate => (
+                    <button
+                      key={candidate.dvbId}
+                      type="button"
+                      onClick={() => toggleMapping(proposal.channelId, candidate.dvbId)}
+                      className={`btn btn-sm ${selectedMappings[proposal.channelId] === candidate.dvbId ? 'btn-primary' : 'btn-outline'}`}
+                      title={candidate.dvbId}
+                    >
+                      {selectedMappings[proposal.channelId] === candidate.dvbId && <CheckCircle size={14} />}
+                      {candidate.name} ({Math.round(candidate.score * 100)}%)
+                      {candidate.dvbId === proposal.currentDvbId && ' – aktuell'}
+                    </button>
+                  ))}
+                </div>
+              ) : (
+                <p className="text-sm text-gray-500 flex items-center gap-1">
+                  <AlertCircle size={14} />
+                  Kein passender Sender im DVB Viewer gefunden
+                </p>
+              )}
+            </div>
+          ))}
+        </div>
+
+        <div className="card-footer">
+          <div className="flex items-center justify-between">
+            <span className="text-sm text-gray-600">
+              {Object.keys(selectedMappings).length} Zuordnungen ausgewählt
+            </span>
+            <div className="flex gap-3">
+              <button onClick={() => setShowWizard(false)} className="btn btn-outline">
+                Abbrechen
+              </button>
+              <button
+                onClick={applyMappings}
+                disabled={isSubmitting || isMatching || Object.keys(selectedMappings).length === 0}
+                className="btn btn-primary"
+              >
+                {isSubmitting ? <LoadingSpinner size="sm" inline /> : <CheckCircle size={16} />}
+                Übernehmen
+              </button>
+            </div>
+          </div>
+        </div>
+      </div>
+    </div>
+  );
+
+  /**
+   * Hörzu channel catalog modal
+   */
+  const CatalogModal = () => {
+    const filter = catalogFilter.trim().toLowerCase();
+    const filtered = catalog.filter(c =>
+      !filter || c.name.toLowerCase().includes(filter) || c.category?.toLowerCase().includes(filter)
+    );
+
+    return (
+      <div className="modal-overlay">
+        <div className="modal-content max-w-2xl">
+          <div className="card-header">
+            <div className="flex items-center justify-between">
+              <div>
+                <h2 className="text-xl font-bold text-gray-900">Hörzu Senderkatalog</h2>
+                <p className="text-gray-600 text-sm">
+                  {catalogUpdatedAt
+                    ? `Stand: ${new Date(catalogUpdatedAt).toLocaleString('de-DE')}`
+                    : 'Alle Sender, für die Hörzu ein Programm anbietet'}
+                </p>
+              </div>
+              <div className="flex items-center gap-2">
+                <button
+                  onClick={() => openCatalog(true)}
+                  disabled={isLoadingCatalog}
+                  className="btn btn-outline btn-sm"
+                  title="Katalog neu laden"
+                >
+                  <RefreshCw size={14} className={isLoadingCatalog ? 'animate-spin' : ''} />
+                </button>
+                <button onClick={() => setShowCatalog(false)} className="p-2 hover:bg-gray-100 rounded-lg">
+                  <X size={20} />
+                </button>
+              </div>
+            </div>
+          </div>
+
+          <div className="card-body space-y-3">
+            <div className="relative">
+              <Search size={16} className="absolute left-3 top-1/2 transform -translate-y-1/2 text-gray-400" />
+              <input
+                type="text"
+                className="form-input pl-10"
+                value={catalogFilter}
+                onChange={(e) => setCatalogFilter(e.target.value)}
+                placeholder="Sender oder Kategorie suchen..."
+              />
+            </div>
+
+            {isLoadingCatalog ? (
+              <div className="text-center py-8">
+                <LoadingSpinner size="lg" />
+                <p className="mt-4 text-gray-600">Lade Senderkatalog...</p>
+              </div>
+            ) : filtered.length === 0 ? (
+              <p className="text-center text-gray-500 py-4">Keine Sender gefunden</p>
+            ) : filtered.map(catalogChannel => (
+              <div key={catalogChannel.id} className="flex items-center justify-between p-2 border rounded-lg">
+                <div>
+                  <span className="font-medium">{catalogChannel.name}</span>
+                  <span className="text-gray-500 text-sm ml-2">#{catalogChannel.id}</span>
+                  {catalogChannel.category && (
+                    <span className="badge badge-gray ml-2">{catalogChannel.category}</span>
+                  )}
+                </div>
+                {catalogChannel.enabled ? (
+                  <span className="badge badge-green">Aktiv</span>
+                ) : (
+                  <button
+                    onClick={() => enableCatalogChannel(catalogChannel)}
+                    className="btn btn-outline btn-sm"
+                  >
+                    <Plus size={14} />
+                    Aktivieren
+                  </button>
+                )}
+              </div>
+            ))}
+          </div>
+        </div>
+      </div>
+    );
+  };
+
+  return (
+    <div className="space-y-6">
+      {/* Header */}
+      <div className="flex items-center justify-between">
+        <div>
+          <h1 className="text-2xl font-bold text-gray-900 flex items-center gap-2">
+            <Radio size={24} />
+            Sender
+          </h1>
+          <p className="text-gray-600 mt-1">
+            Zuordnung der EPG-Sender zu den Kanälen des DVB Viewers
+          </p>
+        </div>
+
+        <div className="flex items-center gap-3">
+          <button onClick={loadChannels} disabled={isLoading} className="btn btn-outline">
+            <RefreshCw size={16} className={isLoading ? 'animate-spin' : ''} />
+            Aktualisieren
+          </button>
+          <button onClick={() => openCatalog()} className="btn btn-outline">
+            <List size={16} />
+            Senderkatalog
+          </button>
+          <button onClick={startWizard} className="btn btn-outline">
+            <Wand2 size={16} />
+            Auto-Zuordnung
+          </button>
+          <button onClick={() => openEditor()} className="btn btn-primary">
+            <Plus size={16} />
+            Neuer Sender
+          </button>
+        </div>
+      </div>
+
+      {error && (
+        <ErrorAlert
+          message={error}
+          onClose={() => setError(null)}
+        />
+      )}
+
+      {success && (
+        <SuccessMessage
+          message={success}
+          onClose={() => setSuccess(null)}
+        />
+      )}
+
+      {/* Channel List */}
+      {isLoading ? (
+        <div className="grid grid-cols-1 lg:grid-cols-2 gap-4">
+          {[...Array(4)].map((_, index) => (
+            <LoadingCard key={index} text="Lade Sender..." />
+          ))}
+        </div>
+      ) : (
+        <div className="grid grid-cols-1 lg:grid-cols-2 gap-4">
+          {Object.entries(channels).map(([channelId, channel]) => (
+            <div key={channelId} className="card">
+              <div className="card-body">
+                <div className="flex items-start justify-between">
+                  <div className="min-w-0">
+                    <h3 className="text-lg font-semibold text-gray-900">{channel.name}</h3>
+                    <div className="flex items-center gap-2 flex-wrap mt-1">
+                      <span className="badge badge-gray">#{channelId}</span>
+                      {channel.category && <span className="badge badge-blue">{channel.category}</span>}
+                      {channel.epgProvider && <span className="badge badge-yellow">{channel.epgProvider}</span>}
+                      {channel.dvbId && !channel.note
+                        ? <span className="badge badge-green">DVB {channel.dvbId}</span>
+                        : <span className="badge badge-red">{channel.note || 'Nicht zugeordnet'}</span>}
+                    </div>
+                  </div>
+
+                  <div className="flex items-center gap-1">
+                    <button
+                      onClick={() => openEditor(channelId)}
+                      className="btn btn-outline btn-sm"
+                      title="Bearbeiten"
+                    >
+                      <Edit size={14} />
+                    </button>
+                    <button
+                      onClick={() => handleDeleteChannel(channelId)}
+                      className="btn btn-danger btn-sm"
+                      title="Löschen"
+                    >
+                      <Trash2 size={14} />
+                    </button>
+                  </div>
+                </div>
+              </div>
+            </div>
+          ))}
+        </div>
+      )}
+
+      {/* Modals */}
+      {editingChannel && ChannelEditor()}
+      {showWizard && MatchWizard()}
+      {showCatalog && CatalogModal()}
+    </div>
+  );
+}
+
+export default ChannelManager;
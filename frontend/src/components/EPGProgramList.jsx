@@ -27,6 +27,11 @@ function EPGProgramList({
    * Check if program is currently running
    */
   const isProgramCurrent = (program, day) => {
+    if (program.start && program.end) {
+      const now = Date.now();
+      return new Date(program.start).getTime() <= now && now < new Date(program.end).getTime();
+    }
+
     if (day !== 0) return false; // Only check for today
     
     const now = new Date();
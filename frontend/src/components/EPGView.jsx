@@ -123,6 +123,9 @@ function EPGView({ channels, onError }) {
     }
   };
 
+  // Channels served from the cache because the EPG source was unreachable
+  const staleChannels = epgData.filter(channelData => channelData.stale);
+
   /**
    * Apply current filters to EPG data
    */
@@ -248,6 +251,11 @@ function EPGView({ channels, onError }) {
    * Check if program is currently running
    */
   const isProgramCurrent = (program, day) => {
+    if (program.start && program.end) {
+      const now = Date.now();
+      return new Date(program.start).getTime() <= now && now < new Date(program.end).getTime();
+    }
+
     if (day !== 0) return false;
     
     const now = new Date();
@@ -549,6 +557,14 @@ function EPGView({ channels, onError }) {
 
       {/* EPG Lanes */}
       {error && <ErrorAlert message={error} onClose={() => setError(null)} />}
+
+      {staleChannels.length > 0 && (
+        <ErrorAlert
+          type="warning"
+          title="EPG-Quelle nicht erreichbar"
+          message={`Für ${staleChannels.map(channelData => channelData.channelName || channelData.channelId).join(', ')} wird das zuletzt geladene Programm angezeigt (Stand ${formatters.formatDateTime(staleChannels[0].lastUpdated)}).`}
+        />
+      )}
       
       <div className="epg-container">
         {/* Time Header */}
@@ -4,7 +4,9 @@ import {
   Settings, 
   Activity, 
   RefreshCw,
-  Zap
+  Zap,
+  ListVideo,
+  Radio
 } from 'lucide-react';
 
 function Navigation({ currentView, onNavigate, systemStatus, onRefresh }) {
@@ -15,17 +17,35 @@ function Navigation({ currentView, onNavigate, systemStatus, onRefresh }) {
       icon: Tv,
       description: 'TV-Programm anzeigen und Aufnahmen erstellen'
     },
+    {
+      id: 'timers',
+      label: 'Timer',
+      icon: ListVideo,
+      description: 'Geplante Aufnahmen im DVB Viewer anzeigen'
+    },
     {
       id: 'tasks',
       label: 'Automatische Tasks',
       icon: Zap,
       description: 'Automatische Aufnahme-Regeln verwalten'
     },
+    {
+      id: 'channels',
+      label: 'Sender',
+      icon: Radio,
+      description: 'Sender anlegen und dem DVB Viewer zuordnen'
+    },
+    {
+      id: 'settings',
+      label: 'Einstellungen',
+      icon: Settings,
+      description: 'DVB Viewer, EPG, Zeitplan und Datensicherung einstellen'
+    },
     {
       id: 'status',
       label: 'System Status',
       icon: Activity,
-      description: 'System-Status und Einstellungen'
+      description: 'System-Status und Datensicherung'
     }
   ];
 
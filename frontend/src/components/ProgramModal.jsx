@@ -295,6 +295,21 @@ function ProgramModal({
                       </div>
                     )}
                     
+                    {(programDetails.actors?.length > 0 || programDetails.directors?.length > 0) && (
+                      <div className="pt-3 border-t border-gray-200 mt-3 space-y-1">
+                        {programDetails.actors?.length > 0 && (
+                          <p className="text-xs text-gray-600">
+                            <strong>Darsteller:</strong> {programDetails.actors.join(', ')}
+                          </p>
+                        )}
+                        {programDetails.directors?.length > 0 && (
+                          <p className="text-xs text-gray-600">
+                            <strong>Regie:</strong> {programDetails.directors.join(', ')}
+                          </p>
+                        )}
+                      </div>
+                    )}
+                    
                     {programDetails.date && programDetails.time && (
                       <div className="pt-3 border-t border-gray-200 mt-3">
                         <p className="text-xs text-gray-600">
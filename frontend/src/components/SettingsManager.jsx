@@ -0,0 +1,317 @@
+import React, { useState, useEffect } from 'react';
+import {
+  Settings,
+  Save,
+  RefreshCw,
+  Tv,
+  Database,
+  Clock,
+  Archive
+} from 'lucide-react';
+import { apiService } from '../services/api';
+import { LoadingCard } from './LoadingSpinner';
+import ErrorAlert, { SuccessMessage } from './ErrorAlert';
+
+// Sections edited on this page, exclusions are edited in the task manager
+const SECTIONS = ['dvbViewer', 'epg', 'scheduler', 'backup'];
+
+const RECONCILE_OPTIONS = [5, 10, 15, 20, 30, 60];
+
+function SettingsManager({ onError }) {
+  const [config, setConfig] = useState(null);
+  const [providers, setProviders] = useState([]);
+  const [isLoading, setIsLoading] = useState(false);
+  const [isSaving, setIsSaving] = useState(false);
+  const [error, setError] = useState(null);
+  const [success, setSuccess] = useState(null);
+
+  useEffect(() => {
+    loadConfig();
+  }, []);
+
+  /**
+   * Load the configuration and the available EPG providers
+   */
+  const loadConfig = async () => {
+    setIsLoading(true);
+    setError(null);
+
+    try {
+      const [configResponse, providersResponse] = await Promise.all([
+        apiService.getConfig(),
+        apiService.getEPGProviders()
+      ]);
+      setConfig(configResponse.data);
+      setProviders(providersResponse.data);
+    } catch (err) {
+      console.error('Failed to load configuration:', err);
+      setError(err.message);
+      onError?.(err);
+    } finally {
+      setIsLoading(false);
+    }
+  };
+
+  /**
+   * Change a single setting
+   */
+  const setValue = (section, key, value) => {
+    setConfig(prev => ({
+      ...prev,
+      [section]: { ...prev[section], [key]: value }
+    }));
+  };
+
+  /**
+   * Number input handler, an empty field is sent as null and rejected by the server
+   */
+  const setNumber = (section, key) => (e) => setValue(section, key, parseInt(e.target.value));
+
+  /**
+   * Save all sections, the server applies them without restart
+   */
+  const handleSave = async (e) => {
+    e.preventDefault();
+    setIsSaving(true);
+    setError(null);
+
+    try {
+      const changes = Object.fromEntries(SECTIONS.map(section => [section, config[section]]));
+      const response = await apiService.updateConfig(changes);
+      setConfig(response.data);
+      setSuccess('Einstellungen gespeichert und übernommen');
+      setTimeout(() => setSuccess(null), 3000);
+    } catch (err) {
+      console.error('Failed to save configuration:', err);
+      setError(err.message);
+    } finally {
+      setIsSaving(false);
+    }
+  };
+
+  /**
+   * Labeled number input
+   */
+  const renderNumberField = ({ section, field, label, min, max }) => (
+    <div>
+      <label className="form-label">{label}</label>
+      <input
+        type="number"
+        className="form-input"
+        min={min}
+        max={max}
+        value={Number.isNaN(config[section][field]) ? '' : config[section][field]}
+        onChange={setNumber(section, field)}
+        disabled={isSaving}
+      />
+    </div>
+  );
+
+  return (
+    <div className="space-y-6">
+      {/* Header */}
+      <div className="flex items-center justify-between">
+        <div>
+          <h1 className="text-2xl font-bold text-gray-900 flex items-center gap-2">
+            <Settings size={24} />
+            Einstellungen
+          </h1>
+          <p className="text-gray-600 mt-1">
+            Änderungen gelten sofort, ohne Neustart des Servers
+          </p>
+        </div>
+
+        <button onClick={loadConfig} disabled={isLoading} className="btn btn-outline">
+          <RefreshCw size={16} className={isLoading ? 'animate-spin' : ''} />
+          Neu laden
+        </button>
+      </div>
+
+      {error && (
+        <ErrorAlert
+          message={error}
+          onClose={() => setError(null)}
+        />
+      )}
+
+      {success && (
+        <SuccessMessage
+          message={success}
+          onClose={() => setSuccess(null)}
+        />
+      )}
+
+      {isLoading || !config ? (
+        <LoadingCard text="Lade Einstellungen..." />
+      ) : (
+        <form onSubmit={handleSave} className="space-y-6">
+          {/* DVB Viewer */}
+          <div className="card">
+            <div className="card-header">
+              <h2 className="text-lg font-semibold text-gray-900 flex items-center gap-2">
+                <Tv size={18} />
+                DVB Viewer
+              </h2>
+            </div>
+            <div className="card-body grid grid-cols-1 md:grid-cols-3 gap-4">
+              <div>
+                <label className="form-label">Recording Service</label>
+                <input
+                  type="text"
+                  className="form-input"
+                  value={config.dvbViewer.host}
+                  onChange={(e) => setValue('dvbViewer', 'host', e.target.value)}
+                  disabled={isSaving}
+                  placeholder="192.168.1.10:8089"
+                />
+              </div>
+              {renderNumberField({ section: 'dvbViewer', field: 'tuners', label: 'Anzahl Tuner', min: 1, max: 16 })}
+              <div>
+                <label className="form-label">Standard-Ordner</label>
+                <input
+                  type="text"
+                  className="form-input"
+                  value={config.dvbViewer.defaultFolder}
+                  onChange={(e) => setValue('dvbViewer', 'defaultFolder', e.target.value)}
+                  disabled={isSaving}
+                />
+              </div>
+              {renderNumberField({ section: 'dvbViewer', field: 'defaultPriority', label: 'Standard-Priorität', min: 0, max: 100 })}
+              {renderNumberField({ section: 'dvbViewer', field: 'defaultPreBuffer', label: 'Vorlauf (Minuten)', min: 0, max: 120 })}
+              {renderNumberField({ section: 'dvbViewer', field: 'defaultPostBuffer', label: 'Nachlauf (Minuten)', min: 0, max: 240 })}
+            </div>
+          </div>
+
+          {/* EPG */}
+          <div className="card">
+            <div className="card-header">
+              <h2 className="text-lg font-semibold text-gray-900 flex items-center gap-2">
+                <Database size={18} />
+                EPG
+              </h2>
+            </div>
+            <div className="card-body grid grid-cols-1 md:grid-cols-3 gap-4">
+              <div>
+                <label className="form-label">Standard-Quelle</label>
+                <select
+                  className="form-select"
+                  value={config.epg.provider}
+                  onChange={(e) => setValue('epg', 'provider', e.target.value)}
+                  disabled={isSaving}
+                >
+                  {providers.map(provider => (
+                    <option key={provider.name} value={provider.name}>{provider.label}</option>
+                  ))}
+                </select>
+              </div>
+              {renderNumberField({ section: 'epg', field: 'cacheHours', label: 'Cache-Dauer (Stunden)', min: 1, max: 72 })}
+              {renderNumberField({ section: 'epg', field: 'daysAhead', label: 'Tage im Voraus', min: 1, max: 14 })}
+            </div>
+          </div>
+
+          {/* Scheduler */}
+          <div className="card">
+            <div className="card-header">
+              <h2 className="text-lg font-semibold text-gray-900 flex items-center gap-2">
+                <Clock size={18} />
+                Zeitplan
+              </h2>
+            </div>
+            <div className="card-body grid grid-cols-1 md:grid-cols-3 gap-4">
+              <div>
+                <label className="form-label">Täglicher EPG-Check</label>
+                <input
+                  type="time"
+                  className="form-input"
+                  value={config.scheduler.dailyCheckTime}
+                  onChange={(e) => setValue('scheduler', 'dailyCheckTime', e.target.value)}
+                  disabled={isSaving}
+                />
+              </div>
+              <div>
+                <label className="form-label">Tägliche Sicherung</label>
+                <input
+                  type="time"
+                  className="form-input"
+                  value={config.scheduler.backupTime}
+                  onChange={(e) => setValue('scheduler', 'backupTime', e.target.value)}
+                  disabled={isSaving}
+                />
+              </div>
+              <div>
+                <label className="form-label">Timer-Abgleich mit DVB Viewer</label>
+                <select
+                  className="form-select"
+                  value={config.scheduler.reconcileMinutes}
+                  onChange={(e) => setValue('scheduler', 'reconcileMinutes', parseInt(e.target.value))}
+                  disabled={isSaving}
+                >
+                  {RECONCILE_OPTIONS.map(minutes => (
+                    <option key={minutes} value={minutes}>
+                      {minutes === 60 ? 'stündlich' : `alle ${minutes} Minuten`}
+                    </option>
+                  ))}
+                </select>
+              </div>
+            </div>
+          </div>
+
+          {/* Backup */}
+          <div className="card">
+            <div className="card-header">
+              <h2 className="text-lg font-semibold text-gray-900 flex items-center gap-2">
+                <Archive size={18} />
+                Datensicherung
+              </h2>
+            </div>
+            <div className="card-body grid grid-cols-1 md:grid-cols-3 gap-4">
+              <div className="flex items-center">
+                <label className="flex items-center gap-2 text-sm text-gray-700">
+                  <input
+                    type="checkbox"
+                    checked={config.backup.enabled}
+                    onChange={(e) => setValue('backup', 'enabled', e.target.checked)}
+                    disabled={isSaving}
+                  />
+                  Automatische Sicherung
+                </label>
+              </div>
+              <div className="flex items-center">
+                <label className="flex items-center gap-2 text-sm text-gray-700">
+                  <input
+                    type="checkbox"
+                    checked={config.backup.includeLogsAndCache}
+                    onChange={(e) => setValue('backup', 'includeLogsAndCache', e.target.checked)}
+                    disabled={isSaving}
+                  />
+                  Log und EPG-Cache sichern
+                </label>
+              </div>
+              <div>
+                <label className="form-label">Verzeichnis</label>
+                <input
+                  type="text"
+                  className="form-input"
+                  value={config.backup.directory || ''}
+                  onChange={(e) => setValue('backup', 'directory', e.target.value.trim() ? e.target.value : null)}
+                  disabled={isSaving}
+                  placeholder="Standard: data/backups"
+                />
+              </div>
+              {renderNumberField({ section: 'backup', field: 'keep', label: 'Sicherungen behalten', min: 1, max: 365 })}
+            </div>
+          </div>
+
+          <div className="flex justify-end">
+            <button type="submit" disabled={isSaving} className="btn btn-primary">
+              <Save size={16} />
+              {isSaving ? 'Speichern...' : 'Speichern'}
+            </button>
+          </div>
+        </form>
+      )}
+    </div>
+  );
+}
+
+export default SettingsManager;
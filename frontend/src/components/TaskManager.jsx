@@ -14,6 +14,10 @@ import {
   Search,
   AlertCircle,
   CheckCircle,
+  History,
+  Download,
+  Upload,
+  Ban,
   X
 } from 'lucide-react';
 import { apiService, formatters } from '../services/api';
@@ -32,6 +36,14 @@ function TaskManager({ channels, onError }) {
   const [showCreateModal, setShowCreateModal] = useState(false);
   const [editingTask, setEditingTask] = useState(null);
   const [showTaskDetails, setShowTaskDetails] = useState(null);
+  const [taskPreview, setTaskPreview] = useState(null);
+  const [isLoadingPreview, setIsLoadingPreview] = useState(false);
+  const [runsTask, setRunsTask] = useState(null);
+  const [taskRuns, setTaskRuns] = useState([]);
+  const [isLoadingRuns, setIsLoadingRuns] = useState(false);
+  const [expandedRun, setExpandedRun] = useState(null);
+  const [showImportModal, setShowImportModal] = useState(false);
+  const [showExclusionsModal, setShowExclusionsModal] = useState(false);
 
   // Form states
   const [isSubmitting, setIsSubmitting] = useState(false);
@@ -160,6 +172,71 @@ function TaskManager({ channels, onError }) {
     }
   };
 
+  /**
+   * Download all tasks with their channel mappings as bundle file
+   */
+  const handleExportTasks = async () => {
+    try {
+      setError(null);
+      const bundle = await apiService.exportTasks({ includeChannels: true });
+
+      const blob = new Blob([JSON.stringify(bundle, null, 2)], { type: 'application/json' });
+      const url = URL.createObjectURL(blob);
+      const link = document.createElement('a');
+      link.href = url;
+      link.download = `epg-tasks-${bundle.exportedAt.slice(0, 10)}.json`;
+      link.click();
+      URL.revokeObjectURL(url);
+
+      setSuccess(`${bundle.tasks.length} Tasks exportiert`);
+      setTimeout(() => setSuccess(null), 3000);
+
+    } catch (err) {
+      console.error('Failed to export tasks:', err);
+      setError(err.message);
+    }
+  };
+
+  /**
+   * Open task details and load a dry run of the task
+   */
+  const openTaskDetails = async (task) => {
+    setShowTaskDetails(task);
+    setTaskPreview(null);
+    setIsLoadingPreview(true);
+
+    try {
+      const response = await apiService.getTaskPreview(task.id);
+      setTaskPreview(response.data);
+    } catch (err) {
+      console.error('Failed to preview task:', err);
+      setTaskPreview({ error: err.message });
+    } finally {
+      setIsLoadingPreview(false);
+    }
+  };
+
+  /**
+   * Open the run history of a task
+   */
+  const openTaskRuns = async (task) => {
+    setRunsTask(task);
+    setTaskRuns([]);
+    setExpandedRun(null);
+    setIsLoadingRuns(true);
+
+    try {
+      const response = await apiService.getTaskRuns(task.id);
+      setTaskRuns(response.data);
+    } catch (err) {
+      console.error('Failed to load task runs:', err);
+      setError(err.message);
+      setRunsTask(null);
+    } finally {
+      setIsLoadingRuns(false);
+    }
+  };
+
   /**
    * Get task type display name
    */
@@ -167,6 +244,56 @@ function TaskManager({ channels, onError }) {
     return taskTypes[type]?.name || type;
   };
 
+  /**
+   * Get task time window, weekday and duration constraints display
+   */
+  const getTaskConstraintsDisplay = (task) => {
+    const weekdayNames = ['So', 'Mo', 'Di', 'Mi', 'Do', 'Fr', 'Sa'];
+    const parts = [];
+
+    if (task.timeWindow?.from || task.timeWindow?.to) {
+      parts.push(`Beginn ${task.timeWindow.from || '00:00'}–${task.timeWindow.to || '23:59'} Uhr`);
+    }
+    if (task.weekdays?.length) {
+      parts.push(task.weekdays.map(d => weekdayNames[d]).join(', '));
+    }
+    if (task.minDuration || task.maxDuration) {
+      parts.push(`${task.minDuration || 0}–${task.maxDuration || '∞'} Min.`);
+    }
+
+    return parts.length > 0 ? parts.join(' · ') : 'Keine';
+  };
+
+  /**
+   * Get task exclusions display
+   */
+  const getTaskExclusionsDisplay = (exclusions) => {
+    const parts = [];
+
+    if (exclusions?.titles?.length) {
+      parts.push(`Titel: ${exclusions.titles.join(', ')}`);
+    }
+    if (exclusions?.channels?.length) {
+      parts.push(`Sender: ${exclusions.channels.join(', ')}`);
+    }
+    if (exclusions?.genres?.length) {
+      parts.push(`Genres: ${exclusions.genres.join(', ')}`);
+    }
+    if (exclusions?.excludeRepeats) {
+      parts.push('Wiederholungen');
+    }
+    if (exclusions?.minDuration) {
+      parts.push(`unter ${exclusions.minDuration} Min.`);
+    }
+
+    return parts.length > 0 ? parts.join(' · ') : 'Keine';
+  };
+
+  /**
+   * Split a comma-separated input into a list
+   */
+  const splitList = (value) => value.split(',').map(item => item.trim()).filter(Boolean);
+
   /**
    * Get task criteria display
    */
@@ -174,6 +301,10 @@ function TaskManager({ channels, onError }) {
     if (typeof task.criteria === 'string') {
       return task.criteria;
     }
+
+    if (task.type === 'title_fuzzy' && task.criteria?.title) {
+      return `${task.criteria.title} (Ähnlichkeit ≥ ${Math.round((task.criteria.threshold ?? 0.8) * 100)} %)`;
+    }
     
     if (typeof task.criteria === 'object') {
       return JSON.stringify(task.criteria);
@@ -260,13 +391,21 @@ function TaskManager({ channels, onError }) {
             
             <div className="flex items-center gap-1">
               <button
-                onClick={() => setShowTaskDetails(task)}
+                onClick={() => openTaskDetails(task)}
                 className="btn btn-outline btn-sm"
                 title="Details anzeigen"
               >
                 <Eye size={14} />
               </button>
               
+              <button
+                onClick={() => openTaskRuns(task)}
+                className="btn btn-outline btn-sm"
+                title="Verlauf anzeigen"
+              >
+                <History size={14} />
+              </button>
+              
               <button
                 onClick={() => handleExecuteTask(task.id)}
                 className="btn btn-primary btn-sm"
@@ -338,6 +477,497 @@ function TaskManager({ channels, onError }) {
     );
   };
 
+  /**
+   * Dry run results of a task
+   */
+  const TaskPreview = ({ preview, isLoading }) => {
+    const actionConfig = {
+      create: { className: 'badge-green', label: 'Neuer Timer' },
+      take_over: { className: 'badge-yellow', label: 'Übernimmt Timer' },
+      skip: { className: 'badge-gray', label: 'Bereits geplant' },
+      excluded: { className: 'badge-red', label: 'Ausgeschlossen' }
+    };
+
+    if (isLoading) {
+      return <LoadingSpinner size="sm" text="Lade Vorschau..." />;
+    }
+
+    if (!preview) {
+      return null;
+    }
+
+    if (preview.error) {
+      return <p className="text-red-500 text-sm">{preview.error}</p>;
+    }
+
+    return (
+      <div className="space-y-2">
+        <p className="text-sm text-gray-700">
+          <strong>{preview.matches.length}</strong> Treffer im zwischengespeicherten EPG
+        </p>
+
+        {preview.missing.length > 0 && (
+          <p className="text-sm text-gray-500">
+            {preview.missing.length} Sender/Tage sind nicht im Cache und wurden nicht durchsucht
+          </p>
+        )}
+
+        {preview.matches.length > 0 && (
+          <div className="max-h-64 overflow-y-auto border rounded-lg divide-y">
+            {preview.matches.map(({ program, timer, action, existing }, index) => (
+              <div key={`${program.id}-${index}`} className="p-2 flex items-center justify-between text-sm">
+                <div className="min-w-0">
+                  <div className="font-medium truncate">{program.title}</div>
+                  <div className="text-gray-500">
+                    {timer.date} {timer.startTime}–{timer.endTime} · {channels[program.channelId]?.displayName || program.channelId}
+                  </div>
+                </div>
+                <span
+                  className={`badge ${actionConfig[action]?.className || 'badge-gray'}`}
+                  title={action === 'excluded' ? program.exclusion : existing?.taskName ? `Task "${existing.taskName}"` : undefined}
+                >
+                  {actionConfig[action]?.label || action}
+                </span>
+              </div>
+            ))}
+          </div>
+        )}
+      </div>
+    );
+  };
+
+  /**
+   * Run history modal of a task
+   */
+  const TaskRunsModal = () => {
+    const actionLabels = {
+      created: { className: 'badge-green', label: 'Timer erstellt' },
+      taken_over: { className: 'badge-green', label: 'Timer übernommen' },
+      skipped: { className: 'badge-gray', label: 'Bereits geplant' },
+      duplicate: { className: 'badge-gray', label: 'Anderer Task' },
+      conflict: { className: 'badge-yellow', label: 'Tuner-Konflikt' },
+      episode_owned: { className: 'badge-gray', label: 'Folge vorhanden' },
+      repeat: { className: 'badge-gray', label: 'Wiederholung' },
+      excluded: { className: 'badge-gray', label: 'Ausgeschlossen' },
+      failed: { className: 'badge-red', label: 'Fehler' }
+    };
+
+    return (
+      <div className="modal-overlay">
+        <div className="modal-content max-w-2xl">
+          <div className="p-6">
+            <div className="flex items-center justify-between mb-6">
+              <h2 className="text-xl font-bold text-gray-900">Verlauf: {runsTask.name}</h2>
+              <button
+                onClick={() => setRunsTask(null)}
+                className="p-2 hover:bg-gray-100 rounded"
+              >
+                <X size={20} />
+              </button>
+            </div>
+
+            {isLoadingRuns ? (
+              <LoadingSpinner size="md" text="Lade Verlauf..." />
+            ) : taskRuns.length === 0 ? (
+              <p className="text-gray-500 text-center py-4">Dieser Task wurde noch nicht ausgeführt</p>
+            ) : (
+              <div className="space-y-3">
+                {taskRuns.map(run => (
+                  <div key={run.id} className="border rounded-lg">
+                    <button
+                      type="button"
+                      onClick={() => setExpandedRun(expandedRun === run.id ? null : run.id)}
+                      className="w-full p-3 flex items-center justify-between text-left hover:bg-gray-50"
+                    >
+                      <div>
+                        <div className="font-medium">{formatters.formatDateTime(run.startedAt)}</div>
+                        <div className="text-sm text-gray-600">
+                          {run.channels.length} Sender · {run.matchCount} Treffer · {run.timersCreated} Timer
+                        </div>
+                      </div>
+                      <div className="flex items-center gap-2">
+                        {run.errors.length > 0 && (
+                          <span className="badge badge-red">{run.errors.length} Fehler</span>
+                        )}
+                        <span className={`badge ${run.trigger === 'manual' ? 'badge-blue' : 'badge-gray'}`}>
+                          {run.trigger === 'manual' ? 'Manuell' : 'Täglich'}
+                        </span>
+                      </div>
+                    </button>
+
+                    {expandedRun === run.id && (
+                      <div className="border-t p-3 space-y-2 text-sm">
+                        {run.matches.map((match, index) => (
+                          <div key={index} className="flex items-center justify-between">
+                            <div className="min-w-0">
+                              <span className="font-medium">{match.title}</span>
+                              <span className="text-gray-500 ml-2">
+                                {match.date} {match.time} · {channels[match.channelId]?.displayName || match.channelId}
+                                {match.broadcastId && ` · #${match.broadcastId}`}
+                              </span>
+                            </div>
+                            <span
+                              className={`badge ${actionLabels[match.action]?.className || 'badge-gray'}`}
+                              title={match.message || undefined}
+                            >
+                              {actionLabels[match.action]?.label || match.action}
+                            </span>
+                          </div>
+                        ))}
+
+                        {run.errors.map((runError, index) => (
+                          <div key={`error-${index}`} className="text-red-500">
+                            {runError.channelId ? `Sender ${runError.channelId}, Tag ${runError.day}: ` : ''}
+                            {runError.message}
+                          </div>
+                        ))}
+
+                        {run.matches.length === 0 && run.errors.length === 0 && (
+                          <p className="text-gray-500">Keine Treffer</p>
+                        )}
+                      </div>
+                    )}
+                  </div>
+                ))}
+              </div>
+            )}
+          </div>
+        </div>
+      </div>
+    );
+  };
+
+  /**
+   * Import Tasks Modal Component
+   */
+  const ImportTasksModal = () => {
+    const [bundle, setBundle] = useState(null);
+    const [fileError, setFileError] = useState(null);
+    const [onConflict, setOnConflict] = useState('skip');
+    const [importChannels, setImportChannels] = useState(true);
+    const [isImporting, setIsImporting] = useState(false);
+
+    const handleFileChange = async (e) => {
+      const file = e.target.files[0];
+      setBundle(null);
+      setFileError(null);
+      if (!file) return;
+
+      try {
+        const data = JSON.parse(await file.text());
+        if (!Array.isArray(data.tasks)) {
+          throw new Error('Keine Task-Exportdatei');
+        }
+        setBundle(data);
+      } catch (err) {
+        setFileError(`Datei kann nicht gelesen werden: ${err.message}`);
+      }
+    };
+
+    const handleImport = async () => {
+      setIsImporting(true);
+      setFileError(null);
+
+      try {
+        const response = await apiService.importTasks(bundle, { onConflict, importChannels });
+        const result = response.data;
+
+        const parts = [`${result.created.length} neu`];
+        if (result.overwritten.length > 0) parts.push(`${result.overwritten.length} überschrieben`);
+        if (result.renamed.length > 0) parts.push(`${result.renamed.length} umbenannt`);
+        if (result.skipped.length > 0) parts.push(`${result.skipped.length} übersprungen`);
+        if (result.channelsAdded.length > 0) parts.push(`${result.channelsAdded.length} Sender hinzugefügt`);
+
+        setSuccess(`Tasks importiert: ${parts.join(', ')}`);
+        setTimeout(() => setSuccess(null), 5000);
+        setShowImportModal(false);
+        loadTaskData();
+
+      } catch (err) {
+        console.error('Failed to import tasks:', err);
+        setFileError(err.message);
+      } finally {
+        setIsImporting(false);
+      }
+    };
+
+    const existingNames = new Set(tasks.map(task => task.name.toLowerCase()));
+    const conflicts = bundle ? bundle.tasks.filter(task => existingNames.has(String(task.name).toLowerCase())) : [];
+    const channelCount = bundle?.channels ? Object.keys(bundle.channels).length : 0;
+
+    return (
+      <div className="modal-overlay">
+        <div className="modal-content max-w-2xl">
+          <div className="p-6">
+            <div className="flex items-center justify-between mb-6">
+              <h2 className="text-xl font-bold text-gray-900">Tasks importieren</h2>
+              <button
+                onClick={() => setShowImportModal(false)}
+                className="p-2 hover:bg-gray-100 rounded"
+              >
+                <X size={20} />
+              </button>
+            </div>
+
+            <div className="space-y-4">
+              <div>
+                <label className="block text-sm font-medium text-gray-700 mb-2">
+                  Exportdatei
+                </label>
+                <input
+                  type="file"
+                  accept=".json,application/json"
+                  onChange={handleFileChange}
+                  className="input"
+                />
+              </div>
+
+              {bundle && (
+                <div className="p-3 bg-gray-50 rounded-lg text-sm text-gray-700 space-y-1">
+                  <div>
+                    {bundle.tasks.length} Tasks
+                    {channelCount > 0 && `, ${channelCount} Sender`}
+                    {bundle.exportedAt && ` · exportiert am ${formatters.formatDateTime(bundle.exportedAt)}`}
+                  </div>
+                  {conflicts.length > 0 && (
+                    <div className="text-yellow-700">
+                      Bereits vorhanden: {conflicts.map(task => task.name).join(', ')}
+                    </div>
+                  )}
+                </div>
+              )}
+
+              <div>
+                <label className="block text-sm font-medium text-gray-700 mb-2">
+                  Bei gleichem Namen
+                </label>
+                <select
+                  value={onConflict}
+                  onChange={(e) => setOnConflict(e.target.value)}
+                  className="input"
+                >
+                  <option value="skip">Vorhandenen Task behalten</option>
+                  <option value="rename">Importierten Task umbenennen</option>
+                  <option value="overwrite">Vorhandenen Task überschreiben</option>
+                </select>
+              </div>
+
+              <label className="flex items-center gap-2 text-sm text-gray-700">
+                <input
+                  type="checkbox"
+                  checked={importChannels}
+                  onChange={(e) => setImportChannels(e.target.checked)}
+                />
+                Fehlende Sender übernehmen (vorhandene Zuordnungen bleiben unverändert)
+              </label>
+
+              {fileError && (
+                <p className="text-sm text-red-600">{fileError}</p>
+              )}
+            </div>
+
+            <div className="flex justify-end gap-3 mt-6">
+              <button
+                type="button"
+                onClick={() => setShowImportModal(false)}
+                className="btn btn-outline"
+              >
+                Abbrechen
+              </button>
+              <button
+                type="button"
+                onClick={handleImport}
+                disabled={!bundle || isImporting}
+                className="btn btn-primary"
+              >
+                {isImporting ? (
+                  <>
+                    <RefreshCw size={16} className="animate-spin" />
+                    Importiere...
+                  </>
+                ) : (
+                  <>
+                    <Upload size={16} />
+                    Importieren
+                  </>
+                )}
+              </button>
+            </div>
+          </div>
+        </div>
+      </div>
+    );
+  };
+
+  /**
+   * Global Exclusions Modal Component
+   */
+  const ExclusionsModal = () => {
+    const [formData, setFormData] = useState(null);
+    const [formError, setFormError] = useState(null);
+    const [isSaving, setIsSaving] = useState(false);
+
+    useEffect(() => {
+      apiService.getExclusions()
+        .then(response => {
+          const exclusions = response.data;
+          setFormData({
+            titles: exclusions.titles.join(', '),
+            channels: exclusions.channels.join(', '),
+            genres: exclusions.genres.join(', '),
+            excludeRepeats: exclusions.excludeRepeats,
+            minDuration: exclusions.minDuration || ''
+          });
+        })
+        .catch(err => setFormError(err.message));
+    }, []);
+
+    const handleInputChange = (field, value) => {
+      setFormData(prev => ({ ...prev, [field]: value }));
+    };
+
+    const handleSave = async (e) => {
+      e.preventDefault();
+      setIsSaving(true);
+      setFormError(null);
+
+      try {
+        await apiService.updateExclusions({
+          titles: splitList(formData.titles),
+          channels: splitList(formData.channels),
+          genres: splitList(formData.genres),
+          excludeRepeats: formData.excludeRepeats,
+          minDuration: formData.minDuration ? Number(formData.minDuration) : null
+        });
+
+        setSuccess('Globale Ausschlüsse gespeichert');
+        setTimeout(() => setSuccess(null), 3000);
+        setShowExclusionsModal(false);
+
+      } catch (err) {
+        console.error('Failed to save exclusions:', err);
+        setFormError(err.message);
+      } finally {
+        setIsSaving(false);
+      }
+    };
+
+    return (
+      <div className="modal-overlay">
+        <div className="modal-content max-w-2xl">
+          <form onSubmit={handleSave} className="p-6">
+            <div className="flex items-center justify-between mb-2">
+              <h2 className="text-xl font-bold text-gray-900">Globale Ausschlüsse</h2>
+              <button
+                type="button"
+                onClick={() => setShowExclusionsModal(false)}
+                className="p-2 hover:bg-gray-100 rounded"
+              >
+                <X size={20} />
+              </button>
+            </div>
+            <p className="text-gray-600 text-sm mb-6">
+              Sendungen, die hier ausgeschlossen sind, werden von keinem Task aufgenommen.
+              Mehrere Einträge kommagetrennt.
+            </p>
+
+            {!formData ? (
+              formError
+                ? <p className="text-sm text-red-600">{formError}</p>
+                : <LoadingSpinner size="md" text="Lade Ausschlüsse..." />
+            ) : (
+              <div className="space-y-4">
+                <div>
+                  <label className="block text-sm font-medium text-gray-700 mb-2">
+                    Titel enthält
+                  </label>
+                  <input
+                    type="text"
+                    value={formData.titles}
+                    onChange={(e) => handleInputChange('titles', e.target.value)}
+                    className="input"
+                    placeholder="z.B. Shopping, Teleshop, Astro"
+                  />
+                </div>
+
+                <div>
+                  <label className="block text-sm font-medium text-gray-700 mb-2">
+                    Genres
+                  </label>
+                  <input
+                    type="text"
+                    value={formData.genres}
+                    onChange={(e) => handleInputChange('genres', e.target.value)}
+                    className="input"
+                    placeholder="z.B. Dauerwerbesendung, Teleshopping"
+                  />
+                </div>
+
+                <div>
+                  <label className="block text-sm font-medium text-gray-700 mb-2">
+                    Sender
+                  </label>
+                  <input
+                    type="text"
+                    value={formData.channels}
+                    onChange={(e) => handleInputChange('channels', e.target.value)}
+                    className="input"
+                    placeholder="Sendername oder ID"
+                  />
+                </div>
+
+                <div>
+                  <label className="block text-sm font-medium text-gray-700 mb-2">
+                    Kürzer als (Minuten)
+                  </label>
+                  <input
+                    type="number"
+                    value={formData.minDuration}
+                    onChange={(e) => handleInputChange('minDuration', e.target.value)}
+                    className="input"
+                    min="1"
+                    placeholder="Optional"
+                  />
+                </div>
+
+                <label className="flex items-center">
+                  <input
+                    type="checkbox"
+                    checked={formData.excludeRepeats}
+                    onChange={(e) => handleInputChange('excludeRepeats', e.target.checked)}
+                    className="mr-2"
+                  />
+                  <span className="text-sm text-gray-700">Wiederholungen ausschließen</span>
+                </label>
+
+                {formError && (
+                  <p className="text-sm text-red-600">{formError}</p>
+                )}
+              </div>
+            )}
+
+            <div className="flex justify-end gap-3 mt-6">
+              <button
+                type="button"
+                onClick={() => setShowExclusionsModal(false)}
+                className="btn btn-outline"
+              >
+                Abbrechen
+              </button>
+              <button
+                type="submit"
+                disabled={!formData || isSaving}
+                className="btn btn-primary"
+              >
+                {isSaving ? 'Speichere...' : 'Speichern'}
+              </button>
+            </div>
+          </form>
+        </div>
+      </div>
+    );
+  };
+
   /**
    * Create Task Modal Component
    */
@@ -354,10 +984,61 @@ function TaskManager({ channels, onError }) {
       postBuffer: 10,
       folder: 'Auto',
       series: '',
-      defaultDuration: 120
+      defaultDuration: 120,
+      timeFrom: '',
+      timeTo: '',
+      weekdays: [],
+      minDuration: '',
+      maxDuration: '',
+      seriesTracking: false,
+      excludeTitles: '',
+      excludeChannels: '',
+      excludeGenres: '',
+      excludeRepeats: false,
+      excludeMinDuration: '',
+      fuzzyThreshold: 0.8
     });
 
     const [formErrors, setFormErrors] = useState({});
+    const [preview, setPreview] = useState(null);
+    const [isPreviewing, setIsPreviewing] = useState(false);
+
+    // Dry run the task whenever its search settings change
+    useEffect(() => {
+      if (!formData.criteria.trim()) {
+        setPreview(null);
+        return;
+      }
+
+      const timeout = setTimeout(loadPreview, 500);
+      return () => clearTimeout(timeout);
+    }, [
+      formData.type, formData.criteria, formData.fuzzyThreshold, formData.channels, formData.days, formData.weekdays,
+      formData.timeFrom, formData.timeTo, formData.minDuration, formData.maxDuration,
+      formData.excludeTitles, formData.excludeChannels, formData.excludeGenres,
+      formData.excludeRepeats, formData.excludeMinDuration
+    ]);
+
+    /**
+     * Load the dry run of the current form data
+     */
+    const loadPreview = async () => {
+      const taskData = buildTaskData();
+      if (!taskData) {
+        setPreview(null);
+        return;
+      }
+
+      setIsPreviewing(true);
+      try {
+        const response = await apiService.previewTask(taskData);
+        setPreview(response.data);
+      } catch (err) {
+        setPreview({ error: err.message });
+      } finally {
+        setIsPreviewing(false);
+      }
+    };
 
     const handleInputChange = (field, value) => {
       setFormData(prev => ({
@@ -404,6 +1085,11 @@ function TaskManager({ channels, onError }) {
       if (formData.defaultDuration < 1) {
         errors.defaultDuration = 'Standard-Dauer muss mindestens 1 Minute betragen';
       }
+
+      if (formData.minDuration && formData.maxDuration &&
+          Number(formData.minDuration) > Number(formData.maxDuration)) {
+        errors.maxDuration = 'Maximale Dauer muss größer als die minimale Dauer sein';
+      }
       
       setFormErrors(errors);
       return Object.keys(errors).length === 0;
@@ -416,28 +1102,63 @@ function TaskManager({ channels, onError }) {
         return;
       }
 
+      const taskData = buildTaskData();
+      if (!taskData) {
+        setFormErrors({
+          criteria: formData.type === 'rule'
+            ? 'Ungültiges JSON-Format für das Regelwerk'
+            : 'Ungültiges JSON-Format für Titel und Genre'
+        });
+        return;
+      }
+
+      handleCreateTask(taskData);
+    };
+
+    /**
+     * Build the task payload from the form, null if the criteria JSON is invalid
+     */
+    const buildTaskData = () => {
       // Parse criteria for complex types
       let processedCriteria = formData.criteria;
-      if (formData.type === 'title_and_genre') {
+      if (formData.type === 'title_and_genre' || formData.type === 'rule') {
         try {
           processedCriteria = JSON.parse(formData.criteria);
         } catch (err) {
-          setFormErrors({ criteria: 'Ungültiges JSON-Format für Titel und Genre' });
-          return;
+          return null;
         }
+      } else if (formData.type === 'title_fuzzy') {
+        processedCriteria = { title: formData.criteria.trim(), threshold: formData.fuzzyThreshold };
       }
 
-      const taskData = {
-        ...formData,
+      const {
+        timeFrom, timeTo, excludeTitles, excludeChannels, excludeGenres, excludeRepeats, excludeMinDuration,
+        fuzzyThreshold, ...taskFields
+      } = formData;
+
+      const exclusions = {
+        titles: splitList(excludeTitles),
+        channels: splitList(excludeChannels),
+        genres: splitList(excludeGenres),
+        excludeRepeats,
+        minDuration: excludeMinDuration ? Number(excludeMinDuration) : null
+      };
+      const hasExclusions = exclusions.titles.length > 0 || exclusions.channels.length > 0 ||
+        exclusions.genres.length > 0 || exclusions.excludeRepeats || exclusions.minDuration;
+
+      return {
+        ...taskFields,
         criteria: processedCriteria,
+        exclusions: hasExclusions ? exclusions : null,
+        timeWindow: timeFrom || timeTo ? { from: timeFrom || null, to: timeTo || null } : null,
+        minDuration: formData.minDuration ? Number(formData.minDuration) : null,
+        maxDuration: formData.maxDuration ? Number(formData.maxDuration) : null,
         channels: formData.channels.filter(ch => ch && ch.trim()),
         priority: Number(formData.priority),
         preBuffer: Number(formData.preBuffer),
         postBuffer: Number(formData.postBuffer),
         defaultDuration: Number(formData.defaultDuration)
       };
-
-      handleCreateTask(taskData);
     };
 
     const handleChannelChange = (channelList) => {
@@ -454,7 +1175,17 @@ function TaskManager({ channels, onError }) {
       handleInputChange('days', newDays);
     };
 
-    const dayNames = ['So', 'Mo', 'Di', 'Mi', 'Do', 'Fr', 'Sa'];
+    const handleWeekdayToggle = (weekday) => {
+      const currentWeekdays = formData.weekdays;
+      const newWeekdays = currentWeekdays.includes(weekday)
+        ? currentWeekdays.filter(d => d !== weekday)
+        : [...currentWeekdays, weekday].sort();
+      
+      handleInputChange('weekdays', newWeekdays);
+    };
+
+    const dayNames = ['Heute', 'Morgen', '+2', '+3', '+4', '+5', '+6'];
+    const weekdayNames = ['So', 'Mo', 'Di', 'Mi', 'Do', 'Fr', 'Sa'];
 
     return (
       <div className="modal-overlay">
@@ -513,17 +1244,54 @@ function TaskManager({ channels, onError }) {
                 <label className="block text-sm font-medium text-gray-700 mb-2">
                   Suchkriterien *
                 </label>
-                <input
-                  type="text"
-                  value={formData.criteria}
-                  onChange={(e) => handleInputChange('criteria', e.target.value)}
-                  className={`input ${formErrors.criteria ? 'border-red-500' : ''}`}
-                  placeholder={
-                    formData.type === 'title_and_genre' 
-                      ? '{"title": "Krimi", "genre": "Serie"}'
-                      : taskTypes[formData.type]?.example || 'Suchtext eingeben'
-                  }
-                />
+                {formData.type === 'rule' ? (
+                  <>
+                    <textarea
+                      rows={10}
+                      value={formData.criteria}
+                      onChange={(e) => handleInputChange('criteria', e.target.value)}
+                      className={`input font-mono text-sm ${formErrors.criteria ? 'border-red-500' : ''}`}
+                      placeholder='{"operator": "and", "rules": [{"field": "genre", "op": "contains", "value": "Krimi"}]}'
+                    />
+                    <button
+                      type="button"
+                      onClick={() => handleInputChange('criteria', JSON.stringify(taskTypes.rule?.example, null, 2))}
+                      className="btn btn-outline btn-sm mt-2"
+                    >
+                      Beispiel einfügen
+                    </button>
+                  </>
+                ) : (
+                  <input
+                    type="text"
+                    value={formData.criteria}
+                    onChange={(e) => handleInputChange('criteria', e.target.value)}
+                    className={`input ${formErrors.criteria ? 'border-red-500' : ''}`}
+                    placeholder={
+                      formData.type === 'title_and_genre' 
+                        ? '{"title": "Krimi", "genre": "Serie"}'
+                        : formData.type === 'title_fuzzy'
+                          ? taskTypes.title_fuzzy?.example?.title
+                          : taskTypes[formData.type]?.example || 'Suchtext eingeben'
+                    }
+                  />
+                )}
+                {formData.type === 'title_fuzzy' && (
+                  <div className="mt-2">
+                    <label className="block text-sm font-medium text-gray-700 mb-2">
+                      Mindestähnlichkeit: {Math.round(formData.fuzzyThreshold * 100)} %
+                    </label>
+                    <input
+                      type="range"
+                      min="0.5"
+                      max="1"
+                      step="0.05"
+                      value={formData.fuzzyThreshold}
+                      onChange={(e) => handleInputChange('fuzzyThreshold', Number(e.target.value))}
+                      className="w-full"
+                    />
+                  </div>
+                )}
                 {formErrors.criteria && (
                   <p className="text-red-500 text-sm mt-1">{formErrors.criteria}</p>
                 )}
@@ -554,7 +1322,7 @@ function TaskManager({ channels, onError }) {
               {/* Days */}
               <div>
                 <label className="block text-sm font-medium text-gray-700 mb-2">
-                  Wochentage
+                  Durchsuchte Tage
                 </label>
                 <div className="flex gap-2">
                   {dayNames.map((dayName, index) => (
@@ -574,6 +1342,174 @@ function TaskManager({ channels, onError }) {
                 </div>
               </div>
 
+              {/* Weekdays */}
+              <div>
+                <label className="block text-sm font-medium text-gray-700 mb-2">
+                  Nur an Wochentagen
+                </label>
+                <div className="flex gap-2">
+                  {weekdayNames.map((weekdayName, index) => (
+                    <button
+                      key={index}
+                      type="button"
+                      onClick={() => handleWeekdayToggle(index)}
+                      className={`px-3 py-2 text-sm rounded ${
+                        formData.weekdays.includes(index)
+                          ? 'bg-blue-600 text-white'
+                          : 'bg-gray-200 text-gray-700 hover:bg-gray-300'
+                      }`}
+                    >
+                      {weekdayName}
+                    </button>
+                  ))}
+                </div>
+                <p className="text-gray-600 text-sm mt-1">
+                  Keine Auswahl für alle Wochentage
+                </p>
+              </div>
+
+              {/* Time Window and Duration */}
+              <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+                <div>
+                  <label className="block text-sm font-medium text-gray-700 mb-2">
+                    Beginn frühestens
+                  </label>
+                  <input
+                    type="time"
+                    value={formData.timeFrom}
+                    onChange={(e) => handleInputChange('timeFrom', e.target.value)}
+                    className="input"
+                  />
+                </div>
+
+                <div>
+                  <label className="block text-sm font-medium text-gray-700 mb-2">
+                    Beginn spätestens
+                  </label>
+                  <input
+                    type="time"
+                    value={formData.timeTo}
+                    onChange={(e) => handleInputChange('timeTo', e.target.value)}
+                    className="input"
+                  />
+                </div>
+
+                <div>
+                  <label className="block text-sm font-medium text-gray-700 mb-2">
+                    Mindestdauer (Minuten)
+                  </label>
+                  <input
+                    type="number"
+                    value={formData.minDuration}
+                    onChange={(e) => handleInputChange('minDuration', e.target.value)}
+                    className="input"
+                    min="1"
+                    placeholder="Optional"
+                  />
+                </div>
+
+                <div>
+                  <label className="block text-sm font-medium text-gray-700 mb-2">
+                    Maximaldauer (Minuten)
+                  </label>
+                  <input
+                    type="number"
+                    value={formData.maxDuration}
+                    onChange={(e) => handleInputChange('maxDuration', e.target.value)}
+                    className={`input ${formErrors.maxDuration ? 'border-red-500' : ''}`}
+                    min="1"
+                    placeholder="Optional"
+                  />
+                  {formErrors.maxDuration && (
+                    <p className="text-red-500 text-sm mt-1">{formErrors.maxDuration}</p>
+                  )}
+                </div>
+              </div>
+              <p className="text-gray-600 text-sm">
+                Zeitfenster über Mitternacht sind möglich, z.B. 22:00 bis 02:00
+              </p>
+
+              {/* Exclusions */}
+              <div className="border-t pt-4">
+                <h3 className="text-lg font-medium text-gray-900 mb-1">Ausschlüsse</h3>
+                <p className="text-gray-600 text-sm mb-4">
+                  Gelten zusätzlich zu den globalen Ausschlüssen. Mehrere Einträge kommagetrennt.
+                </p>
+
+                <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+                  <div>
+                    <label className="block text-sm font-medium text-gray-700 mb-2">
+                      Titel enthält
+                    </label>
+                    <input
+                      type="text"
+                      value={formData.excludeTitles}
+                      onChange={(e) => handleInputChange('excludeTitles', e.target.value)}
+                      className="input"
+                      placeholder="z.B. Shopping, Teleshop"
+                    />
+                  </div>
+
+                  <div>
+                    <label className="block text-sm font-medium text-gray-700 mb-2">
+                      Genres
+                    </label>
+                    <input
+                      type="text"
+                      value={formData.excludeGenres}
+                      onChange={(e) => handleInputChange('excludeGenres', e.target.value)}
+                      className="input"
+                      placeholder="z.B. Dauerwerbesendung"
+                    />
+                  </div>
+
+                  <div>
+                    <label className="block text-sm font-medium text-gray-700 mb-2">
+                      Sender
+                    </label>
+                    <input
+                      type="text"
+                      value={formData.excludeChannels}
+                      onChange={(e) => handleInputChange('excludeChannels', e.target.value)}
+                      className="input"
+                      placeholder="Sendername oder ID"
+                    />
+                  </div>
+
+                  <div>
+                    <label className="block text-sm font-medium text-gray-700 mb-2">
+                      Kürzer als (Minuten)
+                    </label>
+                    <input
+                      type="number"
+                      value={formData.excludeMinDuration}
+                      onChange={(e) => handleInputChange('excludeMinDuration', e.target.value)}
+                      className="input"
+                      min="1"
+                      placeholder="Optional"
+                    />
+                  </div>
+                </div>
+
+                <label className="flex items-center mt-4">
+                  <input
+                    type="checkbox"
+                    checked={formData.excludeRepeats}
+                    onChange={(e) => handleInputChange('excludeRepeats', e.target.checked)}
+                    className="mr-2"
+                  />
+                  <span className="text-sm text-gray-700">Wiederholungen ausschließen</span>
+                </label>
+              </div>
+
+              {/* Preview */}
+              {(preview || isPreviewing) && (
+                <div className="border-t pt-4">
+                  <h3 className="text-lg font-medium text-gray-900 mb-2">Vorschau</h3>
+                  <TaskPreview preview={preview} isLoading={isPreviewing} />
+                </div>
+              )}
+
               {/* Advanced Settings */}
               <div className="border-t pt-4">
                 <h3 className="text-lg font-medium text-gray-900 mb-4">Erweiterte Einstellungen</h3>
@@ -682,6 +1618,20 @@ function TaskManager({ channels, onError }) {
                     <span className="text-sm text-gray-700">Task sofort aktivieren</span>
                   </label>
                 </div>
+
+                <div className="mt-2">
+                  <label className="flex items-center">
+                    <input
+                      type="checkbox"
+                      checked={formData.seriesTracking}
+                      onChange={(e) => handleInputChange('seriesTracking', e.target.checked)}
+                      className="mr-2"
+                    />
+                    <span className="text-sm text-gray-700">
+                      Serienaufnahme: nur neue Folgen aufnehmen, Wiederholungen überspringen
+                    </span>
+                  </label>
+                </div>
               </div>
             </div>
 
@@ -742,6 +1692,31 @@ function TaskManager({ channels, onError }) {
             <RefreshCw size={16} className={isLoading ? 'animate-spin' : ''} />
             Aktualisieren
           </button>
+
+          <button
+            onClick={() => setShowExclusionsModal(true)}
+            className="btn btn-outline"
+          >
+            <Ban size={16} />
+            Ausschlüsse
+          </button>
+
+          <button
+            onClick={handleExportTasks}
+            disabled={tasks.length === 0}
+            className="btn btn-outline"
+          >
+            <Download size={16} />
+            Exportieren
+          </button>
+
+          <button
+            onClick={() => setShowImportModal(true)}
+            className="btn btn-outline"
+          >
+            <Upload size={16} />
+            Importieren
+          </button>
           
           <button
             onClick={() => setShowCreateModal(true)}
@@ -819,6 +1794,7 @@ function TaskManager({ channels, onError }) {
                 <p>• Sie durchsuchen die EPG-Daten der nächsten 7 Tage nach Ihren Kriterien</p>
                 <p>• Bei Treffern werden automatisch Timer im DVB Viewer erstellt</p>
                 <p>• Sie können Tasks auch jederzeit manuell ausführen</p>
+                <p>• Stündlich werden die Timer der nächsten 24 Stunden mit dem EPG abgeglichen und bei Verschiebungen angepasst</p>
               </div>
             </div>
           </div>
@@ -827,6 +1803,9 @@ function TaskManager({ channels, onError }) {
 
       {/* Modals */}
       {showCreateModal && <CreateTaskModal />}
+      {runsTask && <TaskRunsModal />}
+      {showImportModal && <ImportTasksModal />}
+      {showExclusionsModal && <ExclusionsModal />}
 
       {showTaskDetails && (
         <div className="modal-overlay">
@@ -852,6 +1831,9 @@ function TaskManager({ channels, onError }) {
                     <div><strong>Kriterien:</strong> {getTaskCriteriaDisplay(showTaskDetails)}</div>
                     <div><strong>Priorität:</strong> {showTaskDetails.priority || 50}</div>
                     <div><strong>Sender:</strong> {showTaskDetails.channels?.length ? showTaskDetails.channels.join(', ') : 'Alle'}</div>
+                    <div><strong>Einschränkungen:</strong> {getTaskConstraintsDisplay(showTaskDetails)}</div>
+                    <div><strong>Ausschlüsse:</strong> {getTaskExclusionsDisplay(showTaskDetails.exclusions)}</div>
+                    <div><strong>Serienaufnahme:</strong> {showTaskDetails.seriesTracking ? `Ja${showTaskDetails.series ? ` (${showTaskDetails.series})` : ''}` : 'Nein'}</div>
                   </div>
                 </div>
                 
@@ -864,6 +1846,11 @@ function TaskManager({ channels, onError }) {
                     <div><strong>Letzte Ausführung:</strong> {showTaskDetails.lastRun ? formatters.formatDate(showTaskDetails.lastRun) : 'Nie'}</div>
                   </div>
                 </div>
+
+                <div>
+                  <h3 className="font-medium text-gray-700 mb-2">Vorschau</h3>
+                  <TaskPreview preview={taskPreview} isLoading={isLoadingPreview} />
+                </div>
               </div>
             </div>
           </div>
@@ -0,0 +1,429 @@
+import React, { useState, useEffect } from 'react';
+import {
+  ListVideo,
+  RefreshCw,
+  Calendar,
+  Clock,
+  Tv,
+  Folder,
+  Edit,
+  Trash2,
+  History,
+  CalendarClock
+} from 'lucide-react';
+import { apiService, formatters } from '../services/api';
+import { LoadingCard } from './LoadingSpinner';
+import ErrorAlert, { SuccessMessage } from './ErrorAlert';
+import TimerModal from './TimerModal';
+
+function TimerList({ channels, onError }) {
+  // State management
+  const [timers, setTimers] = useState([]);
+  const [isLoading, setIsLoading] = useState(false);
+  const [error, setError] = useState(null);
+  const [success, setSuccess] = useState(null);
+  const [editingTimer, setEditingTimer] = useState(null);
+  const [activeTab, setActiveTab] = useState('scheduled');
+  const [registry, setRegistry] = useState([]);
+  const [isRechecking, setIsRechecking] = useState(false);
+
+  // Load timers on component mount
+  useEffect(() => {
+    loadTimers();
+  }, []);
+
+  // Load history when switching to it
+  useEffect(() => {
+    if (activeTab === 'history') {
+      loadRegistry();
+    }
+  }, [activeTab]);
+
+  /**
+   * Load timers from DVB Viewer
+   */
+  const loadTimers = async () => {
+    setIsLoading(true);
+    setError(null);
+
+    try {
+      const response = await apiService.getTimers();
+      setTimers(response.data);
+      console.log(`✅ Loaded ${response.data.length} timers`);
+    } catch (err) {
+      console.error('Failed to load timers:', err);
+      setError(err.message);
+      onError?.(err);
+    } finally {
+      setIsLoading(false);
+    }
+  };
+
+  /**
+   * Load timers created by this tool (registry)
+   */
+  const loadRegistry = async () => {
+    setIsLoading(true);
+    setError(null);
+
+    try {
+      await apiService.reconcileTimers().catch(err => console.warn('Reconcile failed:', err));
+      const response = await apiService.getTimerRegistry();
+      setRegistry(response.data);
+    } catch (err) {
+      console.error('Failed to load timer history:', err);
+      setError(err.message);
+    } finally {
+      setIsLoading(false);
+    }
+  };
+
+  /**
+   * Check the timers of the next 24 hours against the current EPG
+   */
+  const handleRecheck = async () => {
+    setIsRechecking(true);
+    setError(null);
+
+    try {
+      const response = await apiService.recheckTimers();
+      const { checked, updated, deleted, flagged, notFound, skipped } = response.data;
+      const unconfirmed = flagged.length + notFound.length;
+
+      setSuccess(skipped
+        ? 'EPG-Abgleich läuft bereits'
+        : `EPG-Abgleich: ${checked} Timer geprüft, ${updated.length} verschoben, ${deleted.length} gelöscht` +
+          (unconfirmed > 0 ? `, ${unconfirmed} nicht im EPG gefunden (Timer bleiben bestehen)` : ''));
+      setTimeout(() => setSuccess(null), 5000);
+
+      if (updated.length > 0 || deleted.length > 0 || unconfirmed > 0) {
+        activeTab === 'history' ? loadRegistry() : loadTimers();
+      }
+    } catch (err) {
+      console.error('Failed to recheck timers:', err);
+      setError(err.message);
+    } finally {
+      setIsRechecking(false);
+    }
+  };
+
+  /**
+   * Handle timer deletion
+   */
+  const handleDeleteTimer = async (timer) => {
+    if (!confirm(`Timer "${timer.title}" wirklich löschen?`)) return;
+
+    try {
+      setError(null);
+      await apiService.deleteTimer(timer.id);
+
+      // Remove from local state
+      setTimers(prev => prev.filter(t => t.id !== timer.id));
+
+      setSuccess('Timer gelöscht');
+      setTimeout(() => setSuccess(null), 3000);
+
+    } catch (err) {
+      console.error('Failed to delete timer:', err);
+      setError(err.message);
+    }
+  };
+
+  /**
+   * Handle successful timer update
+   */
+  const handleTimerUpdated = () => {
+    setEditingTimer(null);
+    setSuccess('Timer gespeichert');
+    setTimeout(() => setSuccess(null), 3000);
+    loadTimers();
+  };
+
+  /**
+   * Get timer status badge
+   */
+  const getStatusBadge = (timer) => {
+    const statusConfig = {
+      recording: { className: 'badge-red', label: '● Aufnahme läuft' },
+      scheduled: { className: 'badge-green', label: 'Geplant' },
+      disabled: { className: 'badge-gray', label: 'Deaktiviert' },
+      finished: { className: 'badge-gray', label: 'Beendet' }
+    };
+    const config = statusConfig[timer.status] || { className: 'badge-gray', label: timer.status };
+    return <span className={`badge ${config.className}`}>{config.label}</span>;
+  };
+
+  /**
+   * Get registry status badge
+   */
+  const getRegistryStatusBadge = (entry) => {
+    const statusConfig = {
+      pending: { className: 'badge-yellow', label: 'Übermittelt' },
+      scheduled: { className: 'badge-green', label: 'Geplant' },
+      recording: { className: 'badge-red', label: '● Aufnahme läuft' },
+      done: { className: 'badge-blue', label: 'Aufgenommen' },
+      failed: { className: 'badge-red', label: 'Fehlgeschlagen' },
+      deleted: { className: 'badge-gray', label: 'Gelöscht' }
+    };
+    const config = statusConfig[entry.status] || { className: 'badge-gray', label: entry.status };
+    return <span className={`badge ${config.className}`}>{config.label}</span>;
+  };
+
+  /**
+   * Get registry source label
+   */
+  const getSourceLabel = (entry) => {
+    if (entry.source === 'task') return `Task: ${entry.taskName || entry.taskId}`;
+    if (entry.source === 'quick') return 'Schnellaufnahme';
+    return 'Manuell';
+  };
+
+  /**
+   * Render single registry entry
+   */
+  const RegistryItem = ({ entry }) => {
+    const channel = channels?.[entry.channelId];
+
+    return (
+      <div className="card">
+        <div className="card-body">
+          <div className="flex items-start justify-between mb-3">
+            <div className="flex-1 min-w-0">
+              <h3 className="text-lg font-semibold text-gray-900 mb-1">
+                {formatters.truncateText(entry.title, 60)}
+              </h3>
+              <div className="flex items-center gap-2 flex-wrap">
+                {getRegistryStatusBadge(entry)}
+                <span className="badge badge-blue">
+                  <Tv size={12} className="mr-1" />
+                  {channel?.displayName || channel?.name || entry.channelId}
+                </span>
+                <span className="badge badge-gray">{getSourceLabel(entry)}</span>
+              </div>
+            </div>
+            <div className="text-sm text-gray-600 text-right">
+              <div>{entry.date}</div>
+              <div>{entry.startTime} - {entry.endTime}</div>
+            </div>
+          </div>
+
+          {entry.statusMessage && (
+            <p className="text-sm text-gray-600 mb-2">{entry.statusMessage}</p>
+          )}
+
+          {entry.epgFlag && (
+            <p className="text-sm text-yellow-700 mb-2">
+              {entry.epgFlag.reason === 'replaced'
+                ? `Im EPG steht zu dieser Zeit jetzt „${entry.epgFlag.occupantTitle}“, der Timer wird gelöscht, wenn das bei der nächsten Prüfung noch so ist.`
+                : 'Sendung im aktuellen EPG nicht gefunden, der Timer bleibt bestehen.'}
+            </p>
+          )}
+
+          <details className="text-sm">
+            <summary className="cursor-pointer text-gray-500">
+              Verlauf ({entry.history.length})
+            </summary>
+            <div className="mt-2 space-y-1 text-xs text-gray-600">
+              {entry.history.map((step, index) => (
+                <div key={index}>
+                  <span className="font-medium">{formatters.formatDateTime(step.at)}</span>
+                  <span className="ml-2">{step.status}</span>
+                  {step.message && <span className="ml-2 text-gray-500">– {step.message}</span>}
+                </div>
+              ))}
+            </div>
+          </details>
+        </div>
+      </div>
+    );
+  };
+
+  /**
+   * Render single timer item
+   */
+  const TimerItem = ({ timer }) => {
+    const channel = timer.channelId ? channels?.[timer.channelId] : null;
+    const channelName = channel?.displayName || channel?.name || timer.channelName || timer.dvbChannelId;
+
+    return (
+      <div className="card">
+        <div className="card-body">
+          <div className="flex items-start justify-between mb-3">
+            <div className="flex-1 min-w-0">
+              <h3 className="text-lg font-semibold text-gray-900 mb-1">
+                {formatters.truncateText(timer.title, 60)}
+              </h3>
+              <div className="flex items-center gap-2 flex-wrap">
+                {getStatusBadge(timer)}
+                <span className="badge badge-blue">
+                  <Tv size={12} className="mr-1" />
+                  {channelName}
+                </span>
+                {timer.series && (
+                  <span className="badge badge-yellow">{timer.series}</span>
+                )}
+              </div>
+            </div>
+
+            <div className="flex items-center gap-1">
+              <button
+                onClick={() => setEditingTimer(timer)}
+                className="btn btn-outline btn-sm"
+                title={timer.channelId ? 'Bearbeiten' : 'Sender ist nicht zugeordnet'}
+                disabled={!timer.channelId || timer.recording}
+              >
+                <Edit size={14} />
+              </button>
+
+              <button
+                onClick={() => handleDeleteTimer(timer)}
+                className="btn btn-danger btn-sm"
+                title="Löschen"
+                disabled={timer.recording}
+              >
+                <Trash2 size={14} />
+              </button>
+            </div>
+          </div>
+
+          <div className="grid grid-cols-2 md:grid-cols-4 gap-4 pt-2 border-t border-gray-100 text-sm">
+            <div>
+              <Calendar size={14} className="inline mr-1 text-gray-500" />
+              <span className="font-medium">{timer.date}</span>
+            </div>
+            <div>
+              <Clock size={14} className="inline mr-1 text-gray-500" />
+              <span className="font-medium">{timer.startTime} - {timer.endTime}</span>
+            </div>
+            <div>
+              <span className="text-gray-500">Puffer:</span>
+              <span className="ml-1 font-medium">-{timer.epgBefore} / +{timer.epgAfter} min</span>
+            </div>
+            <div>
+              <Folder size={14} className="inline mr-1 text-gray-500" />
+              <span className="font-medium">{timer.folder || 'Auto'}</span>
+              <span className="text-gray-500 ml-2">Prio {timer.priority}</span>
+            </div>
+          </div>
+        </div>
+      </div>
+    );
+  };
+
+  return (
+    <div className="space-y-6">
+      {/* Header */}
+      <div className="flex items-center justify-between">
+        <div>
+          <h1 className="text-2xl font-bold text-gray-900 flex items-center gap-2">
+            <ListVideo size={24} />
+            Geplante Aufnahmen
+          </h1>
+          <p className="text-gray-600 mt-1">
+            Timer, die aktuell im DVB Viewer Recording Service eingetragen sind
+          </p>
+        </div>
+
+        <div className="flex items-center gap-3">
+          <button
+            onClick={() => setActiveTab(activeTab === 'history' ? 'scheduled' : 'history')}
+            className={`btn ${activeTab === 'history' ? 'btn-primary' : 'btn-outline'}`}
+          >
+            <History size={16} />
+            Verlauf
+          </button>
+
+          <button
+            onClick={handleRecheck}
+            disabled={isRechecking}
+            className="btn btn-outline"
+            title="Timer der nächsten 24 Stunden mit dem aktuellen EPG abgleichen"
+          >
+            <CalendarClock size={16} className={isRechecking ? 'animate-pulse' : ''} />
+            EPG-Abgleich
+          </button>
+
+          <button
+            onClick={activeTab === 'history' ? loadRegistry : loadTimers}
+            disabled={isLoading}
+            className="btn btn-outline"
+          >
+            <RefreshCw size={16} className={isLoading ? 'animate-spin' : ''} />
+            Aktualisieren
+          </button>
+        </div>
+      </div>
+
+      {error && (
+        <ErrorAlert
+          message={error}
+          onClose={() => setError(null)}
+        />
+      )}
+
+      {success && (
+        <SuccessMessage
+          message={success}
+          onClose={() => setSuccess(null)}
+        />
+      )}
+
+      {/* Timer List */}
+      {activeTab === 'history' && !isLoading ? (
+        registry.length > 0 ? (
+          <div className="grid grid-cols-1 lg:grid-cols-2 gap-6">
+            {registry.map(entry => (
+              <RegistryItem key={entry.id} entry={entry} />
+            ))}
+          </div>
+        ) : (
+          <div className="card">
+            <div className="card-body text-center py-12">
+              <History size={48} className="mx-auto text-gray-400 mb-4" />
+              <p className="text-gray-600">
+                Es wurden noch keine Timer über den EPG Manager erstellt.
+              </p>
+            </div>
+          </div>
+        )
+      ) : isLoading ? (
+        <div className="grid grid-cols-1 lg:grid-cols-2 gap-4">
+          {[...Array(4)].map((_, index) => (
+            <LoadingCard key={index} text="Lade Timer..." />
+          ))}
+        </div>
+      ) : timers.length > 0 ? (
+        <div className="grid grid-cols-1 lg:grid-cols-2 gap-6">
+          {timers.map(timer => (
+            <TimerItem key={timer.id} timer={timer} />
+          ))}
+        </div>
+      ) : (
+        <div className="card">
+          <div className="card-body text-center py-12">
+            <ListVideo size={48} className="mx-auto text-gray-400 mb-4" />
+            <h3 className="text-lg font-medium text-gray-900 mb-2">
+              Keine Timer vorhanden
+            </h3>
+            <p className="text-gray-600">
+              Im DVB Viewer sind aktuell keine Aufnahmen geplant.
+            </p>
+          </div>
+        </div>
+      )}
+
+      {/* Modals */}
+      {editingTimer && (
+        <TimerModal
+          program={{ channelId: editingTimer.channelId, title: editingTimer.title }}
+          timer={editingTimer}
+          channels={channels}
+          onClose={() => setEditingTimer(null)}
+          onSuccess={handleTimerUpdated}
+        />
+      )}
+    </div>
+  );
+}
+
+export default TimerList;
@@ -9,7 +9,9 @@ import {
   CheckCircle,
   Tv,
   Zap,
-  Info
+  Info,
+  ChevronDown,
+  Save
 } from 'lucide-react';
 import { apiService, formatters } from '../services/api';
 import LoadingSpinner from './LoadingSpinner';
@@ -17,6 +19,7 @@ import ErrorAlert, { SuccessMessage } from './ErrorAlert';
 
 function TimerModal({ 
   program, 
+  timer = null,
   channels, 
   onClose, 
   onSuccess, 
@@ -41,19 +44,72 @@ function TimerModal({
   const [success, setSuccess] = useState(null);
   const [showAdvanced, setShowAdvanced] = useState(false);
   const [validation, setValidation] = useState({});
+  const [conflicts, setConflicts] = useState([]);
+
+  const isEditMode = !!timer;
 
   // Initialize form with program data
   useEffect(() => {
     if (program) {
       initializeFormData();
     }
-  }, [program]);
+  }, [program, timer]);
+
+  // Check for tuner conflicts whenever the recording window changes
+  useEffect(() => {
+    const timeRegex = /^([0-1]?[0-9]|2[0-3]):[0-5][0-9]$/;
+    if (!program?.channelId || !/^\d{2}\.\d{2}\.\d{4}$/.test(timerData.date) ||
+        !timeRegex.test(timerData.startTime) || !timeRegex.test(timerData.endTime)) {
+      setConflicts([]);
+      return;
+    }
+
+    const timeout = setTimeout(checkConflicts, 500);
+    return () => clearTimeout(timeout);
+  }, [timerData.date, timerData.startTime, timerData.endTime, timerData.epgBefore, timerData.epgAfter]);
+
+  /**
+   * Check the recording window for tuner conflicts
+   */
+  const checkConflicts = async () => {
+    try {
+      const response = await apiService.checkTimerConflicts({
+        timerId: timer?.id,
+        channelId: program.channelId,
+        date: timerData.date,
+        startTime: timerData.startTime,
+        endTime: timerData.endTime,
+        epgBefore: parseInt(timerData.epgBefore) || 0,
+        epgAfter: parseInt(timerData.epgAfter) || 0
+      });
+      setConflicts(response.data);
+    } catch (err) {
+      console.warn('Conflict check failed:', err);
+      setConflicts([]);
+    }
+  };
 
   /**
    * Initialize form with program data
    */
   const initializeFormData = () => {
-    // Calculate target date
+    // Editing an existing DVB Viewer timer
+    if (timer) {
+      setTimerData({
+        title: timer.title || '',
+        date: timer.date || '',
+        startTime: timer.startTime || '',
+        endTime: timer.endTime || '',
+        epgBefore: timer.epgBefore ?? 5,
+        epgAfter: timer.epgAfter ?? 10,
+        folder: timer.folder || 'Auto',
+        priority: timer.priority ?? 50,
+        series: timer.series || ''
+      });
+      return;
+    }
+
+    // Calculate target date if the program has no absolute date
     const today = new Date();
     const targetDate = new Date(today);
     targetDate.setDate(today.getDate() + (program.day || 0));
@@ -61,7 +117,7 @@ function TimerModal({
     // Set initial form data
     setTimerData({
       title: program.title || '',
-      date: formatters.formatDateForDVB(targetDate),
+      date: program.date || formatters.formatDateForDVB(targetDate),
       startTime: program.time || '',
       endTime: program.endTime || calculateEndTime(program.time, 120), // Default 2h
       epgBefore: 5,
@@ -174,7 +230,7 @@ function TimerModal({
     setSuccess(null);
 
     try {
-      console.log('Creating timer with data:', timerData);
+      console.log(`${isEditMode ? 'Updating' : 'Creating'} timer with data:`, timerData);
 
       const timerPayload = {
         channelId: program.channelId,
@@ -189,10 +245,12 @@ function TimerModal({
         series: timerData.series.trim()
       };
 
-      const response = await apiService.createTimer(timerPayload);
+      const response = isEditMode
+        ? await apiService.updateTimer(timer.id, timerPayload)
+        : await apiService.createTimer(timerPayload);
       
-      console.log('Timer created successfully:', response);
-      setSuccess('Timer wurde erfolgreich erstellt! ✨');
+      console.log(`Timer ${isEditMode ? 'updated' : 'created'} successfully:`, response);
+      setSuccess(isEditMode ? 'Timer wurde erfolgreich gespeichert! ✨' : 'Timer wurde erfolgreich erstellt! ✨');
       
       // Close modal after short delay
       setTimeout(() => {
@@ -294,7 +352,7 @@ function TimerModal({
               </div>
               <div className="min-w-0">
                 <h2 className="text-xl font-bold text-gray-900 mb-1">
-                  Aufnahme erstellen
+                  {isEditMode ? 'Aufnahme bearbeiten' : 'Aufnahme erstellen'}
                 </h2>
                 <p className="text-gray-600 text-sm">
                   {formatters.truncateText(program.title, 60)}
@@ -342,6 +400,36 @@ function TimerModal({
             </div>
           )}
 
+          {/* Tuner Conflict Warning */}
+          {conflicts.length > 0 && (
+            <div className="alert alert-warning mb-6">
+              <div className="flex items-start gap-3">
+                <AlertCircle size={20} className="flex-shrink-0 mt-0.5" />
+                <div>
+                  <h4 className="font-semibold mb-1">Tuner-Konflikt</h4>
+                  {conflicts.map((conflict, index) => (
+                    <div key={index} className="text-sm mb-2">
+                      <p>
+                        {formatters.formatTime(conflict.start)} - {formatters.formatTime(conflict.end)}:{' '}
+                        {conflict.tunersRequired} Tuner benötigt, nur {conflict.tunersAvailable} verfügbar
+                      </p>
+                      <ul className="list-disc ml-5">
+                        {conflict.timers.map(other => (
+                          <li key={other.registryId || other.id}>
+                            {other.title} ({other.channelName || other.channelId}, Prio {other.priority})
+                          </li>
+                        ))}
+                      </ul>
+                    </div>
+                  ))}
+                  <p className="text-sm">
+                    Der Timer kann trotzdem erstellt werden, eine der Aufnahmen wird dann aber fehlen.
+                  </p>
+                </div>
+              </div>
+            </div>
+          )}
+
           {error && (
             <ErrorAlert
               message={error}
@@ -630,10 +718,14 @@ function TimerModal({
                   <LoadingSpinner size="sm" inline />
                 ) : success ? (
                   <CheckCircle size={16} />
+                ) : isEditMode ? (
+                  <Save size={16} />
                 ) : (
                   <Play size={16} />
                 )}
-                {isSubmitting ? 'Erstelle...' : success ? 'Erstellt!' : 'Timer erstellen'}
+                {isEditMode
+                  ? (isSubmitting ? 'Speichere...' : success ? 'Gespeichert!' : 'Timer speichern')
+                  : (isSubmitting ? 'Erstelle...' : success ? 'Erstellt!' : 'Timer erstellen')}
               </button>
             </div>
           </div>
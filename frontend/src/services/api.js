@@ -103,7 +103,109 @@ export const apiService = {
     }
   },
 
+  async getEPGProviders() {
+    try {
+      const response = await api.get('/epg/providers');
+      return response.data;
+    } catch (error) {
+      throw new Error(`Failed to load EPG providers: ${error.message}`);
+    }
+  },
+
+  async getChannelCatalog(refresh = false) {
+    try {
+      const response = await api.get('/epg/catalog', {
+        params: refresh ? { refresh: true } : {}
+      });
+      return response.data;
+    } catch (error) {
+      const message = error.response?.data?.message || error.response?.data?.error || error.message;
+      throw new Error(`Failed to load channel catalog: ${message}`);
+    }
+  },
+
+  // Channel services
+  async getChannelList() {
+    try {
+      const response = await api.get('/channels');
+      return response.data;
+    } catch (error) {
+      const message = error.response?.data?.message || error.response?.data?.error || error.message;
+      throw new Error(`Failed to load channels: ${message}`);
+    }
+  },
+
+  async createChannel(channelData) {
+    try {
+      const response = await api.post('/channels', channelData);
+      return response.data;
+    } catch (error) {
+      const message = error.response?.data?.message || error.response?.data?.error || error.message;
+      throw new Error(`Failed to create channel: ${message}`);
+    }
+  },
+
+  async updateChannel(channelId, channelData) {
+    try {
+      const response = await api.put(`/channels/${channelId}`, channelData);
+      return response.data;
+    } catch (error) {
+      const message = error.response?.data?.message || error.response?.data?.error || error.message;
+      throw new Error(`Failed to update channel: ${message}`);
+    }
+  },
+
+  async deleteChannel(channelId) {
+    try {
+      const response = await api.delete(`/channels/${channelId}`);
+      return response.data;
+    } catch (error) {
+      const message = error.response?.data?.message || error.response?.data?.error || error.message;
+      throw new Error(`Failed to delete channel: ${message}`);
+    }
+  },
+
+  async getDvbChannels() {
+    try {
+      const response = await api.get('/channels/dvb');
+      return response.data;
+    } catch (error) {
+      const message = error.response?.data?.message || error.response?.data?.error || error.message;
+      throw new Error(`Failed to load DVB Viewer channels: ${message}`);
+    }
+  },
+
+  async getChannelMatches() {
+    try {
+      const response = await api.get('/channels/match');
+      return response.data;
+    } catch (error) {
+      const message = error.response?.data?.message || error.response?.data?.error || error.message;
+      throw new Error(`Failed to match channels: ${message}`);
+    }
+  },
+
+  async applyChannelMatches(mappings) {
+    try {
+      const response = await api.post('/channels/match', { mappings });
+      return response.data;
+    } catch (error) {
+      const message = error.response?.data?.message || error.response?.data?.error || error.message;
+      throw new Error(`Failed to apply channel mappings: ${message}`);
+    }
+  },
+
   // Timer services
+  async getTimers() {
+    try {
+      const response = await api.get('/timer');
+      return response.data;
+    } catch (error) {
+      const message = error.response?.data?.message || error.message;
+      throw new Error(`Failed to load timers: ${message}`);
+    }
+  },
+
   async createTimer(timerData) {
     try {
       const response = await api.post('/timer', timerData);
@@ -114,6 +216,67 @@ export const apiService = {
     }
   },
 
+  async updateTimer(timerId, timerData) {
+    try {
+      const response = await api.put(`/timer/${timerId}`, timerData);
+      return response.data;
+    } catch (error) {
+      const message = error.response?.data?.message || error.response?.data?.error || error.message;
+      throw new Error(`Failed to update timer: ${message}`);
+    }
+  },
+
+  async deleteTimer(timerId) {
+    try {
+      const response = await api.delete(`/timer/${timerId}`);
+      return response.data;
+    } catch (error) {
+      const message = error.response?.data?.message || error.response?.data?.error || error.message;
+      throw new Error(`Failed to delete timer: ${message}`);
+    }
+  },
+
+  async checkTimerConflicts(timerData) {
+    try {
+      const response = await api.post('/timer/check', timerData);
+      return response.data;
+    } catch (error) {
+      const message = error.response?.data?.message || error.response?.data?.error || error.message;
+      throw new Error(`Conflict check failed: ${message}`);
+    }
+  },
+
+  async getTimerRegistry(filter = {}) {
+    try {
+      const response = await api.get('/timer/registry', { params: filter });
+      return response.data;
+    } catch (error) {
+      const message = error.response?.data?.message || error.message;
+      throw new Error(`Failed to load timer history: ${message}`);
+    }
+  },
+
+  async reconcileTimers() {
+    try {
+      const response = await api.post('/timer/registry/reconcile');
+      return response.data;
+    } catch (error) {
+      const message = error.response?.data?.message || error.message;
+      throw new Error(`Failed to reconcile timers: ${message}`);
+    }
+  },
+
+  async recheckTimers() {
+    try {
+      // Fetches the EPG of every channel with upcoming timers, takes longer than other calls
+      const response = await api.post('/timer/registry/recheck', null, { timeout: 120000 });
+      return response.data;
+    } catch (error) {
+      const message = error.response?.data?.message || error.response?.data?.error || error.message;
+      throw new Error(`Failed to recheck timers: ${message}`);
+    }
+  },
+
   async createQuickTimer(program, options = {}) {
     try {
       const response = await api.post('/timer/quick', {
@@ -166,9 +329,11 @@ export const apiService = {
     }
   },
 
-  async updateTask(taskId, updates) {
+  // Pass the revision the task was loaded with to get an error instead of overwriting newer changes
+  async updateTask(taskId, updates, revision = null) {
     try {
-      const response = await api.put(`/tasks/${taskId}`, updates);
+      const headers = revision !== null ? { 'If-Match': `"${revision}"` } : {};
+      const response = await api.put(`/tasks/${taskId}`, updates, { headers });
       return response.data;
     } catch (error) {
       const message = error.response?.data?.message || error.message;
@@ -206,6 +371,83 @@ export const apiService = {
     }
   },
 
+  async previewTask(taskData) {
+    try {
+      const response = await api.post('/tasks/preview', taskData);
+      return response.data;
+    } catch (error) {
+      const message = error.response?.data?.message || error.response?.data?.error || error.message;
+      throw new Error(`Failed to preview task: ${message}`);
+    }
+  },
+
+  async getTaskPreview(taskId) {
+    try {
+      const response = await api.get(`/tasks/${taskId}/preview`);
+      return response.data;
+    } catch (error) {
+      const message = error.response?.data?.message || error.response?.data?.error || error.message;
+      throw new Error(`Failed to preview task: ${message}`);
+    }
+  },
+
+  async getTaskRuns(taskId, limit = 20) {
+    try {
+      const response = await api.get(`/tasks/${taskId}/runs`, {
+        params: { limit }
+      });
+      return response.data;
+    } catch (error) {
+      const message = error.response?.data?.message || error.response?.data?.error || error.message;
+      throw new Error(`Failed to load task runs: ${message}`);
+    }
+  },
+
+  async exportTasks(options = {}) {
+    try {
+      const response = await api.get('/tasks/export', {
+        params: {
+          ids: options.ids?.join(','),
+          channels: options.includeChannels ? true : undefined
+        }
+      });
+      return response.data;
+    } catch (error) {
+      const message = error.response?.data?.message || error.response?.data?.error || error.message;
+      throw new Error(`Failed to export tasks: ${message}`);
+    }
+  },
+
+  async importTasks(bundle, options = {}) {
+    try {
+      const response = await api.post('/tasks/import', { bundle, ...options });
+      return response.data;
+    } catch (error) {
+      const message = error.response?.data?.message || error.response?.data?.error || error.message;
+      throw new Error(`Failed to import tasks: ${message}`);
+    }
+  },
+
+  async getExclusions() {
+    try {
+      const response = await api.get('/tasks/exclusions');
+      return response.data;
+    } catch (error) {
+      const message = error.response?.data?.message || error.response?.data?.error || error.message;
+      throw new Error(`Failed to load exclusions: ${message}`);
+    }
+  },
+
+  async updateExclusions(exclusions) {
+    try {
+      const response = await api.put('/tasks/exclusions', exclusions);
+      return response.data;
+    } catch (error) {
+      const message = error.response?.data?.message || error.response?.data?.error || error.message;
+      throw new Error(`Failed to update exclusions: ${message}`);
+    }
+  },
+
   async getTaskTypes() {
     try {
       const response = await api.get('/tasks/types');
@@ -243,6 +485,77 @@ export const apiService = {
     }
   },
 
+  // Configuration services
+  async getConfig() {
+    try {
+      const response = await api.get('/config');
+      return response.data;
+    } catch (error) {
+      throw new Error(`Failed to load configuration: ${error.message}`);
+    }
+  },
+
+  async updateConfig(changes) {
+    try {
+      const response = await api.put('/config', changes);
+      return response.data;
+    } catch (error) {
+      const message = error.response?.data?.message || error.response?.data?.error || error.message;
+      throw new Error(`Failed to update configuration: ${message}`);
+    }
+  },
+
+  // Backup services
+  async downloadBackup() {
+    try {
+      const response = await api.get('/admin/backup', { responseType: 'blob', timeout: 120000 });
+      return response.data;
+    } catch (error) {
+      throw new Error(`Failed to create backup: ${error.message}`);
+    }
+  },
+
+  async restoreBackup(file) {
+    try {
+      const response = await api.post('/admin/restore', file, {
+        headers: { 'Content-Type': 'application/octet-stream' },
+        timeout: 120000
+      });
+      return response.data;
+    } catch (error) {
+      const message = error.response?.data?.message || error.response?.data?.error || error.message;
+      throw new Error(`Failed to restore backup: ${message}`);
+    }
+  },
+
+  async getBackups() {
+    try {
+      const response = await api.get('/admin/backups');
+      return response.data;
+    } catch (error) {
+      throw new Error(`Failed to load backups: ${error.message}`);
+    }
+  },
+
+  async saveBackup() {
+    try {
+      const response = await api.post('/admin/backups', null, { timeout: 120000 });
+      return response.data;
+    } catch (error) {
+      const message = error.response?.data?.message || error.response?.data?.error || error.message;
+      throw new Error(`Failed to save backup: ${message}`);
+    }
+  },
+
+  async downloadStoredBackup(name) {
+    try {
+      const response = await api.get(`/admin/backups/${encodeURIComponent(name)}`, { responseType: 'blob', timeout: 120000 });
+      return response.data;
+    } catch (error) {
+      throw new Error(`Failed to download backup: ${error.message}`);
+    }
+  },
+
     // System status
   async getSystemStatus() {
     try {